@@ -1,10 +1,15 @@
-importScripts("shared-utils.js", "lib/field-safety.js");
+importScripts("shared-utils.js", "lib/field-safety.js", "lib/llm-provider.js", "lib/answer-schema.js", "lib/citations.js", "lib/answer-cache.js", "lib/rate-limit.js", "lib/usage-ledger.js", "lib/wizard-session.js", "lib/profiles.js", "lib/site-rules.js", "lib/corrections.js", "lib/local-details.js", "lib/frame-fields.js", "lib/long-form.js", "lib/document-library.js", "lib/fill-history.js");
 
 const SETTINGS_KEY = "aiFormFillerSettings";
 const CRYPTO_KEY_KEY = "aiFormFillerCryptoKey";
 const SESSION_SETTINGS_KEY = "aiFormFillerSessionSettings";
-const OPENAI_RESPONSES_URL = "https://api.openai.com/v1/responses";
-const OPENAI_FILES_URL = "https://api.openai.com/v1/files";
+const PENDING_REVIEWS_KEY = "aiFormFillerPendingReviews";
+const ANSWER_CACHE_KEY = "aiFormFillerAnswerCache";
+const USAGE_LEDGER_KEY = "aiFormFillerUsage";
+const WIZARD_SESSIONS_KEY = "aiFormFillerWizardSessions";
+const CORRECTIONS_KEY = "aiFormFillerCorrections";
+const HISTORY_KEY = "aiFormFillerHistory";
+const HISTORY_ERROR_KEY = "aiFormFillerHistoryError";
 const ACTION_ICON = {
   16: "icon128x128_green.png",
   32: "icon128x128_green.png",
@@ -12,11 +17,101 @@ const ACTION_ICON = {
   128: "icon128x128_green.png"
 };
 const SUPPORTED_LANGUAGE_OVERRIDES = new Set(["default", "en", "pt_BR", "es"]);
-const { storageGet, runtimeSendMessage, base64ToBytes, createTranslator } = self.AFFShared;
+const {
+  storageGet,
+  storageSet,
+  storageRemove,
+  runtimeSendMessage,
+  bytesToBase64,
+  base64ToBytes,
+  createTranslator,
+  normalizeMinConfidence,
+  formatConfidence
+} = self.AFFShared;
 const { isSensitiveFieldDescriptor } = self.AFFFieldSafety;
-const AUTOFILL_BATCH_SIZE = 4;
-const AUTOFILL_MAX_CONCURRENCY = 2;
+const { buildBatchAnswerSchema, parseBatchAnswers } = self.AFFAnswerSchema;
+const { resolveAnswerSources } = self.AFFCitations;
+const {
+  getCachedAnswer,
+  putCachedAnswer,
+  storeScopeKey,
+  modelScopeKey,
+  invalidateVectorStore,
+  countCachedAnswers
+} = self.AFFAnswerCache;
+const { resolveActiveProfile, profileVectorStoreIds, removeVectorStoreFromProfiles } = self.AFFProfiles;
+const { findSiteRule, ruleNeedsPageAccess } = self.AFFSiteRules;
+const {
+  siteKeyForUrl,
+  normalizeCorrections,
+  recordCorrection,
+  findCorrection,
+  listCorrections,
+  removeCorrection
+} = self.AFFCorrections;
+const { matchLocalDetails } = self.AFFLocalDetails;
+const { parseQualifiedUid, orderFrameIds, mergeFrameFields } = self.AFFFrameFields;
+const {
+  isLongFormField,
+  fieldMaxLength,
+  normalizeComposeOptions,
+  normalizeComposeVariant,
+  composeCacheKey,
+  composeTargetWords,
+  buildComposeAnswerSchema,
+  parseComposedAnswer
+} = self.AFFLongForm;
+const { suggestDocuments, listDocuments, getDocument } = self.AFFDocumentLibrary;
+const {
+  normalizeRetention,
+  normalizeHistory,
+  createRunRecord,
+  recordRun,
+  applyRetention,
+  removeRun,
+  historyToJson,
+  historyToCsv
+} = self.AFFFillHistory;
+const {
+  resolveProviderConfig,
+  validateProviderConfig,
+  buildProviderUrl,
+  buildAuthHeaders,
+  originPermissionPattern,
+  providerHost
+} = self.AFFLlmProvider;
+const { parseRetryAfterMs, estimateTokens, takeBatch, createRateLimitState } = self.AFFRateLimit;
+const {
+  normalizeWizardMode,
+  createWizardSession,
+  isSameWizardSite,
+  addWizardStep,
+  isWizardSessionExpired,
+  continuesWizardFlow,
+  summarizeWizardSession,
+  detectStepChange
+} = self.AFFWizardSession;
+const { extractResponseUsage, addUsage, summarizeUsage, periodKeys, normalizeLedger, recordUsage, checkBudget, formatCost } = self.AFFUsageLedger;
+// Upper bound per batch; the live budget comes from the remaining-token rate-limit header.
+const AUTOFILL_BATCH_TOKEN_BUDGET = 1200;
+const AUTOFILL_ANSWER_TOKENS = 40;
+const AUTOFILL_MAX_BATCH_FIELDS = 10;
+const AUTOFILL_MAX_CONCURRENCY = 3;
 const AUTOFILL_RETRIES = 3;
+const AUTOFILL_MAX_RETRY_WAIT_MS = 60000;
+const AUTOFILL_REQUEST_TIMEOUT_MS = 35000;
+const COMPOSE_REQUEST_TIMEOUT_MS = 60000;
+const AUTOFILL_THROTTLE_POLL_MS = 250;
+const WIZARD_ROUTE_SETTLE_MS = 800;
+const activeRunsByTab = new Map();
+const autoStartedUrlByTab = new Map();
+const formFramesByTab = new Map();
+const formSubmitUrlByTab = new Map();
+let usageLedgerWrite = Promise.resolve();
+let answerCacheWrite = Promise.resolve();
+let correctionsWrite = Promise.resolve();
+let historyWrite = Promise.resolve();
+let pendingReviewsWrite = Promise.resolve();
 
 const i18n = createTranslator({
   supportedLanguages: SUPPORTED_LANGUAGE_OVERRIDES,
@@ -45,24 +140,43 @@ function actionSetTitle(details) {
   });
 }
 
+function actionSetBadgeText(details) {
+  return new Promise((resolve) => {
+    chrome.action.setBadgeText(details, () => {
+      resolve();
+    });
+  });
+}
+
+function getTab(tabId) {
+  return new Promise((resolve) => {
+    chrome.tabs.get(tabId, (tab) => {
+      resolve(chrome.runtime.lastError ? null : tab);
+    });
+  });
+}
+
 async function ensureContentScriptInjected(tabId) {
   if (!Number.isInteger(tabId)) {
     return false;
   }
 
   try {
-    const markerResult = await chrome.scripting.executeScript({
-      target: { tabId },
+    // Frames added after the first injection (embedded forms load late) get the script on the next call.
+    const markerResults = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
       func: () => Boolean(globalThis.__aiFormFillerContentLoaded)
     });
-    const alreadyInjected = Boolean(markerResult && markerResult[0] && markerResult[0].result);
-    if (alreadyInjected) {
+    const missingFrameIds = (markerResults || [])
+      .filter((entry) => !entry.result)
+      .map((entry) => entry.frameId);
+    if (!missingFrameIds.length) {
       return true;
     }
 
     await chrome.scripting.executeScript({
-      target: { tabId, allFrames: true },
-      files: ["shared-utils.js", "lib/field-safety.js", "content.js"]
+      target: { tabId, frameIds: missingFrameIds },
+      files: ["shared-utils.js", "lib/field-safety.js", "lib/value-format.js", "content.js"]
     });
     return true;
   } catch (_error) {
@@ -70,43 +184,88 @@ async function ensureContentScriptInjected(tabId) {
   }
 }
 
-function tabMessage(tabId, message) {
+function frameMessage(tabId, message, frameId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, { frameId }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+function ensurePageScript(tabId) {
   return ensureContentScriptInjected(tabId).then((injected) => {
     if (!injected) {
       throw new Error(t("errCouldNotInjectPageScript", undefined, "Could not run on this page. Open a regular web page and try again."));
     }
-
-    return new Promise((resolve, reject) => {
-      chrome.tabs.sendMessage(tabId, message, (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        resolve(response);
-      });
-    });
   });
 }
 
+// Messages go to one frame; the top frame unless a field's frame is known.
+async function tabMessage(tabId, message, frameId = 0) {
+  await ensurePageScript(tabId);
+  return frameMessage(tabId, message, frameId);
+}
+
+async function listTabFrameIds(tabId) {
+  try {
+    return orderFrameIds(await chrome.webNavigation.getAllFrames({ tabId }));
+  } catch (_error) {
+    return orderFrameIds([]);
+  }
+}
+
+// Sends a message to every frame; frames the script could not reach report an error instead.
+async function messageAllFrames(tabId, message) {
+  await ensurePageScript(tabId);
+  const frameIds = await listTabFrameIds(tabId);
+  return Promise.all(frameIds.map((frameId) => frameMessage(tabId, message, frameId)
+    .then((response) => ({ frameId, response }))
+    .catch((error) => ({ frameId, error }))));
+}
+
+function fieldMessage(tabId, message) {
+  const { frameId, uid } = parseQualifiedUid(message.uid);
+  return tabMessage(tabId, { ...message, uid }, frameId);
+}
+
 async function detectTabHasFillableForm(tabId) {
   if (!Number.isInteger(tabId)) {
     return false;
   }
 
   try {
-    const quickResponse = await tabMessage(tabId, { type: "HAS_FILLABLE_FORMS" });
-    if (quickResponse?.ok) {
-      return Boolean(quickResponse.hasForm);
+    const quickResponses = (await messageAllFrames(tabId, { type: "HAS_FILLABLE_FORMS" }))
+      .filter((result) => result.response?.ok);
+    if (quickResponses.length) {
+      return quickResponses.some((result) => Boolean(result.response.hasForm));
     }
 
-    const fallback = await tabMessage(tabId, { type: "GET_FORM_FIELDS" });
-    const fields = Array.isArray(fallback?.fields) ? fallback.fields : [];
-    return Boolean(fallback?.ok && fields.length > 0);
+    const fallback = mergeFrameFields(await messageAllFrames(tabId, { type: "GET_FORM_FIELDS" }));
+    return Boolean(fallback.ok && fallback.fields.length > 0);
   } catch (_error) {
     return false;
   }
 }
 
+// Each frame reports its own forms; the tab has a form while any of its frames does.
+function recordFrameFormAvailability(tabId, frameId, hasForm) {
+  if (!Number.isInteger(tabId)) {
+    return hasForm;
+  }
+  const frames = formFramesByTab.get(tabId) || new Set();
+  if (hasForm) {
+    frames.add(Number.isInteger(frameId) ? frameId : 0);
+  } else {
+    frames.delete(Number.isInteger(frameId) ? frameId : 0);
+  }
+  formFramesByTab.set(tabId, frames);
+  return frames.size > 0;
+}
+
 async function updateActionStateForTab(tabId) {
   const hasForm = await detectTabHasFillableForm(tabId);
   await updateActionStateForTabKnownValue(tabId, hasForm);
@@ -151,7 +310,12 @@ async function decryptApiKey(encryptedPayload) {
   return new TextDecoder().decode(plainBuffer).trim();
 }
 
-async function getSettings() {
+function normalizeBudget(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : 0;
+}
+
+async function getSettings(pageUrl) {
   const [localData, sessionData] = await Promise.all([
     storageGet([SETTINGS_KEY], "local"),
     storageGet([SESSION_SETTINGS_KEY], "session")
@@ -159,12 +323,19 @@ async function getSettings() {
   const settings = localData[SETTINGS_KEY] || {};
   const sessionSettings = sessionData[SESSION_SETTINGS_KEY] || {};
   const storageMode = settings.apiKeyStorageMode === "session" ? "session" : "persistent";
+  const siteRule = pageUrl ? findSiteRule(settings.siteRules, pageUrl) : null;
+  const profile = resolveActiveProfile(settings, siteRule && siteRule.profileId);
 
+  // A profile's own key wins over the main key, in whichever storage mode is in use.
   let apiKey = "";
   if (storageMode === "session") {
-    apiKey = String(sessionSettings.apiKey || "").trim();
+    const profileKeys = sessionSettings.profileApiKeys || {};
+    apiKey = String(profileKeys[profile.id] || sessionSettings.apiKey || "").trim();
   }
 
+  if (!apiKey && profile.apiKeyEncrypted) {
+    apiKey = await decryptApiKey(profile.apiKeyEncrypted);
+  }
   if (!apiKey && settings.apiKeyEncrypted) {
     apiKey = await decryptApiKey(settings.apiKeyEncrypted);
   } else if (!apiKey && settings.apiKey) {
@@ -174,11 +345,39 @@ async function getSettings() {
   return {
     apiKey,
     apiKeyStorageMode: storageMode,
-    vectorStoreId: settings.vectorStoreId || "",
-    model: settings.model || "gpt-4.1-mini"
+    profileId: profile.id,
+    profileName: profile.name,
+    vectorStoreId: profile.vectorStoreId,
+    vectorStoreIds: profileVectorStoreIds(profile),
+    model: profile.model,
+    instructions: profile.instructions,
+    sensitivePolicy: profile.sensitivePolicy,
+    details: profile.details,
+    fillMode: settings.fillMode === "review" ? "review" : "immediate",
+    provider: resolveProviderConfig(settings.provider),
+    minConfidence: normalizeMinConfidence(settings.minConfidence),
+    dailyBudget: normalizeBudget(settings.dailyBudget),
+    monthlyBudget: normalizeBudget(settings.monthlyBudget),
+    sendPageContext: settings.sendPageContext === true,
+    wizardMode: normalizeWizardMode(settings.wizardMode),
+    compose: normalizeComposeOptions({ tone: settings.composeTone, length: settings.composeLength }),
+    historyRetention: normalizeRetention(settings.historyRetention),
+    historyRedactValues: settings.historyRedactValues === true,
+    siteRule
   };
 }
 
+async function getSiteRule(pageUrl) {
+  const data = await storageGet([SETTINGS_KEY], "local");
+  return findSiteRule((data[SETTINGS_KEY] || {}).siteRules, pageUrl);
+}
+
+function ensureSiteAllowsFill(settings) {
+  if (settings.siteRule && settings.siteRule.fill === "never") {
+    throw new Error(t("errSiteNeverFill", undefined, "A site rule says this site is never filled."));
+  }
+}
+
 function fieldDisplayName(field) {
   return field.label || field.name || field.placeholder || field.id || `${field.tag || "field"}`;
 }
@@ -238,10 +437,8 @@ async function parseErrorDetails(response) {
   }
 }
 
-function buildOpenAIHeaders(apiKey, useJson, useAssistantsBeta) {
-  const headers = {
-    Authorization: `Bearer ${apiKey}`
-  };
+function buildOpenAIHeaders(provider, apiKey, useJson, useAssistantsBeta) {
+  const headers = buildAuthHeaders(provider, apiKey);
 
   if (useJson) {
     headers["Content-Type"] = "application/json";
@@ -253,35 +450,31 @@ function buildOpenAIHeaders(apiKey, useJson, useAssistantsBeta) {
   return headers;
 }
 
-function createHttpError(status, details) {
-  const error = new Error(`${classifyHttpError(status)}${details ? ` ${details}` : ""}`);
-  error.status = status;
-  return error;
+function hasHostPermission(origin) {
+  return new Promise((resolve) => {
+    chrome.permissions.contains({ origins: [origin] }, (granted) => {
+      resolve(Boolean(granted) && !chrome.runtime.lastError);
+    });
+  });
 }
 
-function extractJsonObject(text) {
-  const input = String(text || "").trim();
-  if (!input) {
-    return null;
+async function providerFetch(provider, path, init, query) {
+  if (!validateProviderConfig(provider).ok) {
+    throw new Error(t("errInvalidProviderConfig", undefined, "API provider settings are invalid. Check the base URL and auth header in Configuration."));
   }
 
-  const fenced = input.match(/```(?:json)?\s*([\s\S]*?)```/i);
-  const candidate = fenced ? fenced[1].trim() : input;
-
-  try {
-    return JSON.parse(candidate);
-  } catch (_error) {
-    const firstBrace = candidate.indexOf("{");
-    const lastBrace = candidate.lastIndexOf("}");
-    if (firstBrace >= 0 && lastBrace > firstBrace) {
-      try {
-        return JSON.parse(candidate.slice(firstBrace, lastBrace + 1));
-      } catch (_ignored) {
-        return null;
-      }
-    }
-    return null;
+  const origin = originPermissionPattern(provider.baseUrl);
+  if (!(await hasHostPermission(origin))) {
+    throw new Error(t("errProviderHostNotGranted", [origin], `Access to ${origin} has not been granted. Save Configuration again to allow it.`));
   }
+
+  return fetch(buildProviderUrl(provider, path, query), init);
+}
+
+function createHttpError(status, details) {
+  const error = new Error(`${classifyHttpError(status)}${details ? ` ${details}` : ""}`);
+  error.status = status;
+  return error;
 }
 
 function shouldRetry(error) {
@@ -289,42 +482,76 @@ function shouldRetry(error) {
   return status === 408 || status === 429 || status >= 500;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function createCancelledError() {
+  const error = new Error(t("errAutofillCancelled", undefined, "Autofill was cancelled."));
+  error.cancelled = true;
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
 }
 
-async function withRetry(work, attempts = AUTOFILL_RETRIES) {
+async function withRetry(work, attempts = AUTOFILL_RETRIES, signal, rateLimit) {
   let lastError = null;
   for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    const wait = rateLimit ? rateLimit.waitMs() : 0;
+    if (wait) {
+      await sleep(wait, signal);
+    }
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
     try {
       return await work();
     } catch (error) {
       lastError = error;
-      if (attempt >= attempts || !shouldRetry(error)) {
+      if (attempt >= attempts || error?.cancelled || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = Number.isFinite(error.retryAfterMs)
+        ? error.retryAfterMs
+        : Math.min(5000, 400 * (2 ** (attempt - 1))) + Math.floor(Math.random() * 120);
+      if (delay > AUTOFILL_MAX_RETRY_WAIT_MS) {
         throw error;
       }
-      const delay = Math.min(5000, 400 * (2 ** (attempt - 1))) + Math.floor(Math.random() * 120);
-      await sleep(delay);
+      if (error.status === 429 && rateLimit) {
+        rateLimit.throttle(delay);
+        continue;
+      }
+      await sleep(delay, signal);
     }
   }
   throw lastError;
 }
 
-function chunkArray(values, size) {
-  const chunks = [];
-  for (let i = 0; i < values.length; i += size) {
-    chunks.push(values.slice(i, i + size));
-  }
-  return chunks;
-}
-
-async function runWithConcurrency(items, limit, worker) {
+async function runWithConcurrency(items, limit, worker, signal, currentLimit = () => limit) {
   const queue = items.slice();
   const workers = [];
 
   for (let i = 0; i < Math.min(limit, items.length); i += 1) {
+    const slot = i;
     workers.push((async () => {
-      while (queue.length) {
+      while (queue.length && !signal?.aborted) {
+        if (slot >= currentLimit()) {
+          await sleep(AUTOFILL_THROTTLE_POLL_MS, signal);
+          continue;
+        }
         const next = queue.shift();
         if (!next) {
           break;
@@ -337,8 +564,21 @@ async function runWithConcurrency(items, limit, worker) {
   await Promise.all(workers);
 }
 
-function fieldFingerprint(field) {
+function normalizeFingerprintContext(context) {
+  const source = context && typeof context === "object" ? context : {};
+  return ["formHeading", "legend", "section"].reduce((normalized, key) => {
+    const value = String(source[key] || "").trim().toLowerCase();
+    if (value) {
+      normalized[key] = value;
+    }
+    return normalized;
+  }, {});
+}
+
+function fieldFingerprint(field, page) {
   return JSON.stringify({
+    host: String(page?.host || "").trim().toLowerCase(),
+    context: normalizeFingerprintContext(field.context),
     label: String(field.label || "").trim().toLowerCase(),
     name: String(field.name || "").trim().toLowerCase(),
     id: String(field.id || "").trim().toLowerCase(),
@@ -351,11 +591,36 @@ function fieldFingerprint(field) {
   });
 }
 
-async function queryFieldBatchAnswers({ apiKey, vectorStoreId, model, fields }) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 35000);
+const CONSTRAINT_KEYS = ["min", "max", "step", "maxLength", "pattern"];
+
+function normalizeConstraints(constraints) {
+  if (!constraints || typeof constraints !== "object") {
+    return null;
+  }
+  const picked = {};
+  CONSTRAINT_KEYS.forEach((key) => {
+    const value = String(constraints[key] == null ? "" : constraints[key]).trim().slice(0, 200);
+    if (value) {
+      picked[key] = value;
+    }
+  });
+  return Object.keys(picked).length ? picked : null;
+}
+
+// Set when the page rejected an earlier answer, so the model can correct it.
+function normalizeRetryHint(retry) {
+  if (!retry || typeof retry !== "object") {
+    return null;
+  }
+  const previousAnswer = String(retry.previousAnswer || "").trim().slice(0, 500);
+  const validationMessage = String(retry.validationMessage || "").trim().slice(0, 300);
+  return previousAnswer || validationMessage ? { previousAnswer, validationMessage } : null;
+}
 
-  const fieldContext = fields.map((field) => ({
+function buildFieldContext(field) {
+  const constraints = normalizeConstraints(field.constraints);
+  const retry = normalizeRetryHint(field.retry);
+  return {
     uid: field.uid,
     label: field.label,
     name: field.name,
@@ -364,8 +629,84 @@ async function queryFieldBatchAnswers({ apiKey, vectorStoreId, model, fields })
     type: field.type,
     tag: field.tag,
     required: field.required,
-    options: field.options || []
-  }));
+    options: field.options || [],
+    ...(field.multiple ? { multiple: true } : {}),
+    ...(constraints ? { constraints } : {}),
+    ...(field.context && Object.keys(field.context).length ? { context: field.context } : {}),
+    ...(retry ? { retry } : {})
+  };
+}
+
+function applyPageContextSetting(fields, page, sendPageContext) {
+  if (sendPageContext) {
+    return { fields, page: page && typeof page === "object" ? { title: page.title || "", host: page.host || "" } : null };
+  }
+  return {
+    fields: fields.map((field) => {
+      const { context: _context, ...rest } = field;
+      return rest;
+    }),
+    page: null
+  };
+}
+
+function estimateFieldTokens(field) {
+  return estimateTokens(JSON.stringify(buildFieldContext(field))) + AUTOFILL_ANSWER_TOKENS;
+}
+
+// Posts a Responses API request with a timeout that also follows the run's cancel signal.
+async function postResponsesRequest({ apiKey, provider, body, signal, rateLimit, timeoutMs = AUTOFILL_REQUEST_TIMEOUT_MS }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const onCancel = () => controller.abort();
+  if (signal?.aborted) {
+    controller.abort();
+  } else {
+    signal?.addEventListener("abort", onCancel, { once: true });
+  }
+
+  try {
+    const response = await providerFetch(provider, "/responses", {
+      method: "POST",
+      headers: buildOpenAIHeaders(provider, apiKey, true, false),
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    rateLimit?.observe(response.headers);
+
+    if (!response.ok) {
+      const details = await parseErrorDetails(response);
+      const httpError = createHttpError(response.status, details);
+      httpError.retryAfterMs = parseRetryAfterMs(response.headers);
+      throw httpError;
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error?.name === "AbortError") {
+      if (signal?.aborted) {
+        throw createCancelledError();
+      }
+      const timeoutError = new Error(t("errOpenAiTimeout", undefined, "OpenAI request timed out."));
+      timeoutError.status = 408;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener("abort", onCancel);
+  }
+}
+
+function createInvalidOutputError(json) {
+  const formatError = new Error(t("errInvalidModelOutput", undefined, "Model response format was invalid."));
+  formatError.invalidOutput = true;
+  formatError.usage = extractResponseUsage(json);
+  return formatError;
+}
+
+async function queryFieldBatchAnswers({ apiKey, provider, vectorStoreIds, model, instructions, fields, page, signal, rateLimit }) {
+  const fieldContext = fields.map(buildFieldContext);
 
   const body = {
     model,
@@ -373,17 +714,19 @@ async function queryFieldBatchAnswers({ apiKey, vectorStoreId, model, fields })
     tools: [
       {
         type: "file_search",
-        vector_store_ids: [vectorStoreId]
+        vector_store_ids: vectorStoreIds
       }
     ],
+    include: ["file_search_call.results"],
     input: [
       {
         role: "system",
         content: [
           {
             type: "input_text",
-            text: "You fill web form fields from retrieved documents. Return strict JSON only. Keys must be the uid values provided. Value must be best match, or NOT_FOUND."
-          }
+            text: "You fill web form fields from retrieved documents. Answer every uid provided. Each value must be the best match, or NOT_FOUND. Confidence must reflect how clearly the documents support the value: near 1 for an exact match, low for guesses or ambiguous fields. When page or section context is given, use it to decide what a field is asking about (for example, which start date). Respect any constraints on a field. A field with retry was rejected by the page: give a corrected value that satisfies its validationMessage, or NOT_FOUND."
+          },
+          ...(instructions ? [{ type: "input_text", text: `Profile instructions: ${instructions}` }] : [])
         ]
       },
       {
@@ -391,54 +734,112 @@ async function queryFieldBatchAnswers({ apiKey, vectorStoreId, model, fields })
         content: [
           {
             type: "input_text",
-            text: `Return a JSON object only for these fields: ${JSON.stringify(fieldContext)}. For select fields, return one option from options.`
+            text: `${page ? `Page context: ${JSON.stringify(page)}. ` : ""}Answer these fields: ${JSON.stringify(fieldContext)}. For fields with options, return one option from options; when multiple is true, return every option that applies.`
           }
         ]
       }
-    ]
+    ],
+    text: {
+      format: {
+        type: "json_schema",
+        name: "form_field_answers",
+        strict: true,
+        schema: buildBatchAnswerSchema(fields)
+      }
+    }
   };
 
-  try {
-    const response = await fetch(OPENAI_RESPONSES_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(body),
-      signal: controller.signal
-    });
+  const json = await postResponsesRequest({ apiKey, provider, body, signal, rateLimit });
+  const outputText = parseOutputText(json);
+  const parsed = parseBatchAnswers(outputText, fields);
+  if (!parsed.ok) {
+    throw createInvalidOutputError(json);
+  }
 
-    if (!response.ok) {
-      const details = await parseErrorDetails(response);
-      throw createHttpError(response.status, details);
-    }
+  const answersByUid = {};
+  const confidenceByUid = {};
+  fields.forEach((field) => {
+    answersByUid[field.uid] = cleanModelAnswer(parsed.answers[field.uid]);
+    confidenceByUid[field.uid] = answersByUid[field.uid] ? parsed.confidences[field.uid] : 0;
+  });
+  return {
+    answersByUid,
+    confidenceByUid,
+    sourcesByUid: resolveAnswerSources(json, outputText, answersByUid),
+    usage: extractResponseUsage(json)
+  };
+}
 
-    const json = await response.json();
-    const parsed = extractJsonObject(parseOutputText(json));
-    if (!parsed || typeof parsed !== "object") {
-      throw new Error(t("errInvalidModelOutput", undefined, "Model response format was invalid."));
-    }
+const COMPOSE_VARIANT_PROMPTS = {
+  regenerate: "Write a new version that takes a different angle from this earlier answer",
+  shorter: "Rewrite this earlier answer more briefly, keeping its strongest points",
+  longer: "Expand this earlier answer with more supporting detail from the documents"
+};
 
-    const answersByUid = {};
-    fields.forEach((field) => {
-      const raw = parsed[field.uid];
-      answersByUid[field.uid] = cleanModelAnswer(typeof raw === "string" ? raw : "");
-    });
-    return answersByUid;
-  } catch (error) {
-    if (error?.name === "AbortError") {
-      const timeoutError = new Error(t("errOpenAiTimeout", undefined, "OpenAI request timed out."));
-      timeoutError.status = 408;
-      throw timeoutError;
+// Essay-style questions get their own request: the answer is written from the documents rather than extracted.
+async function composeLongAnswer({ apiKey, provider, vectorStoreIds, model, instructions, field, page, compose, signal, rateLimit }) {
+  const { tone, length } = normalizeComposeOptions(compose);
+  const variant = normalizeComposeVariant(compose?.variant);
+  const previousAnswer = variant ? String(compose.previousAnswer || "").trim().slice(0, 4000) : "";
+  const maxLength = fieldMaxLength(field);
+  const words = composeTargetWords({ length, maxLength, variant, previousAnswer });
+
+  const body = {
+    model,
+    temperature: variant ? 0.9 : 0.4,
+    tools: [
+      {
+        type: "file_search",
+        vector_store_ids: vectorStoreIds
+      }
+    ],
+    include: ["file_search_call.results"],
+    input: [
+      {
+        role: "system",
+        content: [
+          {
+            type: "input_text",
+            text: "You answer open-ended questions on web forms, such as motivation statements and cover letters, in the first person as the person the retrieved documents describe. Use only facts the documents support; never invent employers, dates or figures. Write plain text without markdown, headings or placeholders, and separate paragraphs with a blank line. Answer NOT_FOUND when the documents contain nothing relevant. Confidence must reflect how well the documents support the answer."
+          },
+          ...(instructions ? [{ type: "input_text", text: `Profile instructions: ${instructions}` }] : [])
+        ]
+      },
+      {
+        role: "user",
+        content: [
+          {
+            type: "input_text",
+            text: `${page ? `Page context: ${JSON.stringify(page)}. ` : ""}Question: ${JSON.stringify(buildFieldContext(field))}. Write about ${words} words in a ${tone} tone${maxLength ? ` and no more than ${maxLength} characters` : ""}.${previousAnswer ? ` ${COMPOSE_VARIANT_PROMPTS[variant]}: ${JSON.stringify(previousAnswer)}` : ""}`
+          }
+        ]
+      }
+    ],
+    text: {
+      format: {
+        type: "json_schema",
+        name: "long_form_answer",
+        strict: true,
+        schema: buildComposeAnswerSchema()
+      }
     }
-    throw error;
-  } finally {
-    clearTimeout(timeout);
+  };
+
+  const json = await postResponsesRequest({ apiKey, provider, body, signal, rateLimit, timeoutMs: COMPOSE_REQUEST_TIMEOUT_MS });
+  const outputText = parseOutputText(json);
+  const parsed = parseComposedAnswer(outputText, maxLength);
+  if (!parsed.ok) {
+    throw createInvalidOutputError(json);
   }
+  return {
+    value: parsed.value,
+    confidence: parsed.confidence,
+    source: parsed.value ? resolveAnswerSources(json, outputText, { [field.uid]: parsed.value })[field.uid] || null : null,
+    usage: extractResponseUsage(json)
+  };
 }
 
-async function uploadFileToOpenAI({ apiKey, file }) {
+async function uploadFileToOpenAI({ apiKey, provider, file }) {
   if (!file?.filename || !file?.base64) {
     throw new Error(t("errInvalidFilePayload", undefined, "Invalid file payload."));
   }
@@ -449,9 +850,9 @@ async function uploadFileToOpenAI({ apiKey, file }) {
   formData.append("purpose", "assistants");
   formData.append("file", blob, file.filename);
 
-  const response = await fetch(OPENAI_FILES_URL, {
+  const response = await providerFetch(provider, "/files", {
     method: "POST",
-    headers: buildOpenAIHeaders(apiKey, false, false),
+    headers: buildOpenAIHeaders(provider, apiKey, false, false),
     body: formData
   });
 
@@ -463,10 +864,10 @@ async function uploadFileToOpenAI({ apiKey, file }) {
   return response.json();
 }
 
-async function attachFileToVectorStore({ apiKey, vectorStoreId, fileId }) {
-  const response = await fetch(`https://api.openai.com/v1/vector_stores/${encodeURIComponentSafe(vectorStoreId)}/files`, {
+async function attachFileToVectorStore({ apiKey, provider, vectorStoreId, fileId }) {
+  const response = await providerFetch(provider, `/vector_stores/${encodeURIComponentSafe(vectorStoreId)}/files`, {
     method: "POST",
-    headers: buildOpenAIHeaders(apiKey, true, true),
+    headers: buildOpenAIHeaders(provider, apiKey, true, true),
     body: JSON.stringify({ file_id: fileId })
   });
 
@@ -478,10 +879,10 @@ async function attachFileToVectorStore({ apiKey, vectorStoreId, fileId }) {
   return response.json();
 }
 
-async function detachFileFromVectorStore({ apiKey, vectorStoreId, fileId }) {
-  const response = await fetch(`https://api.openai.com/v1/vector_stores/${encodeURIComponentSafe(vectorStoreId)}/files/${encodeURIComponentSafe(fileId)}`, {
+async function detachFileFromVectorStore({ apiKey, provider, vectorStoreId, fileId }) {
+  const response = await providerFetch(provider, `/vector_stores/${encodeURIComponentSafe(vectorStoreId)}/files/${encodeURIComponentSafe(fileId)}`, {
     method: "DELETE",
-    headers: buildOpenAIHeaders(apiKey, false, true)
+    headers: buildOpenAIHeaders(provider, apiKey, false, true)
   });
 
   if (!response.ok) {
@@ -490,10 +891,10 @@ async function detachFileFromVectorStore({ apiKey, vectorStoreId, fileId }) {
   }
 }
 
-async function deleteOpenAIFile({ apiKey, fileId }) {
-  const response = await fetch(`${OPENAI_FILES_URL}/${encodeURIComponentSafe(fileId)}`, {
+async function deleteOpenAIFile({ apiKey, provider, fileId }) {
+  const response = await providerFetch(provider, `/files/${encodeURIComponentSafe(fileId)}`, {
     method: "DELETE",
-    headers: buildOpenAIHeaders(apiKey, false, false)
+    headers: buildOpenAIHeaders(provider, apiKey, false, false)
   });
 
   if (!response.ok) {
@@ -502,16 +903,16 @@ async function deleteOpenAIFile({ apiKey, fileId }) {
   }
 }
 
-async function listAllVectorStoreFilesRaw({ apiKey, vectorStoreId }) {
+async function listAllVectorStoreFilesRaw({ apiKey, provider, vectorStoreId }) {
   const allFiles = [];
   let after = "";
 
   while (true) {
-    const afterQuery = after ? `&after=${encodeURIComponentSafe(after)}` : "";
-    const response = await fetch(`https://api.openai.com/v1/vector_stores/${encodeURIComponentSafe(vectorStoreId)}/files?limit=100${afterQuery}`, {
+    const query = after ? { limit: "100", after } : { limit: "100" };
+    const response = await providerFetch(provider, `/vector_stores/${encodeURIComponentSafe(vectorStoreId)}/files`, {
       method: "GET",
-      headers: buildOpenAIHeaders(apiKey, false, true)
-    });
+      headers: buildOpenAIHeaders(provider, apiKey, false, true)
+    }, query);
 
     if (!response.ok) {
       const details = await parseErrorDetails(response);
@@ -537,13 +938,13 @@ async function listAllVectorStoreFilesRaw({ apiKey, vectorStoreId }) {
   return allFiles;
 }
 
-async function listVectorStoreFiles({ apiKey, vectorStoreId }) {
+async function listVectorStoreFiles({ apiKey, provider, vectorStoreId }) {
   const [vsFiles, allFilesResponse] = await Promise.all([
-    listAllVectorStoreFilesRaw({ apiKey, vectorStoreId }),
-    fetch(`${OPENAI_FILES_URL}?limit=100`, {
+    listAllVectorStoreFilesRaw({ apiKey, provider, vectorStoreId }),
+    providerFetch(provider, "/files", {
       method: "GET",
-      headers: buildOpenAIHeaders(apiKey, false, false)
-    })
+      headers: buildOpenAIHeaders(provider, apiKey, false, false)
+    }, { limit: "100" })
   ]);
 
   const fileNameById = {};
@@ -573,11 +974,11 @@ async function listVectorStoreFiles({ apiKey, vectorStoreId }) {
   });
 }
 
-async function listVectorStores({ apiKey }) {
-  const response = await fetch("https://api.openai.com/v1/vector_stores?limit=100", {
+async function listVectorStores({ apiKey, provider }) {
+  const response = await providerFetch(provider, "/vector_stores", {
     method: "GET",
-    headers: buildOpenAIHeaders(apiKey, false, true)
-  });
+    headers: buildOpenAIHeaders(provider, apiKey, false, true)
+  }, { limit: "100" });
 
   if (!response.ok) {
     const details = await parseErrorDetails(response);
@@ -588,10 +989,10 @@ async function listVectorStores({ apiKey }) {
   return Array.isArray(payload?.data) ? payload.data : [];
 }
 
-async function createVectorStore({ apiKey, name }) {
-  const response = await fetch("https://api.openai.com/v1/vector_stores", {
+async function createVectorStore({ apiKey, provider, name }) {
+  const response = await providerFetch(provider, "/vector_stores", {
     method: "POST",
-    headers: buildOpenAIHeaders(apiKey, true, true),
+    headers: buildOpenAIHeaders(provider, apiKey, true, true),
     body: JSON.stringify({ name })
   });
 
@@ -603,134 +1004,1233 @@ async function createVectorStore({ apiKey, name }) {
   return response.json();
 }
 
-async function processAutofill(tabId) {
-  const settings = await getSettings();
-  const apiKey = settings.apiKey?.trim();
-  const vectorStoreId = settings.vectorStoreId?.trim();
-  const model = settings.model?.trim() || "gpt-4.1-mini";
-
-  if (!apiKey) {
-    throw new Error(t("errApiKeyMissingPopup", undefined, "OpenAI API key is missing. Add it in the extension popup."));
-  }
-  if (!vectorStoreId) {
-    throw new Error(t("errVectorStoreMissingPopup", undefined, "Vector Store ID is missing. Add it in the extension popup."));
-  }
+async function getPendingReviews() {
+  const data = await storageGet([PENDING_REVIEWS_KEY], "session");
+  return data[PENDING_REVIEWS_KEY] || {};
+}
 
-  const fieldsResponse = await tabMessage(tabId, { type: "GET_FORM_FIELDS", includeSensitive: false });
-  if (!fieldsResponse?.ok) {
-    throw new Error(fieldsResponse?.error || "Unable to read form fields from page.");
-  }
+async function getPendingReview(tabId) {
+  const reviews = await getPendingReviews();
+  return reviews[String(tabId)] || null;
+}
 
-  const fields = Array.isArray(fieldsResponse.fields) ? fieldsResponse.fields : [];
-  if (!fields.length) {
-    await safeRuntimeMessage({
-      type: "AUTOFILL_STATUS",
-      message: t("statusNoEditableFields", undefined, "No supported editable fields found on this page."),
-      error: false
+function updatePendingReviews(update) {
+  pendingReviewsWrite = pendingReviewsWrite
+    .catch(() => undefined)
+    .then(async () => {
+      await storageSet({ [PENDING_REVIEWS_KEY]: update(await getPendingReviews()) }, "session");
     });
-    return;
-  }
+  return pendingReviewsWrite;
+}
 
-  await safeRuntimeMessage({
-    type: "AUTOFILL_STATUS",
-    message: t("statusFoundFieldsFilling", [String(fields.length)], `Found ${fields.length} field(s). Filling now...`),
-    error: false
+function setPendingReview(tabId, review) {
+  return updatePendingReviews((reviews) => {
+    if (review) {
+      reviews[String(tabId)] = review;
+    } else {
+      delete reviews[String(tabId)];
+    }
+    return reviews;
   });
+}
 
-  const byFingerprint = new Map();
-  fields.forEach((field) => {
-    const key = fieldFingerprint(field);
-    if (!byFingerprint.has(key)) {
-      byFingerprint.set(key, field);
+// Popup edits are kept beside the proposed value, so closing the popup loses neither and
+// applying the review can still tell an edited value from an untouched proposal.
+function processUpdateReview(tabId, updates) {
+  const byUid = new Map((Array.isArray(updates) ? updates : [])
+    .filter((update) => update && update.uid)
+    .map((update) => [update.uid, update]));
+  return updatePendingReviews((reviews) => {
+    const review = reviews[String(tabId)];
+    if (!review) {
+      return reviews;
     }
-  });
+    review.entries = review.entries.map((entry) => {
+      const update = byUid.get(entry.uid);
+      if (!update) {
+        return entry;
+      }
+      const next = { ...entry };
+      if (typeof update.draft === "string") {
+        next.draft = update.draft;
+      }
+      if (["accepted", "rejected", ""].includes(update.decision)) {
+        next.decision = update.decision;
+      }
+      return next;
+    });
+    return reviews;
+  }).then(() => ({ ok: true }));
+}
 
-  const uniqueFields = Array.from(byFingerprint.values());
-  const batches = chunkArray(uniqueFields, AUTOFILL_BATCH_SIZE);
-  const answerByFingerprint = new Map();
-  const errorByFingerprint = new Map();
+async function getWizardSessions() {
+  const data = await storageGet([WIZARD_SESSIONS_KEY], "session");
+  return data[WIZARD_SESSIONS_KEY] || {};
+}
 
-  await runWithConcurrency(batches, AUTOFILL_MAX_CONCURRENCY, async (batch) => {
-    try {
-      const answersByUid = await withRetry(
-        () => queryFieldBatchAnswers({ apiKey, vectorStoreId, model, fields: batch }),
-        AUTOFILL_RETRIES
-      );
+async function getWizardSession(tabId) {
+  const sessions = await getWizardSessions();
+  return sessions[String(tabId)] || null;
+}
 
-      batch.forEach((field) => {
-        const key = fieldFingerprint(field);
-        answerByFingerprint.set(key, answersByUid[field.uid] || "");
-      });
-    } catch (error) {
-      batch.forEach((field) => {
-        const key = fieldFingerprint(field);
-        errorByFingerprint.set(key, error.message || t("requestFailed", undefined, "request failed"));
-      });
+async function setWizardSession(tabId, session) {
+  const sessions = await getWizardSessions();
+  if (session) {
+    sessions[String(tabId)] = session;
+  } else {
+    delete sessions[String(tabId)];
+  }
+  await storageSet({ [WIZARD_SESSIONS_KEY]: sessions }, "session");
+}
+
+async function notifyWizardSession(tabId, session) {
+  await actionSetBadgeText({ tabId, text: session && session.pendingUrl ? String(session.steps.length + 1) : "" });
+  await safeRuntimeMessage({
+    type: "AUTOFILL_WIZARD_UPDATED",
+    tabId,
+    session,
+    summary: session ? summarizeWizardSession(session) : null
+  });
+}
+
+async function recordWizardStep(tabId, result) {
+  const tab = await getTab(tabId);
+  if (!tab || !tab.url) {
+    return null;
+  }
+  const settings = await getSettings(tab.url);
+  if (settings.wizardMode === "off") {
+    return null;
+  }
+
+  const existing = await getWizardSession(tabId);
+  const session = existing && isSameWizardSite(existing, tab.url) && !isWizardSessionExpired(existing)
+    ? existing
+    : createWizardSession(tabId, tab.url);
+  addWizardStep(session, { url: tab.url, title: tab.title, ...result });
+  await setWizardSession(tabId, session);
+  await notifyWizardSession(tabId, session);
+  return session;
+}
+
+async function endWizardSession(tabId) {
+  await setWizardSession(tabId, null);
+  await notifyWizardSession(tabId, null);
+}
+
+// Filling later steps without asking is only turned on from the popup for the current session.
+async function startWizardAutoContinue(tabId) {
+  const session = await getWizardSession(tabId);
+  if (!session || isWizardSessionExpired(session)) {
+    throw new Error(t("errNoWizardSession", undefined, "There is no multi-page session for this tab."));
+  }
+  session.autoContinue = true;
+  await setWizardSession(tabId, session);
+  await notifyWizardSession(tabId, session);
+  return { ok: true, session, summary: summarizeWizardSession(session) };
+}
+
+async function handleWizardNavigation(tabId, changeInfo, tab) {
+  const session = await getWizardSession(tabId);
+  const change = detectStepChange(changeInfo, tab, session);
+  if (!change) {
+    return;
+  }
+
+  const url = changeInfo.url || tab?.url || "";
+  const submitted = formSubmitUrlByTab.get(tabId) === url;
+  formSubmitUrlByTab.delete(tabId);
+  const settings = await getSettings(url);
+  if (
+    settings.wizardMode === "off"
+    || settings.siteRule?.fill === "never"
+    || !isSameWizardSite(session, url)
+    || isWizardSessionExpired(session)
+    || !continuesWizardFlow(session, submitted)
+  ) {
+    await endWizardSession(tabId);
+    return;
+  }
+  if (activeRunsByTab.has(tabId)) {
+    return;
+  }
+
+  if (change === "route") {
+    await sleep(WIZARD_ROUTE_SETTLE_MS);
+  }
+
+  // Without a fresh activeTab grant the page may not accept the script; the step is then offered
+  // so that opening the popup (which grants access again) can fill it.
+  // A page without a form (a confirmation page, or the user browsing elsewhere on the site) ends the flow.
+  const injected = await ensureContentScriptInjected(tabId);
+  if (injected && !(await detectTabHasFillableForm(tabId))) {
+    await endWizardSession(tabId);
+    return;
+  }
+
+  session.lastUrl = url;
+  if (injected && settings.wizardMode === "auto" && session.autoContinue) {
+    await setWizardSession(tabId, session);
+    if (!activeRunsByTab.has(tabId)) {
+      startAutofillRun(tabId);
+    }
+    return;
+  }
+
+  session.pendingUrl = url;
+  await setWizardSession(tabId, session);
+  await notifyWizardSession(tabId, session);
+}
+
+async function loadAnswerCache() {
+  const data = await storageGet([ANSWER_CACHE_KEY], "local");
+  return data[ANSWER_CACHE_KEY] || {};
+}
+
+// Every write re-reads the stored cache, so an invalidation made during a run is not undone by its answers.
+function updateAnswerCache(update) {
+  answerCacheWrite = answerCacheWrite
+    .catch(() => undefined)
+    .then(async () => {
+      await storageSet({ [ANSWER_CACHE_KEY]: update(await loadAnswerCache()) }, "local");
+    });
+  return answerCacheWrite;
+}
+
+function storeCachedAnswers(scope, model, answers) {
+  if (!answers.length) {
+    return Promise.resolve();
+  }
+  return updateAnswerCache((cache) => answers.reduce(
+    (next, [fingerprint, answer]) => putCachedAnswer(next, scope, model, fingerprint, answer),
+    cache
+  ));
+}
+
+function invalidateAnswerCache(vectorStoreId) {
+  return updateAnswerCache((cache) => invalidateVectorStore(cache, vectorStoreId));
+}
+
+async function processClearAnswerCache() {
+  let cleared = 0;
+  await updateAnswerCache((cache) => {
+    cleared = countCachedAnswers(cache);
+    return {};
+  });
+  return { ok: true, cleared };
+}
+
+async function loadUsageLedger() {
+  const data = await storageGet([USAGE_LEDGER_KEY], "local");
+  return normalizeLedger(data[USAGE_LEDGER_KEY]);
+}
+
+function recordUsageTotals(totalsByModel) {
+  const models = Object.keys(totalsByModel || {});
+  if (!models.length) {
+    return usageLedgerWrite;
+  }
+
+  usageLedgerWrite = usageLedgerWrite
+    .catch(() => undefined)
+    .then(async () => {
+      let ledger = await loadUsageLedger();
+      models.forEach((model) => {
+        ledger = recordUsage(ledger, model, totalsByModel[model]);
+      });
+      await storageSet({ [USAGE_LEDGER_KEY]: ledger }, "local");
+    });
+  return usageLedgerWrite;
+}
+
+async function loadCorrections() {
+  const data = await storageGet([CORRECTIONS_KEY], "local");
+  return normalizeCorrections(data[CORRECTIONS_KEY]);
+}
+
+function updateCorrections(update) {
+  correctionsWrite = correctionsWrite
+    .catch(() => undefined)
+    .then(async () => {
+      await storageSet({ [CORRECTIONS_KEY]: update(await loadCorrections()) }, "local");
+    });
+  return correctionsWrite;
+}
+
+async function loadHistory() {
+  const data = await storageGet([HISTORY_KEY], "local");
+  return normalizeHistory(data[HISTORY_KEY]);
+}
+
+function updateHistory(update) {
+  historyWrite = historyWrite
+    .catch(() => undefined)
+    .then(async () => {
+      await storageSet({ [HISTORY_KEY]: update(await loadHistory()) }, "local");
+    });
+  return historyWrite;
+}
+
+function historyOrigin(entry) {
+  if (entry.learned) {
+    return "correction";
+  }
+  if (entry.local) {
+    return "details";
+  }
+  return entry.cached ? "cache" : "model";
+}
+
+function historyResult(entry, status, error = "") {
+  return {
+    label: entry.label,
+    value: entry.value,
+    status,
+    confidence: entry.confidence,
+    origin: historyOrigin(entry),
+    source: entry.source || null,
+    sensitive: Boolean(entry.sensitive),
+    error
+  };
+}
+
+// A failed write never fails the fill it describes; it is kept for the History view to report instead.
+async function recordFillRun({ tab, settings, mode, status, startedAt, results }) {
+  if (!settings.historyRetention || !results.length) {
+    return;
+  }
+  const run = createRunRecord({
+    url: tab && tab.url,
+    title: tab && tab.title,
+    profile: settings.profileName,
+    model: settings.model?.trim() || "gpt-4.1-mini",
+    mode,
+    status,
+    startedAt,
+    entries: results,
+    redact: settings.historyRedactValues
+  });
+  try {
+    await updateHistory((store) => recordRun(store, run, settings.historyRetention));
+    await storageRemove([HISTORY_ERROR_KEY], "session").catch(() => undefined);
+  } catch (error) {
+    await storageSet({
+      [HISTORY_ERROR_KEY]: { message: error?.message || "unknown error", at: Date.now(), site: run.site }
+    }, "session").catch(() => undefined);
+  }
+}
+
+// Corrections are keyed on the full field descriptor, whatever the page-context setting,
+// and never on sensitive fields so their values are not kept.
+function correctionFingerprints(rawFields) {
+  const fingerprints = new Map();
+  rawFields.forEach((field) => {
+    if (field && field.uid && !isSensitiveFieldDescriptor(field).sensitive) {
+      fingerprints.set(field.uid, fieldFingerprint(field, null));
+    }
+  });
+  return fingerprints;
+}
+
+// Answers known without asking the model: the user's own corrections and the profile's local details.
+function presetEntry(field, value, correctionKey, origin) {
+  return {
+    uid: field.uid,
+    label: fieldDisplayName(field),
+    value,
+    confidence: 1,
+    needsReview: false,
+    source: null,
+    cached: false,
+    learned: origin === "learned",
+    local: origin === "local",
+    correctionKey,
+    error: ""
+  };
+}
+
+function presetAnswers(fields, fingerprints, corrections, host, details) {
+  const localMatches = matchLocalDetails(fields, details);
+  const presets = new Map();
+  fields.forEach((field) => {
+    const correctionKey = fingerprints.get(field.uid) || "";
+    const correction = findCorrection(corrections, host, correctionKey);
+    if (correction) {
+      presets.set(field.uid, presetEntry(field, correction.value, correctionKey, "learned"));
+    } else if (localMatches.has(field.uid)) {
+      presets.set(field.uid, presetEntry(field, localMatches.get(field.uid).value, correctionKey, "local"));
+    }
+  });
+  return presets;
+}
+
+async function processRecordCorrection(pageUrl, payload) {
+  const host = siteKeyForUrl(pageUrl);
+  const fingerprint = String(payload?.correctionKey || "");
+  if (!host || !fingerprint) {
+    return { ok: false, error: t("errInvalidFieldPayload", undefined, "Invalid field payload.") };
+  }
+
+  await updateCorrections((store) => recordCorrection(store, {
+    host,
+    fingerprint,
+    label: payload.label,
+    value: payload.value,
+    original: payload.original
+  }));
+  return { ok: true };
+}
+
+async function processCorrectionsList() {
+  return { ok: true, corrections: listCorrections(await loadCorrections()) };
+}
+
+async function processCorrectionDelete(key) {
+  if (!key) {
+    throw new Error(t("errCouldNotDeleteCorrection", undefined, "Could not delete the correction."));
+  }
+  await updateCorrections((store) => removeCorrection(store, key));
+  return { ok: true };
+}
+
+async function processCorrectionsClear() {
+  const cleared = listCorrections(await loadCorrections()).length;
+  await updateCorrections(() => normalizeCorrections(null));
+  return { ok: true, cleared };
+}
+
+async function processHistoryList() {
+  const [history, errorData] = await Promise.all([loadHistory(), storageGet([HISTORY_ERROR_KEY], "session")]);
+  return { ok: true, runs: history.runs, writeError: errorData[HISTORY_ERROR_KEY] || null };
+}
+
+async function processHistoryDelete(id) {
+  if (!id) {
+    throw new Error(t("errCouldNotDeleteHistoryRun", undefined, "Could not delete the history entry."));
+  }
+  await updateHistory((store) => removeRun(store, id));
+  return { ok: true };
+}
+
+async function processHistoryClear() {
+  const cleared = (await loadHistory()).runs.length;
+  await updateHistory(() => normalizeHistory(null));
+  return { ok: true, cleared };
+}
+
+async function processHistoryExport(format) {
+  const history = await loadHistory();
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === "csv") {
+    return { ok: true, filename: `ai-form-filler-history-${date}.csv`, mimeType: "text/csv", content: historyToCsv(history) };
+  }
+  return { ok: true, filename: `ai-form-filler-history-${date}.json`, mimeType: "application/json", content: historyToJson(history) };
+}
+
+// Lowering the retention setting trims stored runs right away instead of on the next fill.
+async function applyHistoryRetention() {
+  const { historyRetention } = await getSettings();
+  await updateHistory((store) => applyRetention(store, historyRetention));
+}
+
+async function ensureWithinBudget(settings) {
+  const budget = checkBudget(await loadUsageLedger(), settings);
+  if (budget.ok) {
+    return;
+  }
+
+  const spent = formatCost(budget.spent);
+  const limit = formatCost(budget.limit);
+  throw new Error(budget.period === "daily"
+    ? t("errDailyBudgetExceeded", [spent, limit], `Daily budget reached (${spent} of ${limit}). Raise it in Configuration or try again tomorrow.`)
+    : t("errMonthlyBudgetExceeded", [spent, limit], `Monthly budget reached (${spent} of ${limit}). Raise it in Configuration or try again next month.`));
+}
+
+async function processUsageSummary() {
+  const [ledger, settings] = await Promise.all([loadUsageLedger(), getSettings()]);
+  const { day, month } = periodKeys();
+  return {
+    ok: true,
+    today: summarizeUsage(ledger.days[day]),
+    month: summarizeUsage(ledger.months[month]),
+    monthByModel: ledger.months[month] || {},
+    dailyBudget: settings.dailyBudget,
+    monthlyBudget: settings.monthlyBudget
+  };
+}
+
+async function reportRunUsage(runUsage) {
+  await recordUsageTotals(runUsage);
+  const run = summarizeUsage(runUsage);
+  if (!run.requests) {
+    return;
+  }
+
+  const summary = await processUsageSummary();
+  await safeRuntimeMessage({
+    type: "AUTOFILL_USAGE",
+    run,
+    today: summary.today,
+    month: summary.month
+  });
+}
+
+async function collectAutofillAnswers({
+  apiKey,
+  provider,
+  vectorStoreIds,
+  model,
+  instructions,
+  fields,
+  page,
+  minConfidence,
+  compose,
+  signal,
+  usage
+}) {
+  const cacheScope = storeScopeKey(vectorStoreIds, providerHost(provider));
+  const cacheModel = modelScopeKey(model, instructions);
+  const byFingerprint = new Map();
+  fields.forEach((field) => {
+    const key = fieldFingerprint(field, page);
+    if (!byFingerprint.has(key)) {
+      byFingerprint.set(key, field);
+    }
+  });
+
+  const cache = await loadAnswerCache();
+  const answerByFingerprint = new Map();
+  const sourceByFingerprint = new Map();
+  const confidenceByFingerprint = new Map();
+  const errorByFingerprint = new Map();
+  const cachedFingerprints = new Set();
+  const freshAnswers = [];
+
+  // Composed answers are cached under their tone and length; the inline rewrite buttons compose fresh ones.
+  const cacheKeyFor = (field, key) => (isLongFormField(field) ? composeCacheKey(key, compose) : key);
+  byFingerprint.forEach((field, key) => {
+    const cached = getCachedAnswer(cache, cacheScope, cacheModel, cacheKeyFor(field, key));
+    if (cached) {
+      answerByFingerprint.set(key, cached.value);
+      sourceByFingerprint.set(key, cached.source);
+      confidenceByFingerprint.set(key, cached.confidence);
+      cachedFingerprints.add(key);
+    }
+  });
+
+  const uniqueFields = Array.from(byFingerprint.entries())
+    .filter(([key]) => !cachedFingerprints.has(key))
+    .map(([, field]) => field);
+  const longFields = uniqueFields.filter(isLongFormField);
+  const pendingFields = uniqueFields.filter((field) => !isLongFormField(field));
+  const rateLimit = createRateLimitState({ maxConcurrency: AUTOFILL_MAX_CONCURRENCY });
+  // Each batch is cut only when a worker is free to send it, so it is sized from the latest headers.
+  const nextBatch = () => takeBatch(pendingFields, estimateFieldTokens, {
+    maxTokens: rateLimit.batchTokenBudget(AUTOFILL_BATCH_TOKEN_BUDGET),
+    maxItems: AUTOFILL_MAX_BATCH_FIELDS
+  });
+
+  const queryBatch = async (batch) => {
+    try {
+      const { answersByUid, sourcesByUid, confidenceByUid, usage: batchUsage } = await withRetry(
+        () => queryFieldBatchAnswers({ apiKey, provider, vectorStoreIds, model, instructions, fields: batch, page, signal, rateLimit }),
+        AUTOFILL_RETRIES,
+        signal,
+        rateLimit
+      );
+      addUsage(usage, model, batchUsage);
+
+      batch.forEach((field) => {
+        const key = fieldFingerprint(field, page);
+        answerByFingerprint.set(key, answersByUid[field.uid] || "");
+        sourceByFingerprint.set(key, sourcesByUid[field.uid] || null);
+        confidenceByFingerprint.set(key, confidenceByUid[field.uid] || 0);
+        freshAnswers.push([key, {
+          value: answersByUid[field.uid] || "",
+          confidence: confidenceByUid[field.uid] || 0,
+          source: sourcesByUid[field.uid] || null
+        }]);
+      });
+    } catch (error) {
+      if (error?.usage) {
+        addUsage(usage, model, error.usage);
+      }
+      if (error?.cancelled) {
+        return;
+      }
+      if (error?.invalidOutput && batch.length > 1) {
+        for (const field of batch) {
+          if (signal?.aborted) {
+            return;
+          }
+          await queryBatch([field]);
+        }
+        return;
+      }
+
+      batch.forEach((field) => {
+        const key = fieldFingerprint(field, page);
+        errorByFingerprint.set(key, error.message || t("requestFailed", undefined, "request failed"));
+      });
+    }
+  };
+
+  const composeField = async (field) => {
+    const key = fieldFingerprint(field, page);
+    try {
+      const composed = await withRetry(
+        () => composeLongAnswer({ apiKey, provider, vectorStoreIds, model, instructions, field, page, compose, signal, rateLimit }),
+        AUTOFILL_RETRIES,
+        signal,
+        rateLimit
+      );
+      addUsage(usage, model, composed.usage);
+      answerByFingerprint.set(key, composed.value);
+      sourceByFingerprint.set(key, composed.source);
+      confidenceByFingerprint.set(key, composed.confidence);
+      freshAnswers.push([cacheKeyFor(field, key), {
+        value: composed.value,
+        confidence: composed.confidence,
+        source: composed.source
+      }]);
+    } catch (error) {
+      if (error?.usage) {
+        addUsage(usage, model, error.usage);
+      }
+      if (!error?.cancelled) {
+        errorByFingerprint.set(key, error.message || t("requestFailed", undefined, "request failed"));
+      }
+    }
+  };
+
+  // One job per field is an upper bound on the batch count; jobs left with no fields do nothing.
+  const batchJobs = pendingFields.map(() => async () => {
+    const batch = nextBatch();
+    if (batch.length) {
+      await queryBatch(batch);
     }
   });
+  const jobs = batchJobs.concat(longFields.map((field) => () => composeField(field)));
+  await runWithConcurrency(jobs, AUTOFILL_MAX_CONCURRENCY, (job) => job(), signal, rateLimit.concurrency);
+  await storeCachedAnswers(cacheScope, cacheModel, freshAnswers);
+
+  return fields.map((field) => {
+    const key = fieldFingerprint(field, page);
+    const value = answerByFingerprint.get(key) || "";
+    const confidence = confidenceByFingerprint.get(key) || 0;
+    return {
+      uid: field.uid,
+      label: fieldDisplayName(field),
+      value,
+      confidence,
+      needsReview: Boolean(value) && confidence < minConfidence,
+      source: sourceByFingerprint.get(key) || null,
+      cached: cachedFingerprints.has(key),
+      error: errorByFingerprint.get(key) || "",
+      ...(isLongFormField(field) ? { longForm: true } : {})
+    };
+  });
+}
+
+// Re-asks the model once for an answer the page rejected; learned, local and composed answers are never re-asked.
+function createInvalidAnswerRetry({ apiKey, provider, vectorStoreIds, model, instructions, fields, page, minConfidence, signal }) {
+  const fieldsByUid = new Map(fields.map((field) => [field.uid, field]));
+
+  return async (entry, validationMessage) => {
+    const field = fieldsByUid.get(entry.uid);
+    if (!field || entry.learned || entry.local || entry.longForm) {
+      return null;
+    }
+
+    let result;
+    try {
+      result = await withRetry(
+        () => queryFieldBatchAnswers({
+          apiKey,
+          provider,
+          vectorStoreIds,
+          model,
+          instructions,
+          fields: [{ ...field, retry: { previousAnswer: entry.value, validationMessage } }],
+          page,
+          signal
+        }),
+        AUTOFILL_RETRIES,
+        signal
+      );
+    } catch (error) {
+      if (error?.usage) {
+        await recordUsageTotals(addUsage({}, model, error.usage));
+      }
+      return null;
+    }
+    await recordUsageTotals(addUsage({}, model, result.usage));
+
+    const value = result.answersByUid[field.uid] || "";
+    const confidence = result.confidenceByUid[field.uid] || 0;
+    if (!value || value === entry.value || confidence < minConfidence) {
+      return null;
+    }
+
+    const retried = { value, confidence, source: result.sourcesByUid[field.uid] || null, cached: false };
+    await storeCachedAnswers(storeScopeKey(vectorStoreIds, providerHost(provider)), modelScopeKey(model, instructions), [
+      [fieldFingerprint(field, page), { value, confidence, source: retried.source }]
+    ]);
+    return retried;
+  };
+}
+
+async function applyAutofillEntries(tabId, entries, signal, allowSensitive = false, retryInvalid = null) {
+  const runId = `run-${Date.now()}`;
+  let filled = 0;
+  let skipped = 0;
+  let needsReview = 0;
+  const results = [];
+
+  for (let i = 0; i < entries.length; i += 1) {
+    if (signal?.aborted) {
+      return { filled, skipped, needsReview, cancelled: true, remaining: entries.length - i, runId, results };
+    }
+
+    let entry = entries[i];
+    const label = entry.label;
+
+    if (entry.error) {
+      await safeRuntimeMessage({
+        type: "AUTOFILL_PROGRESS",
+        message: t(
+          "progressError",
+          [String(i + 1), String(entries.length), label, entry.error],
+          `[${i + 1}/${entries.length}] Error: ${label} -> ${entry.error}`
+        )
+      });
+      results.push(historyResult(entry, "error", entry.error));
+      skipped += 1;
+      continue;
+    }
+
+    if (!entry.value) {
+      await safeRuntimeMessage({
+        type: "AUTOFILL_PROGRESS",
+        message: t("progressNotFound", [String(i + 1), String(entries.length), label], `[${i + 1}/${entries.length}] Not found: ${label}`),
+        cached: Boolean(entry.cached)
+      });
+      results.push(historyResult(entry, "notFound"));
+      skipped += 1;
+      continue;
+    }
+
+    if (entry.needsReview) {
+      await fieldMessage(tabId, {
+        type: "MARK_FIELD_NEEDS_REVIEW",
+        uid: entry.uid,
+        value: entry.value,
+        confidence: entry.confidence
+      });
+      await safeRuntimeMessage({
+        type: "AUTOFILL_PROGRESS",
+        message: t(
+          "progressNeedsReview",
+          [String(i + 1), String(entries.length), label, formatConfidence(entry.confidence), entry.value],
+          `[${i + 1}/${entries.length}] Needs review (${formatConfidence(entry.confidence)}): ${label} -> ${entry.value}`
+        ),
+        source: entry.source || null,
+        cached: Boolean(entry.cached)
+      });
+      results.push(historyResult(entry, "needsReview"));
+      needsReview += 1;
+      continue;
+    }
+
+    const fillEntry = () => fieldMessage(tabId, {
+      type: "FILL_FORM_FIELD",
+      uid: entry.uid,
+      value: entry.value,
+      source: entry.source || null,
+      correctionKey: entry.correctionKey || "",
+      label,
+      longForm: Boolean(entry.longForm),
+      allowSensitive,
+      runId
+    });
+    let fillResponse = await fillEntry();
+    if (fillResponse?.invalid && retryInvalid) {
+      await safeRuntimeMessage({
+        type: "AUTOFILL_PROGRESS",
+        message: t(
+          "progressRetryingInvalid",
+          [String(i + 1), String(entries.length), label, fillResponse.validationMessage],
+          `[${i + 1}/${entries.length}] Rejected by the page, asking again: ${label} (${fillResponse.validationMessage})`
+        )
+      });
+      const retried = await retryInvalid(entry, fillResponse.validationMessage);
+      if (retried) {
+        entry = { ...entry, ...retried };
+        fillResponse = await fillEntry();
+      }
+    }
+    if (!fillResponse?.ok) {
+      await safeRuntimeMessage({
+        type: "AUTOFILL_PROGRESS",
+        message: t(
+          "progressCouldNotFill",
+          [String(i + 1), String(entries.length), label, fillResponse?.error || t("unknownError", undefined, "unknown error")],
+          `[${i + 1}/${entries.length}] Could not fill: ${label} (${fillResponse?.error || "unknown error"})`
+        )
+      });
+      results.push(historyResult(entry, "failed", fillResponse?.error || "unknown error"));
+      skipped += 1;
+      continue;
+    }
+
+    filled += 1;
+    results.push(historyResult(entry, "filled"));
+    await safeRuntimeMessage({
+      type: "AUTOFILL_PROGRESS",
+      message: t("progressFilled", [String(i + 1), String(entries.length), label], `[${i + 1}/${entries.length}] Filled: ${label}`),
+      source: entry.source || null,
+      cached: Boolean(entry.cached),
+      learned: Boolean(entry.learned),
+      local: Boolean(entry.local)
+    });
+  }
+
+  return { filled, skipped, needsReview, cancelled: false, remaining: 0, runId, results };
+}
+
+// Uploads in frames from another origin are left alone unless the site rule allows them.
+async function suggestLibraryAttachments(fileInputs, siteRule) {
+  const allowFrames = Boolean(siteRule) && siteRule.frameUploads === "all";
+  const inputs = (Array.isArray(fileInputs) ? fileInputs : []).filter((input) => allowFrames || !input.crossOrigin);
+  if (!inputs.length) {
+    return [];
+  }
+  const documents = await listDocuments().catch(() => []);
+  return suggestDocuments(documents, inputs);
+}
+
+// Sends each suggested library document to its file input; the page asks the user before attaching it.
+async function attachLibraryDocuments(tabId, attachments, signal, runId = `run-${Date.now()}`) {
+  let attached = 0;
+  const results = [];
+  for (const attachment of Array.isArray(attachments) ? attachments : []) {
+    if (signal?.aborted) {
+      break;
+    }
+
+    const { label, documentName } = attachment;
+    const record = await getDocument(attachment.documentId).catch(() => null);
+    if (!record || !record.blob) {
+      await safeRuntimeMessage({
+        type: "AUTOFILL_PROGRESS",
+        message: t("progressFileMissing", [documentName, label], `Document no longer in the library: ${documentName} (${label})`)
+      });
+      results.push({ label, value: documentName, status: "failed", origin: "library", error: "Document no longer in the library." });
+      continue;
+    }
+
+    const response = await fieldMessage(tabId, {
+      type: "ATTACH_LIBRARY_FILE",
+      uid: attachment.uid,
+      label,
+      runId,
+      file: {
+        name: record.name,
+        type: record.type,
+        base64: bytesToBase64(new Uint8Array(await record.blob.arrayBuffer()))
+      }
+    }).catch((error) => ({ ok: false, error: error.message }));
+
+    results.push({
+      label,
+      value: documentName,
+      status: response?.ok ? "attached" : response?.declined ? "declined" : "failed",
+      origin: "library",
+      error: response?.ok || response?.declined ? "" : response?.error || "unknown error"
+    });
+    if (response?.ok) {
+      attached += 1;
+      await safeRuntimeMessage({
+        type: "AUTOFILL_PROGRESS",
+        message: t("progressFileAttached", [documentName, label], `Attached ${documentName} to ${label}`)
+      });
+    } else {
+      await safeRuntimeMessage({
+        type: "AUTOFILL_PROGRESS",
+        message: response?.declined
+          ? t("progressFileDeclined", [documentName, label], `Not attached: ${documentName} (${label})`)
+          : t(
+            "progressFileFailed",
+            [documentName, label, response?.error || t("unknownError", undefined, "unknown error")],
+            `Could not attach ${documentName} to ${label} (${response?.error || "unknown error"})`
+          )
+      });
+    }
+  }
+  return { attached, results };
+}
+
+async function reportCancelledRun({ filled = 0, skipped = 0, remaining = 0 }) {
+  await safeRuntimeMessage({
+    type: "AUTOFILL_STATUS",
+    message: t(
+      "statusCancelledFilledSkipped",
+      [String(filled), String(skipped), String(remaining)],
+      `Cancelled. Filled ${filled}, skipped ${skipped}, ${remaining} not processed.`
+    ),
+    error: false,
+    cancelled: true
+  });
+}
+
+function beginAutofillRun(tabId) {
+  const previous = activeRunsByTab.get(tabId);
+  if (previous) {
+    previous.abort();
+  }
+
+  const controller = new AbortController();
+  activeRunsByTab.set(tabId, controller);
+  safeRuntimeMessage({ type: "AUTOFILL_RUN_STATE", tabId, running: true });
+  return controller;
+}
+
+function endAutofillRun(tabId, controller) {
+  if (activeRunsByTab.get(tabId) !== controller) {
+    return;
+  }
+  activeRunsByTab.delete(tabId);
+  safeRuntimeMessage({ type: "AUTOFILL_RUN_STATE", tabId, running: false });
+}
+
+function startAutofillRun(tabId) {
+  const run = beginAutofillRun(tabId);
+  return processAutofill(tabId, run.signal)
+    .then(() => {})
+    .catch(async (error) => {
+      await safeRuntimeMessage({
+        type: "AUTOFILL_STATUS",
+        message: error.message || t("errAutofillFailed", undefined, "Autofill failed."),
+        error: true
+      });
+    })
+    .finally(() => endAutofillRun(tabId, run));
+}
+
+function stopAutofillRun(tabId) {
+  const controller = activeRunsByTab.get(tabId);
+  if (!controller) {
+    return { ok: true, stopped: false };
+  }
+  controller.abort();
+  return { ok: true, stopped: true };
+}
+
+// Each page load is auto-filled at most once, however often the form re-renders.
+async function autoStartForSiteRule(tabId) {
+  if (!Number.isInteger(tabId) || activeRunsByTab.has(tabId)) {
+    return;
+  }
+
+  const tab = await getTab(tabId);
+  if (!tab || !tab.url || autoStartedUrlByTab.get(tabId) === tab.url) {
+    return;
+  }
+  const rule = await getSiteRule(tab.url);
+  if (!rule || rule.fill !== "auto" || autoStartedUrlByTab.get(tabId) === tab.url || activeRunsByTab.has(tabId)) {
+    return;
+  }
+
+  autoStartedUrlByTab.set(tabId, tab.url);
+  startAutofillRun(tabId);
+}
+
+// Sites whose rule shows the inline button or auto-starts get the page script on load,
+// but only when the user has granted access to that host.
+async function injectForSiteRule(tabId, changeInfo, tab) {
+  if (changeInfo.status !== "complete" || !tab || !tab.url) {
+    return;
+  }
+
+  const rule = await getSiteRule(tab.url);
+  if (!ruleNeedsPageAccess(rule)) {
+    return;
+  }
+  const { protocol, hostname } = new URL(tab.url);
+  if (await hasHostPermission(`${protocol}//${hostname}/*`)) {
+    await ensureContentScriptInjected(tabId);
+  }
+}
+
+async function processAutofill(tabId, signal) {
+  const startedAt = Date.now();
+  const tab = await getTab(tabId);
+  const settings = await getSettings(tab && tab.url);
+  const apiKey = settings.apiKey?.trim();
+  const provider = settings.provider;
+  const vectorStoreId = settings.vectorStoreId?.trim();
+  const model = settings.model?.trim() || "gpt-4.1-mini";
+
+  if (!apiKey) {
+    throw new Error(t("errApiKeyMissingPopup", undefined, "OpenAI API key is missing. Add it in the extension popup."));
+  }
+  if (!vectorStoreId) {
+    throw new Error(t("errVectorStoreMissingPopup", undefined, "Vector Store ID is missing. Add it in the extension popup."));
+  }
+  ensureSiteAllowsFill(settings);
+  await ensureWithinBudget(settings);
+
+  const allowSensitive = settings.sensitivePolicy === "allow";
+  const frameResults = await messageAllFrames(tabId, {
+    type: "GET_FORM_FIELDS",
+    includeSensitive: allowSensitive,
+    skipSelectors: settings.siteRule ? settings.siteRule.skipSelectors : []
+  });
+  const fieldsResponse = mergeFrameFields(frameResults);
+  if (!fieldsResponse.ok) {
+    const top = frameResults.find((result) => result.frameId === 0);
+    throw new Error(top?.response?.error || top?.error?.message || "Unable to read form fields from page.");
+  }
+
+  const rawFields = fieldsResponse.fields;
+  const { fields, page } = applyPageContextSetting(rawFields, fieldsResponse.page, settings.sendPageContext);
+  const attachments = await suggestLibraryAttachments(fieldsResponse.fileInputs, settings.siteRule);
+  if (!fields.length && attachments.length) {
+    const { attached, results } = await attachLibraryDocuments(tabId, attachments, signal);
+    await recordFillRun({ tab, settings, mode: "immediate", status: signal?.aborted ? "cancelled" : "completed", startedAt, results });
+    await safeRuntimeMessage({
+      type: "AUTOFILL_STATUS",
+      message: t("statusFilesAttached", [String(attached), String(attachments.length)], `Attached ${attached} of ${attachments.length} document(s).`),
+      error: false
+    });
+    return;
+  }
+  if (!fields.length) {
+    await safeRuntimeMessage({
+      type: "AUTOFILL_STATUS",
+      message: t("statusNoEditableFields", undefined, "No supported editable fields found on this page."),
+      error: false
+    });
+    return;
+  }
 
-  let filled = 0;
-  let skipped = 0;
+  await setPendingReview(tabId, null);
+  await safeRuntimeMessage({
+    type: "AUTOFILL_STATUS",
+    message: settings.fillMode === "review"
+      ? t("statusFoundFieldsReviewing", [String(fields.length)], `Found ${fields.length} field(s). Collecting proposed values...`)
+      : t("statusFoundFieldsFilling", [String(fields.length)], `Found ${fields.length} field(s). Filling now...`),
+    error: false
+  });
 
-  for (let i = 0; i < fields.length; i += 1) {
-    const field = fields[i];
-    const label = fieldDisplayName(field);
-    const key = fieldFingerprint(field);
+  const fingerprints = correctionFingerprints(rawFields);
+  const presets = presetAnswers(fields, fingerprints, await loadCorrections(), siteKeyForUrl(tab && tab.url), settings.details);
 
-    if (errorByFingerprint.has(key)) {
-      await safeRuntimeMessage({
-        type: "AUTOFILL_PROGRESS",
-        message: t(
-          "progressError",
-          [String(i + 1), String(fields.length), label, errorByFingerprint.get(key)],
-          `[${i + 1}/${fields.length}] Error: ${label} -> ${errorByFingerprint.get(key)}`
-        )
-      });
-      skipped += 1;
-      continue;
-    }
+  const runUsage = {};
+  const answered = await collectAutofillAnswers({
+    apiKey,
+    provider,
+    vectorStoreIds: settings.vectorStoreIds,
+    model,
+    instructions: settings.instructions,
+    fields: fields.filter((field) => !presets.has(field.uid)),
+    page,
+    minConfidence: settings.minConfidence,
+    compose: settings.compose,
+    signal,
+    usage: runUsage
+  });
+  await reportRunUsage(runUsage);
+
+  const answeredByUid = new Map(answered.map((entry) => [entry.uid, entry]));
+  const sensitiveUids = new Set(rawFields.filter((field) => isSensitiveFieldDescriptor(field).sensitive).map((field) => field.uid));
+  const entries = fields.map((field) => ({
+    ...(presets.get(field.uid) || {
+      ...answeredByUid.get(field.uid),
+      correctionKey: fingerprints.get(field.uid) || ""
+    }),
+    sensitive: sensitiveUids.has(field.uid)
+  }));
 
-    const answer = answerByFingerprint.get(key) || "";
-    if (!answer) {
-      await safeRuntimeMessage({
-        type: "AUTOFILL_PROGRESS",
-        message: t("progressNotFound", [String(i + 1), String(fields.length), label], `[${i + 1}/${fields.length}] Not found: ${label}`)
-      });
-      skipped += 1;
-      continue;
-    }
+  if (signal?.aborted) {
+    await reportCancelledRun({ remaining: entries.length });
+    return;
+  }
 
-    const fillResponse = await tabMessage(tabId, { type: "FILL_FORM_FIELD", uid: field.uid, value: answer, allowSensitive: false });
-    if (!fillResponse?.ok) {
-      await safeRuntimeMessage({
-        type: "AUTOFILL_PROGRESS",
-        message: t(
-          "progressCouldNotFill",
-          [String(i + 1), String(fields.length), label, fillResponse?.error || t("unknownError", undefined, "unknown error")],
-          `[${i + 1}/${fields.length}] Could not fill: ${label} (${fillResponse?.error || "unknown error"})`
-        )
-      });
-      skipped += 1;
-      continue;
-    }
+  if (settings.fillMode === "review") {
+    const review = {
+      tabId,
+      createdAt: Date.now(),
+      entries: entries.map((entry) => ({
+        ...entry,
+        status: entry.error ? "error" : !entry.value ? "notFound" : entry.needsReview ? "needsReview" : "proposed"
+      })),
+      // Kept so an accepted value the page rejects can be re-asked when the review is applied.
+      fields,
+      page,
+      attachments
+    };
+    await setPendingReview(tabId, review);
 
-    filled += 1;
+    const proposed = review.entries.filter((entry) => entry.status === "proposed").length;
+    await safeRuntimeMessage({ type: "AUTOFILL_REVIEW_READY", tabId, review });
     await safeRuntimeMessage({
-      type: "AUTOFILL_PROGRESS",
-      message: t("progressFilled", [String(i + 1), String(fields.length), label], `[${i + 1}/${fields.length}] Filled: ${label}`)
+      type: "AUTOFILL_STATUS",
+      message: t("statusReviewReady", [String(proposed), String(entries.length)], `Review ready: ${proposed} of ${entries.length} field(s) have a proposed value.`),
+      error: false
     });
+    return;
+  }
+
+  const retryInvalid = createInvalidAnswerRetry({
+    apiKey,
+    provider,
+    vectorStoreIds: settings.vectorStoreIds,
+    model,
+    instructions: settings.instructions,
+    fields,
+    page,
+    minConfidence: settings.minConfidence,
+    signal
+  });
+  const { filled, skipped, needsReview, cancelled, remaining, runId, results } = await applyAutofillEntries(tabId, entries, signal, allowSensitive, retryInvalid);
+  await recordWizardStep(tabId, { filled, skipped, needsReview, cancelled });
+  if (cancelled) {
+    await recordFillRun({ tab, settings, mode: "immediate", status: "cancelled", startedAt, results });
+    await reportCancelledRun({ filled, skipped, remaining });
+    return;
   }
+  const attachResult = await attachLibraryDocuments(tabId, attachments, signal, runId);
+  await recordFillRun({ tab, settings, mode: "immediate", status: "completed", startedAt, results: results.concat(attachResult.results) });
 
   await safeRuntimeMessage({
     type: "AUTOFILL_STATUS",
-    message: t("statusCompletedFilledSkipped", [String(filled), String(skipped)], `Completed. Filled ${filled}, skipped ${skipped}.`),
+    message: needsReview
+      ? t(
+        "statusCompletedFilledSkippedReview",
+        [String(filled), String(skipped), String(needsReview)],
+        `Completed. Filled ${filled}, skipped ${skipped}, ${needsReview} need review.`
+      )
+      : t("statusCompletedFilledSkipped", [String(filled), String(skipped)], `Completed. Filled ${filled}, skipped ${skipped}.`),
     error: false
   });
 }
 
-async function processSingleField(field, allowSensitive) {
-  const settings = await getSettings();
+async function processApplyReview(tabId, acceptedEntries, signal) {
+  const startedAt = Date.now();
+  const review = await getPendingReview(tabId);
+  if (!review) {
+    throw new Error(t("errNoPendingReview", undefined, "There is no pending review for this tab."));
+  }
+
+  const reviewByUid = new Map(review.entries.map((entry) => [entry.uid, entry]));
+  const entries = (Array.isArray(acceptedEntries) ? acceptedEntries : [])
+    .filter((entry) => entry && reviewByUid.has(entry.uid))
+    .map((entry) => {
+      const proposed = reviewByUid.get(entry.uid);
+      const value = String(entry.value == null ? "" : entry.value).trim();
+      return {
+        uid: entry.uid,
+        label: proposed.label,
+        value,
+        source: value === proposed.value ? proposed.source : null,
+        confidence: proposed.confidence,
+        correctionKey: proposed.correctionKey || "",
+        needsReview: false,
+        longForm: Boolean(proposed.longForm),
+        sensitive: Boolean(proposed.sensitive),
+        learned: Boolean(proposed.learned),
+        local: Boolean(proposed.local),
+        cached: Boolean(proposed.cached),
+        error: ""
+      };
+    });
+
+  await setPendingReview(tabId, null);
+
+  const tab = await getTab(tabId);
+  // Editing a proposed value in the review list is a correction like editing it on the page.
+  const host = siteKeyForUrl(tab && tab.url);
+  const edited = entries.filter((entry) => entry.correctionKey && entry.value && entry.value !== reviewByUid.get(entry.uid).value);
+  if (host && edited.length) {
+    await updateCorrections((store) => edited.reduce((next, entry) => recordCorrection(next, {
+      host,
+      fingerprint: entry.correctionKey,
+      label: entry.label,
+      value: entry.value,
+      original: reviewByUid.get(entry.uid).value
+    }), store));
+  }
+
+  const settings = await getSettings(tab && tab.url);
+  ensureSiteAllowsFill(settings);
+  // Values the user typed in the review list are theirs; only untouched proposals are re-asked.
+  const uneditedUids = new Set(entries.filter((entry) => entry.value === reviewByUid.get(entry.uid).value).map((entry) => entry.uid));
+  const retryInvalid = settings.apiKey?.trim()
+    ? createInvalidAnswerRetry({
+      apiKey: settings.apiKey.trim(),
+      provider: settings.provider,
+      vectorStoreIds: settings.vectorStoreIds,
+      model: settings.model?.trim() || "gpt-4.1-mini",
+      instructions: settings.instructions,
+      fields: (Array.isArray(review.fields) ? review.fields : []).filter((field) => uneditedUids.has(field.uid)),
+      page: review.page || null,
+      minConfidence: settings.minConfidence,
+      signal
+    })
+    : null;
+  const { filled, skipped, cancelled, remaining, runId, results } = await applyAutofillEntries(
+    tabId,
+    entries,
+    signal,
+    settings.sensitivePolicy === "allow",
+    retryInvalid
+  );
+  const rejected = review.entries.length - entries.length;
+  await recordWizardStep(tabId, { filled, skipped: skipped + rejected, cancelled });
+  const acceptedUids = new Set(entries.map((entry) => entry.uid));
+  const rejectedResults = review.entries
+    .filter((entry) => !acceptedUids.has(entry.uid))
+    .map((entry) => historyResult(entry, entry.status === "proposed" ? "rejected" : entry.status, entry.error || ""));
+
+  if (cancelled) {
+    await recordFillRun({ tab, settings, mode: "review", status: "cancelled", startedAt, results: results.concat(rejectedResults) });
+    await reportCancelledRun({ filled, skipped: skipped + rejected, remaining });
+    return { ok: true, cancelled: true, filled, skipped: skipped + rejected };
+  }
+  const attachResult = await attachLibraryDocuments(tabId, review.attachments, signal, runId);
+  await recordFillRun({
+    tab,
+    settings,
+    mode: "review",
+    status: "completed",
+    startedAt,
+    results: results.concat(rejectedResults, attachResult.results)
+  });
+
+  await safeRuntimeMessage({
+    type: "AUTOFILL_STATUS",
+    message: t("statusCompletedFilledSkipped", [String(filled), String(skipped + rejected)], `Completed. Filled ${filled}, skipped ${skipped + rejected}.`),
+    error: false
+  });
+  return { ok: true, filled, skipped: skipped + rejected };
+}
+
+async function processUndoLastFill(tabId) {
+  const results = await messageAllFrames(tabId, { type: "UNDO_LAST_FILL" });
+  const undone = results.filter((result) => result.response?.ok);
+  if (!undone.length) {
+    const top = results.find((result) => result.frameId === 0);
+    throw new Error(top?.response?.error || t("errCouldNotUndoFill", undefined, "Could not undo the last fill."));
+  }
+  return { ok: true, restored: undone.reduce((sum, result) => sum + Number(result.response.restored || 0), 0) };
+}
+
+// A compose request ({ variant, previousAnswer }) regenerates or resizes an earlier answer to a long-form field.
+async function processSingleField(rawField, allowSensitive, rawPage, pageUrl, rawCompose) {
+  const settings = await getSettings(pageUrl);
   const apiKey = settings.apiKey?.trim();
+  const provider = settings.provider;
   const vectorStoreId = settings.vectorStoreId?.trim();
   const model = settings.model?.trim() || "gpt-4.1-mini";
 
@@ -740,30 +2240,135 @@ async function processSingleField(field, allowSensitive) {
   if (!vectorStoreId) {
     throw new Error(t("errVectorStoreMissingPopup", undefined, "Vector Store ID is missing. Add it in the extension popup."));
   }
-  if (!field || typeof field !== "object") {
+  if (!rawField || typeof rawField !== "object") {
     throw new Error(t("errInvalidFieldPayload", undefined, "Invalid field payload."));
   }
+  ensureSiteAllowsFill(settings);
+  await ensureWithinBudget(settings);
+
+  const { fields: [field], page } = applyPageContextSetting([rawField], rawPage, settings.sendPageContext);
 
   const sensitivity = isSensitiveFieldDescriptor(field);
-  if (sensitivity.sensitive && !allowSensitive) {
+  if (sensitivity.sensitive && settings.sensitivePolicy === "block") {
+    throw new Error(t("errSensitiveFieldBlockedByProfile", undefined, "Sensitive fields are never filled with this profile."));
+  }
+  if (sensitivity.sensitive && !allowSensitive && settings.sensitivePolicy !== "allow") {
     throw new Error(t("errSensitiveFieldRequiresConfirmation", undefined, "Sensitive field requires explicit confirmation."));
   }
 
-  const answerByUid = await withRetry(
-    () => queryFieldBatchAnswers({ apiKey, vectorStoreId, model, fields: [field] }),
-    AUTOFILL_RETRIES
-  );
-  const answer = answerByUid[field.uid] || "";
+  const fingerprints = correctionFingerprints([rawField]);
+  const correctionKey = fingerprints.get(rawField.uid) || "";
+  const longForm = isLongFormField(field);
+  const variant = longForm ? normalizeComposeVariant(rawCompose?.variant) : "";
+  const preset = variant || normalizeRetryHint(field.retry)
+    ? null
+    : presetAnswers([field], fingerprints, await loadCorrections(), siteKeyForUrl(pageUrl), settings.details).get(field.uid);
+  if (preset) {
+    return {
+      ok: true,
+      found: true,
+      value: preset.value,
+      confidence: 1,
+      needsReview: false,
+      source: null,
+      learned: preset.learned,
+      local: preset.local,
+      correctionKey
+    };
+  }
+
+  const composeAnswer = () => composeLongAnswer({
+    apiKey,
+    provider,
+    vectorStoreIds: settings.vectorStoreIds,
+    model,
+    instructions: settings.instructions,
+    field,
+    page,
+    compose: { ...settings.compose, variant, previousAnswer: rawCompose?.previousAnswer }
+  }).then((composed) => ({
+    answersByUid: { [field.uid]: composed.value },
+    confidenceByUid: { [field.uid]: composed.confidence },
+    sourcesByUid: { [field.uid]: composed.source },
+    usage: composed.usage
+  }));
+
+  let result;
+  try {
+    result = await withRetry(
+      longForm
+        ? composeAnswer
+        : () => queryFieldBatchAnswers({
+          apiKey,
+          provider,
+          vectorStoreIds: settings.vectorStoreIds,
+          model,
+          instructions: settings.instructions,
+          fields: [field],
+          page
+        }),
+      AUTOFILL_RETRIES
+    );
+  } catch (error) {
+    if (error?.usage) {
+      await recordUsageTotals(addUsage({}, model, error.usage));
+    }
+    throw error;
+  }
+
+  await recordUsageTotals(addUsage({}, model, result.usage));
+  const { answersByUid, sourcesByUid, confidenceByUid } = result;
+  const answer = answersByUid[field.uid] || "";
   if (!answer) {
     return { ok: true, found: false };
   }
 
-  return { ok: true, found: true, value: answer };
+  const confidence = confidenceByUid[field.uid] || 0;
+  return {
+    ok: true,
+    found: true,
+    value: answer,
+    confidence,
+    needsReview: confidence < settings.minConfidence,
+    source: sourcesByUid[field.uid] || null,
+    correctionKey,
+    ...(longForm ? { longForm: true } : {})
+  };
+}
+
+const INLINE_HISTORY_STATUSES = new Set(["filled", "notFound", "needsReview", "failed"]);
+
+// The content script reports the outcome once it has applied (or given up on) a hover-button answer.
+async function processRecordInlineFill(message, tab) {
+  const rawField = message.field;
+  if (!rawField || typeof rawField !== "object" || !INLINE_HISTORY_STATUSES.has(message.status)) {
+    throw new Error(t("errInvalidFieldPayload", undefined, "Invalid field payload."));
+  }
+  const answer = message.answer && typeof message.answer === "object" ? message.answer : {};
+  const entry = {
+    label: fieldDisplayName(rawField),
+    value: message.status === "notFound" ? "" : String(answer.value || ""),
+    confidence: Number(answer.confidence) || 0,
+    source: answer.source || null,
+    learned: Boolean(answer.learned),
+    local: Boolean(answer.local),
+    sensitive: isSensitiveFieldDescriptor(rawField).sensitive
+  };
+  await recordFillRun({
+    tab,
+    settings: await getSettings(tab && tab.url),
+    mode: "inline",
+    status: "completed",
+    startedAt: Number(message.startedAt) || Date.now(),
+    results: [historyResult(entry, message.status, String(message.error || ""))]
+  });
+  return { ok: true };
 }
 
 async function processVectorFilesList() {
   const settings = await getSettings();
   const apiKey = settings.apiKey?.trim();
+  const provider = settings.provider;
   const vectorStoreId = settings.vectorStoreId?.trim();
 
   if (!apiKey) {
@@ -773,13 +2378,14 @@ async function processVectorFilesList() {
     throw new Error(t("errVectorStoreMissingPopup", undefined, "Vector Store ID is missing. Add it in the extension popup."));
   }
 
-  const files = await listVectorStoreFiles({ apiKey, vectorStoreId });
+  const files = await listVectorStoreFiles({ apiKey, provider, vectorStoreId });
   return { ok: true, files };
 }
 
 async function processVectorFileAdd(file) {
   const settings = await getSettings();
   const apiKey = settings.apiKey?.trim();
+  const provider = settings.provider;
   const vectorStoreId = settings.vectorStoreId?.trim();
 
   if (!apiKey) {
@@ -789,14 +2395,16 @@ async function processVectorFileAdd(file) {
     throw new Error(t("errVectorStoreMissingPopup", undefined, "Vector Store ID is missing. Add it in the extension popup."));
   }
 
-  const uploaded = await uploadFileToOpenAI({ apiKey, file });
-  await attachFileToVectorStore({ apiKey, vectorStoreId, fileId: uploaded.id });
+  const uploaded = await uploadFileToOpenAI({ apiKey, provider, file });
+  await attachFileToVectorStore({ apiKey, provider, vectorStoreId, fileId: uploaded.id });
+  await invalidateAnswerCache(vectorStoreId);
   return { ok: true };
 }
 
 async function processVectorFileDelete(fileId) {
   const settings = await getSettings();
   const apiKey = settings.apiKey?.trim();
+  const provider = settings.provider;
   const vectorStoreId = settings.vectorStoreId?.trim();
 
   if (!apiKey) {
@@ -809,10 +2417,11 @@ async function processVectorFileDelete(fileId) {
     throw new Error(t("errMissingFileId", undefined, "Missing file id."));
   }
 
-  await detachFileFromVectorStore({ apiKey, vectorStoreId, fileId });
+  await detachFileFromVectorStore({ apiKey, provider, vectorStoreId, fileId });
+  await invalidateAnswerCache(vectorStoreId);
 
   try {
-    await deleteOpenAIFile({ apiKey, fileId });
+    await deleteOpenAIFile({ apiKey, provider, fileId });
   } catch (_ignored) {
     // Detach is the primary vector store action.
   }
@@ -826,15 +2435,16 @@ async function processVectorFileUpdate(fileId, file) {
   return { ok: true };
 }
 
-async function processVectorStoresList(apiKeyOverride) {
+async function processVectorStoresList(apiKeyOverride, providerOverride) {
   const settings = await getSettings();
   const apiKey = String(apiKeyOverride || "").trim() || settings.apiKey?.trim();
+  const provider = providerOverride ? resolveProviderConfig(providerOverride) : settings.provider;
 
   if (!apiKey) {
     throw new Error(t("errApiKeyMissingPopup", undefined, "OpenAI API key is missing. Add it in the extension popup."));
   }
 
-  const stores = await listVectorStores({ apiKey });
+  const stores = await listVectorStores({ apiKey, provider });
   const vectorStores = stores.map((store) => ({
     id: store.id,
     name: store.name || ""
@@ -845,6 +2455,7 @@ async function processVectorStoresList(apiKeyOverride) {
 async function processVectorStoreCreate(name) {
   const settings = await getSettings();
   const apiKey = settings.apiKey?.trim();
+  const provider = settings.provider;
 
   if (!apiKey) {
     throw new Error("OpenAI API key is missing. Add it in the extension popup.");
@@ -855,7 +2466,7 @@ async function processVectorStoreCreate(name) {
     throw new Error(t("errNameRequired", undefined, "Name is required."));
   }
 
-  const created = await createVectorStore({ apiKey, name: trimmedName });
+  const created = await createVectorStore({ apiKey, provider, name: trimmedName });
   return {
     ok: true,
     vectorStoreId: created?.id || "",
@@ -866,6 +2477,7 @@ async function processVectorStoreCreate(name) {
 async function processVectorStoreDeletePreview(vectorStoreId) {
   const settings = await getSettings();
   const apiKey = settings.apiKey?.trim();
+  const provider = settings.provider;
   const selectedVectorStoreId = (vectorStoreId || settings.vectorStoreId || "").trim();
 
   if (!apiKey) {
@@ -875,17 +2487,22 @@ async function processVectorStoreDeletePreview(vectorStoreId) {
     throw new Error(t("errNoFileDatabaseSelected", undefined, "No file database selected."));
   }
 
-  const files = await listAllVectorStoreFilesRaw({ apiKey, vectorStoreId: selectedVectorStoreId });
+  const files = await listAllVectorStoreFilesRaw({ apiKey, provider, vectorStoreId: selectedVectorStoreId });
   return {
     ok: true,
     fileCount: files.length
   };
 }
 
-async function deleteVectorStore({ apiKey, vectorStoreId }) {
-  const response = await fetch(`https://api.openai.com/v1/vector_stores/${encodeURIComponentSafe(vectorStoreId)}`, {
+async function detachVectorStoreFromProfiles(vectorStoreId) {
+  const data = await storageGet([SETTINGS_KEY], "local");
+  await storageSet({ [SETTINGS_KEY]: removeVectorStoreFromProfiles(data[SETTINGS_KEY] || {}, vectorStoreId) }, "local");
+}
+
+async function deleteVectorStore({ apiKey, provider, vectorStoreId }) {
+  const response = await providerFetch(provider, `/vector_stores/${encodeURIComponentSafe(vectorStoreId)}`, {
     method: "DELETE",
-    headers: buildOpenAIHeaders(apiKey, false, true)
+    headers: buildOpenAIHeaders(provider, apiKey, false, true)
   });
 
   if (!response.ok) {
@@ -897,6 +2514,7 @@ async function deleteVectorStore({ apiKey, vectorStoreId }) {
 async function processVectorStoreDelete(vectorStoreId) {
   const settings = await getSettings();
   const apiKey = settings.apiKey?.trim();
+  const provider = settings.provider;
   const selectedVectorStoreId = (vectorStoreId || settings.vectorStoreId || "").trim();
 
   if (!apiKey) {
@@ -906,7 +2524,7 @@ async function processVectorStoreDelete(vectorStoreId) {
     throw new Error(t("errNoFileDatabaseSelected", undefined, "No file database selected."));
   }
 
-  const files = await listAllVectorStoreFilesRaw({ apiKey, vectorStoreId: selectedVectorStoreId });
+  const files = await listAllVectorStoreFilesRaw({ apiKey, provider, vectorStoreId: selectedVectorStoreId });
   const uniqueFileIds = Array.from(
     new Set(
       files
@@ -918,36 +2536,40 @@ async function processVectorStoreDelete(vectorStoreId) {
   for (let i = 0; i < uniqueFileIds.length; i += 1) {
     const fileId = uniqueFileIds[i];
     try {
-      await detachFileFromVectorStore({ apiKey, vectorStoreId: selectedVectorStoreId, fileId });
+      await detachFileFromVectorStore({ apiKey, provider, vectorStoreId: selectedVectorStoreId, fileId });
     } catch (_ignored) {
       // Continue deleting remaining files.
     }
     try {
-      await deleteOpenAIFile({ apiKey, fileId });
+      await deleteOpenAIFile({ apiKey, provider, fileId });
     } catch (_ignored) {
       // Continue deleting remaining files.
     }
   }
 
-  await deleteVectorStore({ apiKey, vectorStoreId: selectedVectorStoreId });
+  await deleteVectorStore({ apiKey, provider, vectorStoreId: selectedVectorStoreId });
+  await detachVectorStoreFromProfiles(selectedVectorStoreId);
+  await invalidateAnswerCache(selectedVectorStoreId);
   return { ok: true, deletedFiles: uniqueFileIds.length };
 }
 
-async function processValidateApiKey(apiKeyOverride) {
+async function processValidateApiKey(apiKeyOverride, providerOverride) {
   let apiKey = String(apiKeyOverride || "").trim();
-  if (!apiKey) {
+  let provider = providerOverride ? resolveProviderConfig(providerOverride) : null;
+  if (!apiKey || !provider) {
     const settings = await getSettings();
-    apiKey = settings.apiKey?.trim() || "";
+    apiKey = apiKey || settings.apiKey?.trim() || "";
+    provider = provider || settings.provider;
   }
 
   if (!apiKey) {
     throw new Error(t("errApiKeyMissing", undefined, "OpenAI API key is missing."));
   }
 
-  const response = await fetch("https://api.openai.com/v1/vector_stores?limit=1", {
+  const response = await providerFetch(provider, "/vector_stores", {
     method: "GET",
-    headers: buildOpenAIHeaders(apiKey, false, true)
-  });
+    headers: buildOpenAIHeaders(provider, apiKey, false, true)
+  }, { limit: "1" });
 
   if (response.ok) {
     return { ok: true };
@@ -976,27 +2598,191 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       return;
     }
 
-    processAutofill(tabId)
-      .then(() => {})
-      .catch(async (error) => {
-        await safeRuntimeMessage({
-          type: "AUTOFILL_STATUS",
-          message: error.message || t("errAutofillFailed", undefined, "Autofill failed."),
-          error: true
-        });
-      });
-
+    startAutofillRun(tabId);
     sendResponse({ ok: true });
     return;
   }
 
+  if (message.type === "STOP_AUTOFILL") {
+    if (!Number.isInteger(message.tabId)) {
+      sendResponse({ ok: false, error: t("errInvalidTabId", undefined, "Invalid tab identifier.") });
+      return;
+    }
+
+    sendResponse(stopAutofillRun(message.tabId));
+    return;
+  }
+
+  if (message.type === "GET_AUTOFILL_RUN_STATE") {
+    if (!Number.isInteger(message.tabId)) {
+      sendResponse({ ok: false, error: t("errInvalidTabId", undefined, "Invalid tab identifier.") });
+      return;
+    }
+
+    sendResponse({ ok: true, running: activeRunsByTab.has(message.tabId) });
+    return;
+  }
+
+  if (message.type === "GET_AUTOFILL_REVIEW") {
+    const tabId = Number(message.tabId);
+    getPendingReview(tabId)
+      .then((review) => sendResponse({ ok: true, review }))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotLoadReview", undefined, "Could not load review.") }));
+    return true;
+  }
+
+  if (message.type === "GET_WIZARD_SESSION") {
+    const tabId = Number(message.tabId);
+    getWizardSession(tabId)
+      .then((session) => sendResponse({ ok: true, session, summary: session ? summarizeWizardSession(session) : null }))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotLoadWizardSession", undefined, "Could not load the multi-page session.") }));
+    return true;
+  }
+
+  if (message.type === "START_WIZARD_AUTO_CONTINUE") {
+    startWizardAutoContinue(Number(message.tabId))
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotLoadWizardSession", undefined, "Could not load the multi-page session.") }));
+    return true;
+  }
+
+  if (message.type === "END_WIZARD_SESSION") {
+    const tabId = Number(message.tabId);
+    endWizardSession(tabId)
+      .then(() => sendResponse({ ok: true }))
+      .catch(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (message.type === "APPLY_AUTOFILL_REVIEW") {
+    const tabId = message.tabId;
+
+    if (!Number.isInteger(tabId)) {
+      sendResponse({ ok: false, error: t("errInvalidTabId", undefined, "Invalid tab identifier.") });
+      return;
+    }
+
+    const run = beginAutofillRun(tabId);
+    processApplyReview(tabId, message.entries, run.signal)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errAutofillFailed", undefined, "Autofill failed.") }))
+      .finally(() => endAutofillRun(tabId, run));
+    return true;
+  }
+
+  if (message.type === "UPDATE_AUTOFILL_REVIEW") {
+    processUpdateReview(Number(message.tabId), message.updates)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotSaveReview", undefined, "Could not save review changes.") }));
+    return true;
+  }
+
+  if (message.type === "DISCARD_AUTOFILL_REVIEW") {
+    const tabId = Number(message.tabId);
+    setPendingReview(tabId, null)
+      .then(() => sendResponse({ ok: true }))
+      .catch(() => sendResponse({ ok: true }));
+    return true;
+  }
+
+  if (message.type === "UNDO_LAST_FILL") {
+    const tabId = message.tabId;
+
+    if (!Number.isInteger(tabId)) {
+      sendResponse({ ok: false, error: t("errInvalidTabId", undefined, "Invalid tab identifier.") });
+      return;
+    }
+
+    processUndoLastFill(tabId)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotUndoFill", undefined, "Could not undo the last fill.") }));
+    return true;
+  }
+
+  if (message.type === "GET_SENSITIVE_POLICY") {
+    getSettings(sender?.tab?.url)
+      .then((settings) => sendResponse({ ok: true, policy: settings.sensitivePolicy }))
+      .catch(() => sendResponse({ ok: true, policy: "confirm" }));
+    return true;
+  }
+
+  if (message.type === "GET_SITE_RULE") {
+    getSiteRule(sender?.tab?.url)
+      .then((rule) => sendResponse({ ok: true, rule }))
+      .catch(() => sendResponse({ ok: true, rule: null }));
+    return true;
+  }
+
+  if (message.type === "RECORD_FIELD_CORRECTION") {
+    processRecordCorrection(sender?.tab?.url, message)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotSaveCorrection", undefined, "Could not save the correction.") }));
+    return true;
+  }
+
+  if (message.type === "CORRECTIONS_LIST") {
+    processCorrectionsList()
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotLoadCorrections", undefined, "Could not load learned corrections.") }));
+    return true;
+  }
+
+  if (message.type === "CORRECTIONS_DELETE") {
+    processCorrectionDelete(message.key)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotDeleteCorrection", undefined, "Could not delete the correction.") }));
+    return true;
+  }
+
+  if (message.type === "CORRECTIONS_CLEAR") {
+    processCorrectionsClear()
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotDeleteCorrection", undefined, "Could not delete the correction.") }));
+    return true;
+  }
+
+  if (message.type === "HISTORY_LIST") {
+    processHistoryList()
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotLoadHistory", undefined, "Could not load fill history.") }));
+    return true;
+  }
+
+  if (message.type === "HISTORY_DELETE") {
+    processHistoryDelete(message.id)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotDeleteHistoryRun", undefined, "Could not delete the history entry.") }));
+    return true;
+  }
+
+  if (message.type === "HISTORY_CLEAR") {
+    processHistoryClear()
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotDeleteHistoryRun", undefined, "Could not delete the history entry.") }));
+    return true;
+  }
+
+  if (message.type === "HISTORY_EXPORT") {
+    processHistoryExport(message.format)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotExportHistory", undefined, "Could not export fill history.") }));
+    return true;
+  }
+
   if (message.type === "FILL_SINGLE_FIELD") {
-    processSingleField(message.field, Boolean(message.allowSensitive))
+    processSingleField(message.field, Boolean(message.allowSensitive), message.page, sender?.tab?.url, message.compose)
       .then((result) => sendResponse(result))
       .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotFillField", undefined, "Could not fill field.") }));
     return true;
   }
 
+  if (message.type === "RECORD_INLINE_FILL") {
+    processRecordInlineFill(message, sender?.tab)
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotRecordHistory", undefined, "Could not record fill history.") }));
+    return true;
+  }
+
   if (message.type === "VECTOR_FILES_LIST") {
     processVectorFilesList()
       .then((result) => sendResponse(result))
@@ -1026,7 +2812,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
 
   if (message.type === "VECTOR_STORES_LIST") {
-    processVectorStoresList(message.apiKey)
+    processVectorStoresList(message.apiKey, message.provider)
       .then((result) => sendResponse(result))
       .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotListVectorStores", undefined, "Could not list vector stores.") }));
     return true;
@@ -1054,12 +2840,26 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
 
   if (message.type === "VALIDATE_API_KEY") {
-    processValidateApiKey(message.apiKey)
+    processValidateApiKey(message.apiKey, message.provider)
       .then((result) => sendResponse(result))
       .catch((error) => sendResponse({ ok: false, error: error.message || t("errInvalidApiKey", undefined, "Invalid OpenAI API key.") }));
     return true;
   }
 
+  if (message.type === "GET_USAGE_SUMMARY") {
+    processUsageSummary()
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotLoadUsage", undefined, "Could not load usage.") }));
+    return true;
+  }
+
+  if (message.type === "CLEAR_ANSWER_CACHE") {
+    processClearAnswerCache()
+      .then((result) => sendResponse(result))
+      .catch((error) => sendResponse({ ok: false, error: error.message || t("errCouldNotClearCache", undefined, "Could not clear the answer cache.") }));
+    return true;
+  }
+
   if (message.type === "GET_TAB_FORM_AVAILABILITY") {
     const tabId = Number(message.tabId);
     updateActionStateForTab(tabId)
@@ -1070,10 +2870,15 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 
   if (message.type === "FORM_AVAILABILITY_CHANGED") {
     const tabId = sender?.tab?.id;
-    const hasForm = Boolean(message.hasForm);
+    const hasForm = recordFrameFormAvailability(tabId, sender?.frameId, Boolean(message.hasForm));
     updateActionStateForTabKnownValue(tabId, hasForm).catch(() => {
       // ignore
     });
+    if (hasForm) {
+      autoStartForSiteRule(tabId).catch(() => {
+        // ignore
+      });
+    }
     sendResponse({ ok: true });
     return;
   }
@@ -1107,6 +2912,44 @@ chrome.runtime.onStartup.addListener(() => {
   initializeActionIcons();
 });
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+  stopAutofillRun(tabId);
+  autoStartedUrlByTab.delete(tabId);
+  formFramesByTab.delete(tabId);
+  formSubmitUrlByTab.delete(tabId);
+  setPendingReview(tabId, null).catch(() => {
+    // ignore
+  });
+  setWizardSession(tabId, null).catch(() => {
+    // ignore
+  });
+});
+
+// Remembers the page a top-level form submit led to, so the wizard can tell "Next" from browsing away.
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0) {
+    return;
+  }
+  if (details.transitionType === "form_submit") {
+    formSubmitUrlByTab.set(details.tabId, details.url);
+  } else {
+    formSubmitUrlByTab.delete(details.tabId);
+  }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === "loading") {
+    autoStartedUrlByTab.delete(tabId);
+    formFramesByTab.delete(tabId);
+  }
+  handleWizardNavigation(tabId, changeInfo, tab).catch(() => {
+    // ignore
+  });
+  injectForSiteRule(tabId, changeInfo, tab).catch(() => {
+    // ignore
+  });
+});
+
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName !== "local" || !changes || !changes[SETTINGS_KEY]) {
     return;
@@ -1114,6 +2957,9 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
   i18n.initializeLanguageOverride().catch(() => {
     // ignore
   });
+  applyHistoryRetention().catch(() => {
+    // ignore
+  });
 });
 
 i18n.initializeLanguageOverride().catch(() => {
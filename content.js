@@ -6,10 +6,13 @@ globalThis.__aiFormFillerContentLoaded = true;
 const {
   storageGet,
   runtimeSendMessage,
-  createTranslator
+  base64ToBytes,
+  createTranslator,
+  formatConfidence
 } = self.AFFShared;
 
 const { isSensitiveFieldElement } = self.AFFFieldSafety;
+const { dateOrderForLocale, formatInputValue, matchOptions, valueKept } = self.AFFValueFormat;
 
 const i18n = createTranslator({
   supportedLanguages: SUPPORTED_LANGUAGE_OVERRIDES,
@@ -19,38 +22,198 @@ const i18n = createTranslator({
 const t = i18n.t;
 
 let fieldMap = new Map();
+let choiceGroups = new Map();
 let uidCounter = 0;
 
 let hoverButton = null;
+let hoverUndoButton = null;
 let hoverStatus = null;
+let hoverComposeBar = null;
 let activeHoverField = null;
 let hideTimer = null;
 let statusTimer = null;
 let availabilityTimer = null;
 let availabilityObserver = null;
 let lastKnownHasForm = null;
+let lastFillSnapshot = null;
+const fillSourceByUid = new Map();
+// Fields filled with a composed long-form answer, which offer regenerate, shorter and longer.
+const composedUids = new Set();
+const reviewMarkers = new Map();
+let siteRule = null;
+let fillStrategy = "auto";
+const correctionWatches = new Map();
+const trackedShadowRoots = new WeakSet();
 
 function cleanText(v) {
   return (v || "").replace(/\s+/g, " ").trim();
 }
 
+// Lookups by id or label[for] have to stay inside the element's own tree (document or shadow root).
+function rootOf(el) {
+  const root = el.getRootNode ? el.getRootNode() : document;
+  return root instanceof ShadowRoot ? root : document;
+}
+
+// Like querySelectorAll, but also searches open shadow roots recursively, in document order.
+// Each tree is searched natively; a host's shadow matches come after the host and before its light children.
+function queryAllDeep(selector, root = document) {
+  const matches = Array.from(root.querySelectorAll(selector));
+  const hosts = Array.from(root.querySelectorAll("*")).filter((el) => el.shadowRoot);
+  if (!hosts.length) {
+    return matches;
+  }
+
+  const found = [];
+  let next = 0;
+  hosts.forEach((host) => {
+    while (
+      next < matches.length
+      && (matches[next] === host || matches[next].compareDocumentPosition(host) & Node.DOCUMENT_POSITION_FOLLOWING)
+    ) {
+      found.push(matches[next]);
+      next += 1;
+    }
+    trackShadowRoot(host.shadowRoot);
+    found.push(...queryAllDeep(selector, host.shadowRoot));
+  });
+  return found.concat(matches.slice(next));
+}
+
+// Events such as change and submit do not cross shadow boundaries, so each root gets its own listeners.
+function trackShadowRoot(root) {
+  if (trackedShadowRoots.has(root)) {
+    return;
+  }
+  trackedShadowRoots.add(root);
+  root.addEventListener("change", handleCorrectionChange, true);
+  root.addEventListener("submit", handleCorrectionSubmit, true);
+  if (availabilityObserver) {
+    availabilityObserver.observe(root, AVAILABILITY_OBSERVER_OPTIONS);
+  }
+}
+
+function eventTarget(event) {
+  const path = typeof event.composedPath === "function" ? event.composedPath() : [];
+  return path[0] || event.target;
+}
+
 function isVisible(el) {
   const style = window.getComputedStyle(el);
   const rect = el.getBoundingClientRect();
   return style.display !== "none" && style.visibility !== "hidden" && rect.width > 0 && rect.height > 0;
 }
 
+const FIELD_SELECTOR = "input, textarea, select, [contenteditable], [role='textbox'], [role='combobox'], [role='listbox']";
+const NATIVE_FIELD_TAGS = new Set(["input", "textarea", "select"]);
+
+// Custom widgets are filled through their ARIA role instead of a value property.
+function widgetKind(el) {
+  const role = cleanText(el.getAttribute("role")).toLowerCase();
+  const native = NATIVE_FIELD_TAGS.has(el.tagName.toLowerCase());
+  if (role === "combobox") {
+    return "combobox";
+  }
+  if (native) {
+    return "";
+  }
+  if (role === "listbox") {
+    return "listbox";
+  }
+  return el.isContentEditable || role === "textbox" ? "textbox" : "";
+}
+
+function isComboboxPopup(el) {
+  return Boolean(el.id) && Boolean(rootOf(el).querySelector(
+    `[aria-controls~="${CSS.escape(el.id)}"], [aria-owns~="${CSS.escape(el.id)}"]`
+  ));
+}
+
 function shouldSkipInput(el) {
   if (el.disabled || el.readOnly || !isVisible(el)) {
     return true;
   }
 
-  if (el.tagName.toLowerCase() === "input") {
+  const tag = el.tagName.toLowerCase();
+  if (tag === "input") {
     const inputType = (el.type || "text").toLowerCase();
-    return ["hidden", "submit", "button", "reset", "file", "image", "range", "color"].includes(inputType);
+    if (["hidden", "submit", "button", "reset", "file", "image", "range", "color"].includes(inputType)) {
+      return true;
+    }
   }
 
-  return false;
+  if (el.parentElement && el.parentElement.closest("[role='combobox']")) {
+    return true;
+  }
+
+  const kind = widgetKind(el);
+  if (!kind) {
+    return !NATIVE_FIELD_TAGS.has(tag);
+  }
+  if (el.getAttribute("aria-disabled") === "true" || el.getAttribute("aria-readonly") === "true") {
+    return true;
+  }
+  if (kind === "textbox") {
+    return el === document.body || Boolean(el.parentElement && el.parentElement.isContentEditable);
+  }
+  return kind === "listbox" && isComboboxPopup(el);
+}
+
+function matchesSkipSelector(el, skipSelectors) {
+  return skipSelectors.some((selector) => {
+    try {
+      return el.matches(selector);
+    } catch (_error) {
+      return false;
+    }
+  });
+}
+
+function isSkippedBySiteRule(el) {
+  return Boolean(siteRule) && matchesSkipSelector(el, siteRule.skipSelectors || []);
+}
+
+function inlineButtonAllowed() {
+  return !siteRule || (siteRule.fill !== "never" && siteRule.inlineButton !== "off");
+}
+
+const FILL_STRATEGIES = new Set(["auto", "typing", "native"]);
+
+function loadFillStrategy() {
+  return storageGet([SETTINGS_KEY], "local")
+    .then((data) => {
+      const strategy = (data[SETTINGS_KEY] || {}).fillStrategy;
+      fillStrategy = FILL_STRATEGIES.has(strategy) ? strategy : "auto";
+    })
+    .catch(() => {
+      // Keep the previous strategy when storage is unavailable.
+    });
+}
+
+function loadSiteRule() {
+  return runtimeSendMessage({ type: "GET_SITE_RULE" })
+    .then((response) => {
+      siteRule = (response && response.rule) || null;
+      if (!inlineButtonAllowed()) {
+        hideHoverButton();
+      }
+    })
+    .catch(() => {
+      // Keep the previous rule when the extension context is unavailable.
+    });
+}
+
+function elementsForIds(ids, root = document) {
+  return cleanText(ids)
+    .split(/\s+/)
+    .map((id) => (id ? root.getElementById(id) : null))
+    .filter(Boolean);
+}
+
+function textOfIds(ids, root = document) {
+  return elementsForIds(ids, root)
+    .map((node) => cleanText(node.textContent))
+    .join(" ");
 }
 
 function getLabelText(el) {
@@ -59,22 +222,14 @@ function getLabelText(el) {
     return ariaLabel;
   }
 
-  const labelledBy = cleanText(el.getAttribute("aria-labelledby"));
+  const root = rootOf(el);
+  const labelledBy = textOfIds(el.getAttribute("aria-labelledby"), root);
   if (labelledBy) {
-    const txt = labelledBy
-      .split(/\s+/)
-      .map((id) => document.getElementById(id))
-      .filter(Boolean)
-      .map((node) => cleanText(node.textContent))
-      .join(" ");
-
-    if (txt) {
-      return txt;
-    }
+    return labelledBy;
   }
 
   if (el.id) {
-    const explicit = document.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+    const explicit = root.querySelector(`label[for="${CSS.escape(el.id)}"]`);
     if (explicit) {
       const txt = cleanText(explicit.textContent);
       if (txt) {
@@ -103,9 +258,83 @@ function getLabelText(el) {
     }
   }
 
+  // Web components (e.g. Lightning inputs) often carry the label on the shadow host.
+  if (root instanceof ShadowRoot) {
+    return cleanText(root.host.getAttribute("aria-label") || root.host.getAttribute("label"));
+  }
+
   return "";
 }
 
+const CONTEXT_TEXT_LIMIT = 120;
+const HEADING_SELECTOR = "h1, h2, h3, h4, h5, h6, [role='heading']";
+
+function contextText(node) {
+  return node ? cleanText(node.textContent).slice(0, CONTEXT_TEXT_LIMIT) : "";
+}
+
+function getPageContext() {
+  return {
+    title: cleanText(document.title).slice(0, CONTEXT_TEXT_LIMIT),
+    host: window.location.hostname
+  };
+}
+
+// Nodes in different trees are compared through the shadow hosts that contain them in the document.
+function documentAnchor(node) {
+  let current = node;
+  while (current.getRootNode() instanceof ShadowRoot) {
+    current = current.getRootNode().host;
+  }
+  return current;
+}
+
+function precedes(heading, el) {
+  if (heading.getRootNode() === el.getRootNode()) {
+    return !heading.contains(el) && Boolean(heading.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING);
+  }
+  const headingAnchor = documentAnchor(heading);
+  const fieldAnchor = documentAnchor(el);
+  return headingAnchor !== fieldAnchor
+    && !headingAnchor.contains(fieldAnchor)
+    && Boolean(headingAnchor.compareDocumentPosition(fieldAnchor) & Node.DOCUMENT_POSITION_FOLLOWING);
+}
+
+function precedingHeading(el, headings) {
+  let match = null;
+  for (const heading of headings) {
+    if (!precedes(heading, el)) {
+      break;
+    }
+    match = heading;
+  }
+  return match;
+}
+
+function getFieldContext(el, headings) {
+  const context = {};
+  const form = el.closest("form");
+  if (form) {
+    const [labelledBy] = elementsForIds(form.getAttribute("aria-labelledby"), rootOf(form));
+    context.formHeading = cleanText(form.getAttribute("aria-label")).slice(0, CONTEXT_TEXT_LIMIT)
+      || contextText(labelledBy)
+      || contextText(form.querySelector(HEADING_SELECTOR))
+      || contextText(precedingHeading(form, headings));
+  }
+
+  const fieldset = el.closest("fieldset");
+  const legend = fieldset && Array.from(fieldset.children).find((child) => child.tagName.toLowerCase() === "legend");
+  context.legend = contextText(legend);
+  context.section = contextText(precedingHeading(el, headings));
+
+  Object.keys(context).forEach((key) => {
+    if (!context[key]) {
+      delete context[key];
+    }
+  });
+  return context;
+}
+
 function ensureFieldUid(el) {
   if (!el.dataset.affUid) {
     uidCounter += 1;
@@ -114,53 +343,257 @@ function ensureFieldUid(el) {
   return el.dataset.affUid;
 }
 
-function getFieldDescriptor(el) {
+// Constraints the browser enforces on the value; empty ones are left out.
+function readInputConstraints(el) {
+  const constraints = {
+    min: cleanText(el.getAttribute("min")),
+    max: cleanText(el.getAttribute("max")),
+    step: cleanText(el.getAttribute("step")),
+    maxLength: el.maxLength > 0 ? el.maxLength : 0,
+    pattern: el.getAttribute("pattern") || ""
+  };
+  Object.keys(constraints).forEach((key) => {
+    if (!constraints[key]) {
+      delete constraints[key];
+    }
+  });
+  return constraints;
+}
+
+function radioGroup(el) {
+  return el.name
+    ? Array.from(rootOf(el).querySelectorAll(`input[type="radio"][name="${CSS.escape(el.name)}"]`))
+    : [el];
+}
+
+// Radios are grouped by name; checkboxes by a shared name, or by a fieldset/group that holds only checkboxes.
+function choiceGroupMembers(el) {
+  if (el.tagName.toLowerCase() !== "input") {
+    return null;
+  }
+  const type = (el.type || "").toLowerCase();
+  const usable = (member) => member === el || !shouldSkipInput(member);
+  if (type === "radio") {
+    return radioGroup(el).filter(usable);
+  }
+  if (type !== "checkbox") {
+    return null;
+  }
+
+  if (el.name) {
+    const scope = el.form || rootOf(el);
+    const named = Array.from(scope.querySelectorAll(`input[type="checkbox"][name="${CSS.escape(el.name)}"]`)).filter(usable);
+    if (named.length > 1) {
+      return named;
+    }
+  }
+
+  const container = el.closest("fieldset, [role='group']");
+  if (!container) {
+    return null;
+  }
+  const controls = Array.from(container.querySelectorAll("input, textarea, select")).filter(usable);
+  const onlyCheckboxes = controls.every((control) => (control.type || "").toLowerCase() === "checkbox");
+  return onlyCheckboxes && controls.length > 1 ? controls : null;
+}
+
+function choiceGroupLabel(leader, members) {
+  const container = leader.closest("fieldset, [role='radiogroup'], [role='group']");
+  if (container && members.every((member) => container.contains(member))) {
+    const legend = Array.from(container.children).find((child) => child.tagName.toLowerCase() === "legend");
+    const label = cleanText(container.getAttribute("aria-label"))
+      || textOfIds(container.getAttribute("aria-labelledby"), rootOf(container))
+      || cleanText(legend && legend.textContent);
+    if (label) {
+      return label;
+    }
+  }
+  return cleanText((leader.name || "").replace(/\[\]$/, "").replace(/[_-]+/g, " "));
+}
+
+function choiceOptionNames(member) {
+  return [getLabelText(member) || cleanText(member.value), cleanText(member.value)];
+}
+
+function widgetOptions(listbox) {
+  return listbox
+    ? Array.from(listbox.querySelectorAll("[role='option']"))
+      .filter((option) => option.getAttribute("aria-disabled") !== "true")
+    : [];
+}
+
+function optionText(option) {
+  return cleanText(option.getAttribute("aria-label") || option.textContent);
+}
+
+function listboxFor(el) {
+  if (widgetKind(el) === "listbox") {
+    return el;
+  }
+  const ids = cleanText(`${el.getAttribute("aria-controls") || ""} ${el.getAttribute("aria-owns") || ""}`);
+  const controlled = elementsForIds(ids, rootOf(el)).find((node) => node.matches("[role='listbox']") || node.querySelector("[role='listbox']"));
+  if (controlled) {
+    return controlled.matches("[role='listbox']") ? controlled : controlled.querySelector("[role='listbox']");
+  }
+  return el.querySelector("[role='listbox']");
+}
+
+function widgetType(el, kind) {
+  if (kind === "textbox") {
+    return el.isContentEditable ? "contenteditable" : "textbox";
+  }
+  return kind;
+}
+
+function getFieldDescriptor(target, headings = queryAllDeep(HEADING_SELECTOR)) {
+  const members = choiceGroupMembers(target);
+  const el = members ? members[0] : target;
   const tag = el.tagName.toLowerCase();
+  const kind = widgetKind(el);
   const uid = ensureFieldUid(el);
-  const label = getLabelText(el);
+  const label = (members && choiceGroupLabel(el, members)) || getLabelText(el);
   const sensitivity = isSensitiveFieldElement(el, label);
 
   const descriptor = {
     uid,
     tag,
-    type: (el.type || "").toLowerCase(),
+    type: kind ? widgetType(el, kind) : (el.type || "").toLowerCase(),
     autocomplete: cleanText(el.getAttribute("autocomplete")),
     ariaLabel: cleanText(el.getAttribute("aria-label")),
     name: cleanText(el.getAttribute("name")),
     id: cleanText(el.id),
-    placeholder: cleanText(el.getAttribute("placeholder")),
+    placeholder: cleanText(el.getAttribute("placeholder") || el.getAttribute("aria-placeholder")),
     label,
-    required: Boolean(el.required),
+    context: getFieldContext(el, headings),
+    required: members
+      ? members.some((member) => member.required)
+      : Boolean(el.required) || el.getAttribute("aria-required") === "true",
     sensitive: sensitivity.sensitive,
     sensitiveReason: sensitivity.reason
   };
 
+  if (kind === "textbox" && el.getAttribute("aria-multiline") === "true") {
+    descriptor.multiline = true;
+  }
+
+  const constraints = tag === "select" || kind ? {} : readInputConstraints(el);
+  if (Object.keys(constraints).length) {
+    descriptor.constraints = constraints;
+  }
+
   if (tag === "select") {
     descriptor.options = Array.from(el.options)
       .map((o) => cleanText(o.textContent || o.value))
       .filter(Boolean)
       .slice(0, 50);
+    if (el.multiple) {
+      descriptor.multiple = true;
+    }
+  }
+
+  if (kind === "combobox" || kind === "listbox") {
+    const listbox = listboxFor(el);
+    const options = widgetOptions(listbox).map(optionText).filter(Boolean).slice(0, 50);
+    if (options.length) {
+      descriptor.options = options;
+    }
+    if (listbox && listbox.getAttribute("aria-multiselectable") === "true") {
+      descriptor.multiple = true;
+    }
+  }
+
+  if (members) {
+    descriptor.options = members
+      .map((member) => choiceOptionNames(member)[0])
+      .filter(Boolean)
+      .slice(0, 50);
+    if (descriptor.type === "checkbox") {
+      descriptor.multiple = true;
+    }
+    choiceGroups.set(uid, members);
   }
 
   fieldMap.set(uid, el);
   return descriptor;
 }
 
-function collectFields(includeSensitive = false) {
+function collectFields(includeSensitive = false, skipSelectors = siteRule ? siteRule.skipSelectors || [] : []) {
   fieldMap = new Map();
+  choiceGroups = new Map();
 
-  const elements = Array.from(document.querySelectorAll("input, textarea, select"))
-    .filter((el) => !shouldSkipInput(el));
+  const elements = queryAllDeep(FIELD_SELECTOR)
+    .filter((el) => !shouldSkipInput(el) && !matchesSkipSelector(el, skipSelectors));
 
-  const descriptors = elements.map((el) => getFieldDescriptor(el));
+  const headings = queryAllDeep(HEADING_SELECTOR);
+  const described = new Set();
+  const descriptors = [];
+  elements.forEach((el) => {
+    if (described.has(el)) {
+      return;
+    }
+    const descriptor = getFieldDescriptor(el, headings);
+    (choiceGroups.get(descriptor.uid) || [el]).forEach((member) => described.add(member));
+    descriptors.push(descriptor);
+  });
   return includeSensitive ? descriptors : descriptors.filter((field) => !field.sensitive);
 }
 
+// A frame whose origin differs from the top page's is an embedded widget, ad or form from another site.
+function isCrossOriginFrame() {
+  if (window === window.top) {
+    return false;
+  }
+  const ancestors = location.ancestorOrigins;
+  if (ancestors && ancestors.length) {
+    return ancestors[ancestors.length - 1] !== location.origin;
+  }
+  try {
+    return window.top.location.origin !== location.origin;
+  } catch (_error) {
+    return true;
+  }
+}
+
+// File inputs usually sit hidden behind a styled button, so they are collected without the visibility check.
+function collectFileInputs(skipSelectors = siteRule ? siteRule.skipSelectors || [] : []) {
+  const headings = queryAllDeep(HEADING_SELECTOR);
+  const crossOrigin = isCrossOriginFrame();
+  return queryAllDeep("input[type='file']")
+    .filter((el) => !el.disabled && !matchesSkipSelector(el, skipSelectors))
+    .map((el) => {
+      const uid = ensureFieldUid(el);
+      fieldMap.set(uid, el);
+      return {
+        uid,
+        label: getLabelText(el) || cleanText(el.title),
+        ariaLabel: cleanText(el.getAttribute("aria-label")),
+        name: cleanText(el.getAttribute("name")),
+        id: cleanText(el.id),
+        accept: cleanText(el.getAttribute("accept")),
+        multiple: el.multiple,
+        required: el.required,
+        context: getFieldContext(el, headings),
+        ...(crossOrigin ? { crossOrigin: true } : {})
+      };
+    });
+}
+
+// Same filter as collectFields(false), but stops at the first fillable field and builds no descriptors.
 function hasFillableForms() {
-  return collectFields(false).length > 0;
+  const skipSelectors = siteRule ? siteRule.skipSelectors || [] : [];
+  return queryAllDeep(FIELD_SELECTOR).some((el) => {
+    if (shouldSkipInput(el) || matchesSkipSelector(el, skipSelectors)) {
+      return false;
+    }
+    const members = choiceGroupMembers(el);
+    const first = members ? members[0] : el;
+    const label = (members && choiceGroupLabel(first, members)) || getLabelText(first);
+    return !isSensitiveFieldElement(first, label).sensitive;
+  });
 }
 
-function setNativeValue(el, value) {
+// The prototype setter bypasses the instance setter that React and similar libraries install.
+function writeNativeValue(el, value) {
   const prototype = Object.getPrototypeOf(el);
   const descriptor = Object.getOwnPropertyDescriptor(prototype, "value");
 
@@ -169,12 +602,308 @@ function setNativeValue(el, value) {
   } else {
     el.value = value;
   }
+}
 
+function setNativeValue(el, value) {
+  writeNativeValue(el, value);
   el.dispatchEvent(new Event("input", { bubbles: true }));
   el.dispatchEvent(new Event("change", { bubbles: true }));
 }
 
-function fillField(uid, value, allowSensitive) {
+const VERIFY_DELAY_MS = 60;
+
+function insertAtCaret(el, text) {
+  let start = el.value.length;
+  let end = start;
+  try {
+    if (typeof el.selectionStart === "number") {
+      start = el.selectionStart;
+      end = el.selectionEnd;
+    }
+  } catch (_error) {
+    // Inputs such as email and number have no selection API.
+  }
+
+  writeNativeValue(el, el.value.slice(0, start) + text + el.value.slice(end));
+  try {
+    el.setSelectionRange(start + text.length, start + text.length);
+  } catch (_error) {
+    // See above.
+  }
+}
+
+// Runs one editing step the way a keyboard would: a cancelled keydown or beforeinput stops the edit.
+function simulateEdit(el, key, inputType, data, edit, composing = false) {
+  const keyInit = { key, bubbles: true, cancelable: true, composed: true };
+  const proceed = el.dispatchEvent(new KeyboardEvent("keydown", keyInit));
+  if (proceed && data) {
+    el.dispatchEvent(new KeyboardEvent("keypress", { ...keyInit, charCode: data.charCodeAt(0) }));
+  }
+  if (proceed && composing) {
+    el.dispatchEvent(new CompositionEvent("compositionstart", { data: "", bubbles: true, composed: true }));
+    el.dispatchEvent(new CompositionEvent("compositionupdate", { data, bubbles: true, composed: true }));
+  }
+
+  const inputInit = { inputType, data, bubbles: true, composed: true, isComposing: composing };
+  if (proceed && el.dispatchEvent(new InputEvent("beforeinput", { ...inputInit, cancelable: true }))) {
+    edit();
+    el.dispatchEvent(new InputEvent("input", inputInit));
+  }
+
+  if (proceed && composing) {
+    el.dispatchEvent(new CompositionEvent("compositionend", { data, bubbles: true, composed: true }));
+  }
+  el.dispatchEvent(new KeyboardEvent("keyup", keyInit));
+}
+
+// Types character by character for inputs whose framework or mask ignores a value set directly.
+// Characters outside plain ASCII arrive through composition events, as they would from an IME.
+function fillByTyping(el, value) {
+  el.focus();
+  if (el.value) {
+    try {
+      el.select();
+    } catch (_error) {
+      // Nothing to select.
+    }
+    simulateEdit(el, "Backspace", "deleteContentBackward", null, () => writeNativeValue(el, ""));
+  }
+  Array.from(value).forEach((char) => {
+    if (char === "\n") {
+      simulateEdit(el, "Enter", "insertLineBreak", null, () => insertAtCaret(el, char));
+      return;
+    }
+    simulateEdit(el, char, "insertText", char, () => insertAtCaret(el, char), /[^\x20-\x7e]/.test(char));
+  });
+  el.dispatchEvent(new Event("change", { bubbles: true }));
+  el.blur();
+}
+
+function fillByValue(el, value) {
+  el.focus();
+  setNativeValue(el, value);
+  el.blur();
+}
+
+// Tries the configured strategy, then the other one when the page did not keep the value (for example, reset on blur).
+async function writeTextValue(el, value) {
+  if (fillStrategy === "native") {
+    setNativeValue(el, value);
+    return true;
+  }
+
+  const strategies = fillStrategy === "typing" ? [fillByTyping, fillByValue] : [fillByValue, fillByTyping];
+  for (const write of strategies) {
+    write(el, value);
+    await delay(VERIFY_DELAY_MS);
+    if (valueKept(el.value, value)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function setChecked(input, checked) {
+  if (input.checked === checked) {
+    return;
+  }
+  if (fillStrategy !== "native") {
+    input.click();
+  }
+  if (input.checked !== checked) {
+    input.checked = checked;
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+}
+
+function selectOptionValue(el, value) {
+  if (fillStrategy !== "native") {
+    el.focus();
+    setNativeValue(el, value);
+    el.blur();
+  }
+  if (el.value !== value) {
+    el.value = value;
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+}
+
+function snapshotField(el) {
+  const tag = el.tagName.toLowerCase();
+  const type = (el.type || "").toLowerCase();
+  const widget = widgetKind(el);
+
+  if (widget === "textbox") {
+    return { el, kind: "html", html: el.innerHTML };
+  }
+  if (widget) {
+    // Options chosen in a custom dropdown cannot be put back reliably.
+    return { el, kind: "widget" };
+  }
+
+  if (tag === "input" && type === "file") {
+    const files = new DataTransfer();
+    Array.from(el.files || []).forEach((file) => files.items.add(file));
+    return { el, kind: "files", files: files.files };
+  }
+
+  if (tag === "select") {
+    return {
+      el,
+      kind: "select",
+      selected: Array.from(el.options).map((opt) => opt.selected)
+    };
+  }
+
+  const members = choiceGroups.get(el.dataset.affUid);
+  if (tag === "input" && type === "checkbox" && !members) {
+    return { el, kind: "checkbox", checked: el.checked };
+  }
+
+  if (tag === "input" && (type === "radio" || type === "checkbox")) {
+    return {
+      el,
+      kind: "group",
+      group: (members || radioGroup(el)).map((member) => ({ el: member, checked: member.checked }))
+    };
+  }
+
+  return { el, kind: "value", value: el.value };
+}
+
+function recordFillSnapshot(runId, uid, el) {
+  const id = runId || `run-${Date.now()}`;
+  if (!lastFillSnapshot || lastFillSnapshot.runId !== id) {
+    lastFillSnapshot = { runId: id, entries: new Map() };
+  }
+
+  if (!lastFillSnapshot.entries.has(uid)) {
+    lastFillSnapshot.entries.set(uid, snapshotField(el));
+  }
+}
+
+function restoreFieldSnapshot(snapshot) {
+  const el = snapshot.el;
+  if (!el || !el.isConnected) {
+    return false;
+  }
+
+  if (snapshot.kind === "widget") {
+    return false;
+  }
+
+  if (snapshot.kind === "html") {
+    el.innerHTML = snapshot.html;
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    return true;
+  }
+
+  if (snapshot.kind === "files") {
+    el.files = snapshot.files;
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+    return true;
+  }
+
+  if (snapshot.kind === "select") {
+    Array.from(el.options).forEach((opt, idx) => {
+      opt.selected = Boolean(snapshot.selected[idx]);
+    });
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+    return true;
+  }
+
+  if (snapshot.kind === "checkbox") {
+    el.checked = snapshot.checked;
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+    return true;
+  }
+
+  if (snapshot.kind === "group") {
+    snapshot.group.forEach((entry) => {
+      if (entry.el.isConnected && entry.el.checked !== entry.checked) {
+        entry.el.checked = entry.checked;
+        entry.el.dispatchEvent(new Event("input", { bubbles: true }));
+        entry.el.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+    });
+    return true;
+  }
+
+  setNativeValue(el, snapshot.value);
+  return true;
+}
+
+function clearNeedsReviewMark(uid) {
+  const marker = reviewMarkers.get(uid);
+  if (!marker) {
+    return;
+  }
+
+  reviewMarkers.delete(uid);
+  marker.el.style.outline = marker.outline;
+  marker.el.style.outlineOffset = marker.outlineOffset;
+  if (marker.title == null) {
+    marker.el.removeAttribute("title");
+  } else {
+    marker.el.setAttribute("title", marker.title);
+  }
+}
+
+function markFieldNeedsReview(uid, value, confidence) {
+  const el = fieldMap.get(uid);
+  if (!el) {
+    return { ok: false, error: "Field not found in page context." };
+  }
+
+  clearNeedsReviewMark(uid);
+  reviewMarkers.set(uid, {
+    el,
+    outline: el.style.outline,
+    outlineOffset: el.style.outlineOffset,
+    title: el.getAttribute("title")
+  });
+
+  const suggestion = cleanText(String(value == null ? "" : value));
+  el.style.outline = "2px dashed #d97706";
+  el.style.outlineOffset = "1px";
+  el.setAttribute(
+    "title",
+    t(
+      "contentNeedsReviewTitle",
+      [formatConfidence(confidence), suggestion],
+      `Needs review (${formatConfidence(confidence)} confidence). Suggested: ${suggestion}`
+    )
+  );
+  el.addEventListener("input", () => clearNeedsReviewMark(uid), { once: true });
+  return { ok: true };
+}
+
+function hasUndoSnapshot() {
+  return Boolean(lastFillSnapshot && lastFillSnapshot.entries.size);
+}
+
+function undoLastFill() {
+  if (!hasUndoSnapshot()) {
+    return { ok: true, restored: 0 };
+  }
+
+  let restored = 0;
+  lastFillSnapshot.entries.forEach((snapshot) => {
+    correctionWatches.delete(snapshot.el);
+    if (restoreFieldSnapshot(snapshot)) {
+      restored += 1;
+    }
+  });
+
+  lastFillSnapshot = null;
+  updateHoverUndoButton();
+  return { ok: true, restored };
+}
+
+async function fillField(uid, value, allowSensitive, runId) {
   const el = fieldMap.get(uid);
   if (!el) {
     return { ok: false, error: "Field not found in page context." };
@@ -186,31 +915,66 @@ function fillField(uid, value, allowSensitive) {
   }
 
   const tag = el.tagName.toLowerCase();
-  const trimmedValue = cleanText(String(value == null ? "" : value));
+  const rawValue = String(value == null ? "" : value);
+  const trimmedValue = cleanText(rawValue);
 
   if (!trimmedValue) {
     return { ok: false, error: "Empty value was provided." };
   }
 
-  if (tag === "select") {
-    const normalized = trimmedValue.toLowerCase();
-
-    const exactOption = Array.from(el.options).find((opt) => {
-      const candidate = cleanText(opt.textContent || opt.value).toLowerCase();
-      return candidate === normalized || cleanText(opt.value).toLowerCase() === normalized;
-    });
+  const recordSnapshot = () => {
+    recordFillSnapshot(runId, uid, el);
+    clearNeedsReviewMark(uid);
+    updateHoverUndoButton();
+  };
 
-    const partialOption = exactOption || Array.from(el.options).find((opt) => {
-      const candidate = cleanText(opt.textContent || opt.value).toLowerCase();
-      return candidate.includes(normalized) || normalized.includes(candidate);
-    });
+  const kind = widgetKind(el);
+  if (kind === "textbox") {
+    return fillTextbox(el, rawValue.trim(), recordSnapshot);
+  }
+  if (kind === "combobox") {
+    return fillCombobox(el, trimmedValue, recordSnapshot);
+  }
+  if (kind === "listbox") {
+    return fillListbox(el, rawValue, recordSnapshot);
+  }
 
-    if (!partialOption) {
+  if (tag === "select") {
+    const options = Array.from(el.options);
+    const selected = matchOptions(
+      options.map((opt) => [cleanText(opt.textContent || opt.value), cleanText(opt.value)]),
+      el.multiple ? rawValue : trimmedValue,
+      { multiple: el.multiple }
+    );
+
+    if (!selected.length) {
       return { ok: false, error: "No matching option found for select field." };
     }
 
-    el.value = partialOption.value;
-    el.dispatchEvent(new Event("change", { bubbles: true }));
+    recordSnapshot();
+    if (el.multiple) {
+      options.forEach((opt, index) => {
+        opt.selected = selected.includes(index);
+      });
+      if (fillStrategy !== "native") {
+        el.dispatchEvent(new Event("input", { bubbles: true }));
+      }
+      el.dispatchEvent(new Event("change", { bubbles: true }));
+    } else {
+      selectOptionValue(el, options[selected[0]].value);
+    }
+    return { ok: true };
+  }
+
+  const members = choiceGroups.get(uid);
+  if (tag === "input" && members && (el.type || "").toLowerCase() === "checkbox") {
+    const selected = matchOptions(members.map(choiceOptionNames), rawValue, { multiple: true });
+    if (!selected.length) {
+      return { ok: false, error: "No matching checkbox option found." };
+    }
+
+    recordSnapshot();
+    members.forEach((member, index) => setChecked(member, selected.includes(index)));
     return { ok: true };
   }
 
@@ -225,39 +989,338 @@ function fillField(uid, value, allowSensitive) {
         return { ok: false, error: "Checkbox value must resolve to true/false." };
       }
 
-      el.checked = truthy;
-      el.dispatchEvent(new Event("change", { bubbles: true }));
+      recordSnapshot();
+      setChecked(el, truthy);
       return { ok: true };
     }
 
     if (type === "radio") {
-      const radioName = el.name;
-      if (!radioName) {
-        return { ok: false, error: "Radio button has no name group." };
-      }
-
-      const radios = Array.from(document.querySelectorAll(`input[type="radio"][name="${CSS.escape(radioName)}"]`));
-      const normalizedValue = trimmedValue.toLowerCase();
-      const match = radios.find((r) => {
-        const label = getLabelText(r).toLowerCase();
-        const val = cleanText(r.value).toLowerCase();
-        return label === normalizedValue || val === normalizedValue || label.includes(normalizedValue);
-      });
+      const radios = members || radioGroup(el);
+      const [index] = matchOptions(radios.map(choiceOptionNames), trimmedValue);
+      const match = index === undefined ? null : radios[index];
 
       if (!match) {
         return { ok: false, error: "No matching radio option found." };
       }
 
-      match.checked = true;
-      match.dispatchEvent(new Event("change", { bubbles: true }));
+      recordSnapshot();
+      setChecked(match, true);
       return { ok: true };
     }
   }
 
-  setNativeValue(el, trimmedValue);
+  const type = (el.type || "text").toLowerCase();
+  const formatted = formatInputValue(tag === "textarea" ? rawValue : trimmedValue, {
+    type,
+    ...readInputConstraints(el),
+    dateOrder: pageDateOrder()
+  });
+  if (!formatted.ok) {
+    return invalidFillResult(describeFormatFailure(formatted.reason, type, el));
+  }
+
+  const previousValue = el.value;
+  recordSnapshot();
+  if (!(await writeTextValue(el, formatted.value))) {
+    return { ok: false, error: "The page did not keep the value (it was changed or cleared after filling)." };
+  }
+  if (typeof el.checkValidity === "function" && !el.checkValidity()) {
+    const message = el.validationMessage || "The page rejected this value.";
+    setNativeValue(el, previousValue);
+    return invalidFillResult(message);
+  }
+  return { ok: true };
+}
+
+// Library documents are attached only after the user confirms each one on the page.
+function attachLibraryFile(uid, file, label, runId) {
+  const el = fieldMap.get(uid);
+  if (!el || !el.isConnected || el.disabled) {
+    return { ok: false, error: "Field not found in page context." };
+  }
+  if (!file || !file.name || typeof file.base64 !== "string") {
+    return { ok: false, error: "No file was provided." };
+  }
+
+  const target = label || getLabelText(el) || el.name || "file upload";
+  const confirmed = window.confirm(isCrossOriginFrame()
+    ? t(
+      "contentConfirmAttachFileFrame",
+      [file.name, target, location.host],
+      `Attach "${file.name}" from your document library to "${target}"? This upload is in an embedded frame from ${location.host}, not the page you are on.`
+    )
+    : t("contentConfirmAttachFile", [file.name, target], `Attach "${file.name}" from your document library to "${target}"?`));
+  if (!confirmed) {
+    return { ok: false, declined: true };
+  }
+
+  const transfer = new DataTransfer();
+  transfer.items.add(new File([base64ToBytes(file.base64)], file.name, { type: file.type || "application/octet-stream" }));
+  recordFillSnapshot(runId, uid, el);
+  updateHoverUndoButton();
+  el.files = transfer.files;
+  el.dispatchEvent(new Event("input", { bubbles: true }));
+  el.dispatchEvent(new Event("change", { bubbles: true }));
+  return el.files.length ? { ok: true } : { ok: false, error: "The page did not accept the file." };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function pressOn(node) {
+  ["pointerdown", "mousedown", "pointerup", "mouseup", "click"].forEach((type) => {
+    const EventType = type.startsWith("pointer") && typeof PointerEvent === "function" ? PointerEvent : MouseEvent;
+    node.dispatchEvent(new EventType(type, { bubbles: true, cancelable: true, view: window }));
+  });
+}
+
+function pressKey(node, key) {
+  node.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true, cancelable: true }));
+  node.dispatchEvent(new KeyboardEvent("keyup", { key, bubbles: true, cancelable: true }));
+}
+
+// Rich-text editors listen for editing commands, so the text is inserted as if typed.
+function fillTextbox(el, value, recordSnapshot) {
+  recordSnapshot();
+  el.focus();
+  const selection = window.getSelection();
+  const range = document.createRange();
+  range.selectNodeContents(el);
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  const inserted = el.isContentEditable && document.execCommand("insertText", false, value);
+  if (!inserted) {
+    el.textContent = value;
+    el.dispatchEvent(new InputEvent("input", { bubbles: true, inputType: "insertText", data: value }));
+  }
+  return { ok: true };
+}
+
+function openListboxes() {
+  return queryAllDeep("[role='listbox']")
+    .filter((listbox) => isVisible(listbox) && widgetOptions(listbox).length);
+}
+
+// Falls back to a listbox that appeared after opening, for menus rendered in a portal without aria-controls.
+function visibleListbox(el, alreadyOpen) {
+  const own = listboxFor(el);
+  if (own) {
+    return own;
+  }
+  const appeared = openListboxes().filter((listbox) => !alreadyOpen.has(listbox));
+  return appeared[appeared.length - 1] || null;
+}
+
+const WIDGET_OPTION_TIMEOUT_MS = 2500;
+const WIDGET_POLL_MS = 100;
+
+// Waits for options to render (they may load after typing) and returns the one matching the answer.
+async function waitForWidgetOption(el, value, alreadyOpen) {
+  let listbox = null;
+  for (let waited = 0; waited <= WIDGET_OPTION_TIMEOUT_MS; waited += WIDGET_POLL_MS) {
+    listbox = visibleListbox(el, alreadyOpen);
+    const options = widgetOptions(listbox).filter(isVisible);
+    const [index] = matchOptions(options.map((option) => [optionText(option)]), value);
+    if (index !== undefined) {
+      return { listbox, option: options[index] };
+    }
+    await delay(WIDGET_POLL_MS);
+  }
+  return { listbox, option: null };
+}
+
+// Opens the dropdown, types the answer to filter it when there is a text input, then picks the match.
+async function fillCombobox(el, value, recordSnapshot) {
+  const input = el.matches("input, textarea") ? el : el.querySelector("input:not([type='hidden']), textarea");
+  const alreadyOpen = new Set(openListboxes());
+  recordSnapshot();
+  el.focus();
+  pressOn(el);
+  if (input) {
+    input.focus();
+    setNativeValue(input, value);
+  }
+  if (!visibleListbox(el, alreadyOpen)) {
+    pressKey(input || el, "ArrowDown");
+  }
+
+  const { listbox, option } = await waitForWidgetOption(el, value, alreadyOpen);
+  if (option) {
+    option.scrollIntoView({ block: "nearest" });
+    pressOn(option);
+    return { ok: true };
+  }
+
+  if (input === el && !listbox) {
+    // A free-text combobox without suggestions keeps the typed answer.
+    return { ok: true };
+  }
+  if (input) {
+    setNativeValue(input, "");
+  }
+  pressKey(input || el, "Escape");
+  return { ok: false, error: "No matching option found in dropdown." };
+}
+
+function fillListbox(el, value, recordSnapshot) {
+  const options = widgetOptions(el);
+  const multiple = el.getAttribute("aria-multiselectable") === "true";
+  const selected = matchOptions(
+    options.map((option) => [optionText(option), cleanText(option.getAttribute("data-value"))]),
+    value,
+    { multiple }
+  );
+  if (!selected.length) {
+    return { ok: false, error: "No matching option found in list." };
+  }
+
+  recordSnapshot();
+  options.forEach((option, index) => {
+    const wanted = selected.includes(index);
+    const isSelected = option.getAttribute("aria-selected") === "true";
+    if (wanted !== isSelected && (wanted || multiple)) {
+      pressOn(option);
+    }
+  });
   return { ok: true };
 }
 
+function invalidFillResult(message) {
+  return { ok: false, invalid: true, error: message, validationMessage: message };
+}
+
+// The page's lang decides how "04/05/1999" is read; a bare "en" takes its region from the browser
+// language when that is English too, and otherwise stays ambiguous.
+function pageDateOrder() {
+  const pageLang = cleanText(document.documentElement.lang);
+  const browserLang = navigator.language || "";
+  if (!pageLang) {
+    return dateOrderForLocale(browserLang);
+  }
+  const order = dateOrderForLocale(pageLang);
+  if (order) {
+    return order;
+  }
+  const language = (locale) => locale.toLowerCase().split(/[-_]/)[0];
+  return language(browserLang) === language(pageLang) ? dateOrderForLocale(browserLang) : "";
+}
+
+function describeFormatFailure(reason, type, el) {
+  if (reason === "range") {
+    const min = el.getAttribute("min");
+    const max = el.getAttribute("max");
+    return `Value must be between ${min || "any"} and ${max || "any"}.`;
+  }
+  if (reason === "pattern") {
+    const title = cleanText(el.getAttribute("title"));
+    return `Value must match the required format${title ? ` (${title})` : ""}.`;
+  }
+  if (["date", "datetime-local", "month", "week"].includes(type)) {
+    return `Value is not a valid ${type} or its day and month are ambiguous; give the date as YYYY-MM-DD.`;
+  }
+  return `Value is not a valid ${type}.`;
+}
+
+function readFieldAnswer(el) {
+  if (widgetKind(el) === "textbox") {
+    return cleanText(el.innerText || el.textContent);
+  }
+  const tag = el.tagName.toLowerCase();
+  const type = (el.type || "").toLowerCase();
+  const members = choiceGroups.get(el.dataset.affUid);
+
+  if (tag === "select" && el.multiple) {
+    return Array.from(el.selectedOptions).map((option) => cleanText(option.textContent || option.value)).join("; ");
+  }
+  if (tag === "select") {
+    const option = el.options[el.selectedIndex];
+    return option ? cleanText(option.textContent || option.value) : "";
+  }
+  if (type === "checkbox" && members) {
+    return members.filter((member) => member.checked).map((member) => choiceOptionNames(member)[0]).join("; ");
+  }
+  if (type === "checkbox") {
+    return el.checked ? "true" : "false";
+  }
+  if (type === "radio") {
+    const checked = radioGroup(el).find((radio) => radio.checked);
+    return checked ? getLabelText(checked) || cleanText(checked.value) : "";
+  }
+  return cleanText(el.value);
+}
+
+// After a fill, the written value is remembered so a later edit by the user can be learned.
+function watchForCorrection(el, correctionKey, label) {
+  if (!el || !correctionKey || widgetKind(el) || isSensitiveFieldElement(el, getLabelText(el)).sensitive) {
+    return;
+  }
+  const value = readFieldAnswer(el);
+  correctionWatches.set(el, { correctionKey, label: label || getLabelText(el), original: value, reported: value });
+}
+
+function findCorrectionWatch(target) {
+  if (correctionWatches.has(target)) {
+    return target;
+  }
+  if (target instanceof HTMLInputElement && target.type === "radio") {
+    return radioGroup(target).find((radio) => correctionWatches.has(radio)) || null;
+  }
+  if (target instanceof HTMLInputElement && target.type === "checkbox") {
+    const group = Array.from(choiceGroups.values()).find((members) => members.includes(target));
+    return group && correctionWatches.has(group[0]) ? group[0] : null;
+  }
+  return null;
+}
+
+function reportCorrection(el) {
+  const watch = correctionWatches.get(el);
+  if (!watch || !el.isConnected) {
+    return;
+  }
+
+  const value = readFieldAnswer(el);
+  if (value === watch.reported) {
+    return;
+  }
+  watch.reported = value;
+  runtimeSendMessage({
+    type: "RECORD_FIELD_CORRECTION",
+    correctionKey: watch.correctionKey,
+    label: watch.label,
+    original: watch.original,
+    value
+  }).catch(() => {
+    // Ignore transient messaging errors.
+  });
+}
+
+function handleCorrectionChange(event) {
+  if (!event.isTrusted || !(event.target instanceof Element)) {
+    return;
+  }
+  const el = findCorrectionWatch(event.target);
+  if (el) {
+    reportCorrection(el);
+  }
+}
+
+function handleCorrectionSubmit(event) {
+  const form = event.target;
+  correctionWatches.forEach((_watch, el) => {
+    if (form instanceof HTMLFormElement && el.form === form) {
+      reportCorrection(el);
+      correctionWatches.delete(el);
+    }
+  });
+}
+
+function initCorrectionTracking() {
+  document.addEventListener("change", handleCorrectionChange, true);
+  document.addEventListener("submit", handleCorrectionSubmit, true);
+}
+
 function notifyFormAvailability(force) {
   const hasForm = hasFillableForms();
   if (!force && hasForm === lastKnownHasForm) {
@@ -280,28 +1343,65 @@ function scheduleAvailabilityCheck() {
   }, 120);
 }
 
-function initFormAvailabilityTracking() {
-  notifyFormAvailability(true);
+const AVAILABILITY_OBSERVER_OPTIONS = {
+  subtree: true,
+  childList: true,
+  attributes: true,
+  attributeFilter: ["type", "disabled", "readonly", "aria-hidden", "style", "class", "contenteditable", "role", "autocomplete", "name"]
+};
 
+// Shadow roots are observed as the availability check discovers them (see trackShadowRoot).
+function initFormAvailabilityTracking() {
   if (!availabilityObserver) {
     availabilityObserver = new MutationObserver(() => {
       scheduleAvailabilityCheck();
     });
-    availabilityObserver.observe(document.documentElement || document.body, {
-      subtree: true,
-      childList: true,
-      attributes: true,
-      attributeFilter: ["type", "disabled", "readonly", "aria-hidden", "style", "class", "contenteditable", "role", "autocomplete", "name"]
-    });
+    availabilityObserver.observe(document.documentElement || document.body, AVAILABILITY_OBSERVER_OPTIONS);
   }
 
+  notifyFormAvailability(true);
+
   window.addEventListener("load", () => notifyFormAvailability(true));
   document.addEventListener("visibilitychange", () => scheduleAvailabilityCheck());
   window.addEventListener("pageshow", () => notifyFormAvailability(true));
 }
 
+function updateHoverUndoButton() {
+  if (!hoverUndoButton) {
+    return;
+  }
+
+  const visible = Boolean(hoverButton && hoverButton.style.display !== "none" && hasUndoSnapshot());
+  hoverUndoButton.style.display = visible ? "block" : "none";
+  if (visible && activeHoverField) {
+    positionHoverControlsFor(activeHoverField);
+  }
+}
+
+function updateHoverComposeBar() {
+  if (!hoverComposeBar) {
+    return;
+  }
+
+  const visible = Boolean(
+    hoverButton && hoverButton.style.display !== "none" && activeHoverField && composedUids.has(activeHoverField.dataset.affUid)
+  );
+  hoverComposeBar.style.display = visible ? "flex" : "none";
+  if (visible) {
+    positionHoverControlsFor(activeHoverField);
+  }
+}
+
+function setHoverControlsBusy(busy) {
+  hoverButton.disabled = busy;
+  hoverButton.textContent = busy ? t("contentFilling", undefined, "Filling...") : t("contentFillWithAi", undefined, "Fill with AI");
+  hoverComposeBar.querySelectorAll("button").forEach((button) => {
+    button.disabled = busy;
+  });
+}
+
 function ensureHoverControls() {
-  if (hoverButton && hoverStatus) {
+  if (hoverButton && hoverUndoButton && hoverStatus && hoverComposeBar) {
     return;
   }
 
@@ -320,6 +1420,46 @@ function ensureHoverControls() {
   hoverButton.style.cursor = "pointer";
   hoverButton.style.boxShadow = "0 4px 10px rgba(0,0,0,.15)";
 
+  hoverUndoButton = document.createElement("button");
+  hoverUndoButton.type = "button";
+  hoverUndoButton.textContent = t("contentUndoLastFill", undefined, "Undo");
+  hoverUndoButton.style.position = "fixed";
+  hoverUndoButton.style.zIndex = "2147483647";
+  hoverUndoButton.style.display = "none";
+  hoverUndoButton.style.padding = "4px 8px";
+  hoverUndoButton.style.fontSize = "12px";
+  hoverUndoButton.style.borderRadius = "6px";
+  hoverUndoButton.style.border = "1px solid #0f766e";
+  hoverUndoButton.style.background = "#ffffff";
+  hoverUndoButton.style.color = "#0f766e";
+  hoverUndoButton.style.cursor = "pointer";
+  hoverUndoButton.style.boxShadow = "0 4px 10px rgba(0,0,0,.15)";
+
+  hoverComposeBar = document.createElement("div");
+  hoverComposeBar.style.position = "fixed";
+  hoverComposeBar.style.zIndex = "2147483647";
+  hoverComposeBar.style.display = "none";
+  hoverComposeBar.style.gap = "4px";
+  [
+    ["regenerate", "contentComposeRegenerate", "Regenerate"],
+    ["shorter", "contentComposeShorter", "Shorter"],
+    ["longer", "contentComposeLonger", "Longer"]
+  ].forEach(([variant, key, fallback]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.dataset.affVariant = variant;
+    button.textContent = t(key, undefined, fallback);
+    button.style.padding = "4px 8px";
+    button.style.fontSize = "12px";
+    button.style.borderRadius = "6px";
+    button.style.border = "1px solid #0f766e";
+    button.style.background = "#ffffff";
+    button.style.color = "#0f766e";
+    button.style.cursor = "pointer";
+    button.style.boxShadow = "0 4px 10px rgba(0,0,0,.15)";
+    hoverComposeBar.appendChild(button);
+  });
+
   hoverStatus = document.createElement("div");
   hoverStatus.style.position = "fixed";
   hoverStatus.style.zIndex = "2147483647";
@@ -333,75 +1473,180 @@ function ensureHoverControls() {
   hoverStatus.style.maxWidth = "240px";
 
   document.documentElement.appendChild(hoverButton);
+  document.documentElement.appendChild(hoverUndoButton);
+  document.documentElement.appendChild(hoverComposeBar);
   document.documentElement.appendChild(hoverStatus);
 
-  hoverButton.addEventListener("mouseenter", () => {
-    clearTimeout(hideTimer);
+  [hoverButton, hoverUndoButton, hoverComposeBar, hoverStatus].forEach((control) => {
+    control.addEventListener("mouseenter", () => {
+      clearTimeout(hideTimer);
+    });
+
+    control.addEventListener("mouseleave", () => {
+      scheduleHideHoverButton();
+    });
   });
 
-  hoverButton.addEventListener("mouseleave", () => {
-    scheduleHideHoverButton();
+  hoverUndoButton.addEventListener("click", (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const result = undoLastFill();
+    showFieldStatus(
+      t("contentUndoRestored", [String(result.restored)], `Restored ${result.restored} field(s)`),
+      false
+    );
   });
 
-  hoverButton.addEventListener("click", async (event) => {
+  hoverButton.addEventListener("click", (event) => {
     event.preventDefault();
     event.stopPropagation();
+    fillHoveredField("");
+  });
 
-    if (!activeHoverField || shouldSkipInput(activeHoverField)) {
-      showFieldStatus(t("contentFieldUnavailable", undefined, "Field unavailable"), true);
-      hideHoverButton();
+  hoverComposeBar.addEventListener("click", (event) => {
+    const button = event.target instanceof Element ? event.target.closest("button[data-aff-variant]") : null;
+    if (!button) {
       return;
     }
+    event.preventDefault();
+    event.stopPropagation();
+    fillHoveredField(button.dataset.affVariant);
+  });
+}
 
-    const descriptor = getFieldDescriptor(activeHoverField);
-    let allowSensitive = false;
-    if (descriptor.sensitive) {
-      allowSensitive = window.confirm(
-        t(
-          "contentConfirmSensitiveFill",
-          [descriptor.label || descriptor.name || descriptor.id || descriptor.type || "field"],
-          `This looks sensitive (${descriptor.sensitiveReason || "sensitive metadata"}). Fill "${descriptor.label || descriptor.name || descriptor.id || descriptor.type || "field"}" anyway?`
-        )
-      );
-      if (!allowSensitive) {
-        showFieldStatus(t("contentSensitiveFillCancelled", undefined, "Sensitive field fill cancelled."), true);
-        return;
-      }
+// Inline fills are kept in history as single-field runs.
+function recordInlineFill(descriptor, startedAt, status, answer, error = "") {
+  runtimeSendMessage({
+    type: "RECORD_INLINE_FILL",
+    field: descriptor,
+    startedAt,
+    status,
+    answer,
+    error
+  }).catch(() => {
+    // Ignore transient messaging errors.
+  });
+}
+
+// variant is "" for a plain fill, or "regenerate", "shorter" or "longer" to rewrite a composed answer.
+async function fillHoveredField(variant) {
+  const field = activeHoverField;
+  if (!field || shouldSkipInput(field)) {
+    showFieldStatus(t("contentFieldUnavailable", undefined, "Field unavailable"), true);
+    hideHoverButton();
+    return;
+  }
+
+  const descriptor = getFieldDescriptor(field);
+  let allowSensitive = false;
+  const policyResponse = descriptor.sensitive
+    ? await runtimeSendMessage({ type: "GET_SENSITIVE_POLICY" }).catch(() => null)
+    : null;
+  const sensitivePolicy = (policyResponse && policyResponse.policy) || "confirm";
+  if (descriptor.sensitive && sensitivePolicy === "block") {
+    showFieldStatus(t("contentSensitiveBlockedByProfile", undefined, "Sensitive fields are never filled with this profile."), true);
+    return;
+  }
+  if (descriptor.sensitive && sensitivePolicy === "allow") {
+    allowSensitive = true;
+  } else if (descriptor.sensitive) {
+    allowSensitive = window.confirm(
+      t(
+        "contentConfirmSensitiveFill",
+        [descriptor.label || descriptor.name || descriptor.id || descriptor.type || "field"],
+        `This looks sensitive (${descriptor.sensitiveReason || "sensitive metadata"}). Fill "${descriptor.label || descriptor.name || descriptor.id || descriptor.type || "field"}" anyway?`
+      )
+    );
+    if (!allowSensitive) {
+      showFieldStatus(t("contentSensitiveFillCancelled", undefined, "Sensitive field fill cancelled."), true);
+      return;
     }
+  }
 
-    hoverButton.disabled = true;
-    hoverButton.textContent = t("contentFilling", undefined, "Filling...");
-    showFieldStatus(t("contentSearchingDocs", undefined, "Searching docs..."), false);
+  setHoverControlsBusy(true);
+  showFieldStatus(
+    variant ? t("contentComposing", undefined, "Writing a new version...") : t("contentSearchingDocs", undefined, "Searching docs..."),
+    false
+  );
+
+  const startedAt = Date.now();
+  try {
+    const compose = variant ? { variant, previousAnswer: readFieldAnswer(field) } : null;
+    const requestValue = (retry) => runtimeSendMessage({
+      type: "FILL_SINGLE_FIELD",
+      field: retry ? { ...descriptor, retry } : descriptor,
+      page: getPageContext(),
+      allowSensitive,
+      ...(compose ? { compose } : {})
+    });
+    let response = await requestValue(null);
 
-    try {
-      const response = await runtimeSendMessage({
-        type: "FILL_SINGLE_FIELD",
-        field: descriptor,
-        allowSensitive
-      });
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || t("contentCouldNotFetchFieldValue", undefined, "Could not fetch value for this field."));
+    }
 
-      if (!response || !response.ok) {
-        throw new Error((response && response.error) || t("contentCouldNotFetchFieldValue", undefined, "Could not fetch value for this field."));
-      }
+    if (!response.found || !response.value) {
+      recordInlineFill(descriptor, startedAt, "notFound", null);
+      showFieldStatus(t("contentNoAnswerFound", undefined, "No answer found"), true);
+      return;
+    }
 
-      if (!response.found || !response.value) {
-        showFieldStatus(t("contentNoAnswerFound", undefined, "No answer found"), true);
-        return;
-      }
+    if (response.needsReview) {
+      recordInlineFill(descriptor, startedAt, "needsReview", response);
+      markFieldNeedsReview(descriptor.uid, response.value, response.confidence);
+      showFieldStatus(
+        t(
+          "contentNeedsReviewStatus",
+          [formatConfidence(response.confidence), response.value],
+          `Needs review (${formatConfidence(response.confidence)}): ${response.value}`
+        ),
+        false,
+        response.source
+      );
+      return;
+    }
 
-      const fillResult = fillField(descriptor.uid, response.value, allowSensitive);
-      if (!fillResult.ok) {
-        throw new Error(fillResult.error || t("contentUnableApplyAnswer", undefined, "Unable to apply answer to field."));
+    const runId = `inline-${Date.now()}`;
+    let fillResult = await fillField(descriptor.uid, response.value, allowSensitive, runId);
+    if (fillResult.invalid) {
+      showFieldStatus(t("contentRetryingInvalid", [fillResult.validationMessage], `Answer was rejected (${fillResult.validationMessage}). Asking again...`), false);
+      const retried = await requestValue({ previousAnswer: response.value, validationMessage: fillResult.validationMessage });
+      if (retried && retried.ok && retried.found && retried.value && !retried.needsReview) {
+        response = retried;
+        fillResult = await fillField(descriptor.uid, response.value, allowSensitive, runId);
       }
+    }
+    if (!fillResult.ok) {
+      const fillError = fillResult.error || t("contentUnableApplyAnswer", undefined, "Unable to apply answer to field.");
+      recordInlineFill(descriptor, startedAt, "failed", response, fillError);
+      throw new Error(fillError);
+    }
 
+    recordInlineFill(descriptor, startedAt, "filled", response);
+    rememberFillSource(descriptor.uid, response.source);
+    if (response.longForm) {
+      composedUids.add(descriptor.uid);
+    } else {
+      composedUids.delete(descriptor.uid);
+    }
+    updateHoverComposeBar();
+    watchForCorrection(fieldMap.get(descriptor.uid), response.correctionKey, descriptor.label);
+    if (response.learned) {
+      showFieldStatus(t("contentFieldFilledFromCorrection", undefined, "Field filled with your earlier correction"), false);
+    } else if (response.local) {
+      showFieldStatus(t("contentFieldFilledFromDetails", undefined, "Field filled from your saved details"), false);
+    } else if (response.source) {
+      const sourceName = response.source.filename || response.source.fileId;
+      showFieldStatus(t("contentFieldFilledFrom", [sourceName], `Field filled from ${sourceName}`), false, response.source);
+    } else {
       showFieldStatus(t("contentFieldFilled", undefined, "Field filled"), false);
-    } catch (error) {
-      showFieldStatus((error && error.message) || t("contentFillFailed", undefined, "Fill failed"), true);
-    } finally {
-      hoverButton.disabled = false;
-      hoverButton.textContent = t("contentFillWithAi", undefined, "Fill with AI");
     }
-  });
+  } catch (error) {
+    showFieldStatus((error && error.message) || t("contentFillFailed", undefined, "Fill failed"), true);
+  } finally {
+    setHoverControlsBusy(false);
+  }
 }
 
 function positionHoverControlsFor(el) {
@@ -416,6 +1661,18 @@ function positionHoverControlsFor(el) {
   hoverButton.style.top = `${top}px`;
   hoverButton.style.left = `${left}px`;
 
+  let controlsLeft = left;
+  if (hoverUndoButton && hoverUndoButton.style.display !== "none") {
+    controlsLeft = Math.max(8, left - hoverUndoButton.offsetWidth - 6);
+    hoverUndoButton.style.top = `${top}px`;
+    hoverUndoButton.style.left = `${controlsLeft}px`;
+  }
+
+  if (hoverComposeBar && hoverComposeBar.style.display !== "none") {
+    hoverComposeBar.style.top = `${top}px`;
+    hoverComposeBar.style.left = `${Math.max(8, controlsLeft - hoverComposeBar.offsetWidth - 6)}px`;
+  }
+
   if (hoverStatus.style.display !== "none") {
     hoverStatus.style.top = `${top + 30}px`;
     hoverStatus.style.left = `${left}px`;
@@ -425,20 +1682,30 @@ function positionHoverControlsFor(el) {
 function showHoverButtonFor(el) {
   ensureHoverControls();
 
-  if (shouldSkipInput(el)) {
+  if (shouldSkipInput(el) || isSkippedBySiteRule(el) || !inlineButtonAllowed()) {
     hideHoverButton();
     return;
   }
 
   activeHoverField = el;
+  const source = fillSourceByUid.get(el.dataset.affUid);
+  hoverButton.title = source ? describeFillSource(source) : "";
   positionHoverControlsFor(el);
   hoverButton.style.display = "block";
+  updateHoverUndoButton();
+  updateHoverComposeBar();
 }
 
 function hideHoverButton() {
   if (hoverButton) {
     hoverButton.style.display = "none";
   }
+  if (hoverUndoButton) {
+    hoverUndoButton.style.display = "none";
+  }
+  if (hoverComposeBar) {
+    hoverComposeBar.style.display = "none";
+  }
   if (hoverStatus) {
     hoverStatus.style.display = "none";
   }
@@ -452,13 +1719,30 @@ function scheduleHideHoverButton() {
   }, 220);
 }
 
-function showFieldStatus(message, isError) {
+function rememberFillSource(uid, source) {
+  if (source && (source.filename || source.fileId)) {
+    fillSourceByUid.set(uid, source);
+  } else {
+    fillSourceByUid.delete(uid);
+  }
+}
+
+function describeFillSource(source) {
+  const name = source.filename || source.fileId;
+  const title = t("contentSourceFile", [name], `Source: ${name}`);
+  return source.snippet ? `${title}\n"${source.snippet}"` : title;
+}
+
+function showFieldStatus(message, isError, source) {
   if (!hoverStatus || !activeHoverField) {
     return;
   }
 
   clearTimeout(statusTimer);
   hoverStatus.textContent = message;
+  hoverStatus.title = source ? describeFillSource(source) : "";
+  hoverStatus.style.pointerEvents = source ? "auto" : "none";
+  hoverStatus.style.cursor = source ? "help" : "default";
   hoverStatus.style.background = isError ? "#b91c1c" : "#111827";
   hoverStatus.style.display = "block";
   positionHoverControlsFor(activeHoverField);
@@ -467,21 +1751,25 @@ function showFieldStatus(message, isError) {
     if (hoverStatus) {
       hoverStatus.style.display = "none";
     }
-  }, 2400);
+  }, source ? 6000 : 2400);
+}
+
+function isHoverControl(node) {
+  return [hoverButton, hoverUndoButton, hoverComposeBar, hoverStatus].some((control) => Boolean(control && control.contains(node)));
 }
 
 function handlePointerOver(event) {
-  const target = event.target;
+  const target = eventTarget(event);
   if (!(target instanceof Element)) {
     return;
   }
 
-  if (hoverButton && (target === hoverButton || hoverButton.contains(target))) {
+  if (isHoverControl(target)) {
     clearTimeout(hideTimer);
     return;
   }
 
-  const field = target.closest("input, textarea, select");
+  const field = target.closest(FIELD_SELECTOR);
   if (!field) {
     return;
   }
@@ -491,15 +1779,15 @@ function handlePointerOver(event) {
 }
 
 function handlePointerOut(event) {
-  const target = event.target;
+  const target = eventTarget(event);
   const related = event.relatedTarget;
 
   if (!(target instanceof Element)) {
     return;
   }
 
-  const isField = Boolean(target.closest("input, textarea, select"));
-  const goingToButton = Boolean(hoverButton && related instanceof Node && hoverButton.contains(related));
+  const isField = Boolean(target.closest(FIELD_SELECTOR));
+  const goingToButton = related instanceof Node && isHoverControl(related);
 
   if (isField && !goingToButton) {
     scheduleHideHoverButton();
@@ -526,8 +1814,11 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
 
   if (message.type === "GET_FORM_FIELDS") {
-    const fields = collectFields(Boolean(message.includeSensitive));
-    sendResponse({ ok: true, fields });
+    const fields = Array.isArray(message.skipSelectors)
+      ? collectFields(Boolean(message.includeSensitive), message.skipSelectors)
+      : collectFields(Boolean(message.includeSensitive));
+    const fileInputs = Array.isArray(message.skipSelectors) ? collectFileInputs(message.skipSelectors) : collectFileInputs();
+    sendResponse({ ok: true, fields, fileInputs, page: getPageContext() });
     return;
   }
 
@@ -537,13 +1828,40 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
 
   if (message.type === "FILL_FORM_FIELD") {
-    const result = fillField(message.uid, message.value, Boolean(message.allowSensitive));
-    sendResponse(result);
+    Promise.resolve(fillField(message.uid, message.value, Boolean(message.allowSensitive), message.runId))
+      .then((result) => {
+        if (result.ok) {
+          rememberFillSource(message.uid, message.source);
+          if (message.longForm) {
+            composedUids.add(message.uid);
+          }
+          watchForCorrection(fieldMap.get(message.uid), message.correctionKey, message.label);
+        }
+        sendResponse(result);
+      })
+      .catch((error) => sendResponse({ ok: false, error: (error && error.message) || "Fill failed." }));
+    return true;
+  }
+
+  if (message.type === "ATTACH_LIBRARY_FILE") {
+    sendResponse(attachLibraryFile(message.uid, message.file, message.label, message.runId));
+    return;
+  }
+
+  if (message.type === "MARK_FIELD_NEEDS_REVIEW") {
+    sendResponse(markFieldNeedsReview(message.uid, message.value, message.confidence));
+    return;
+  }
+
+  if (message.type === "UNDO_LAST_FILL") {
+    sendResponse(undoLastFill());
   }
 });
 
 initInlineFillControl();
-initFormAvailabilityTracking();
+initCorrectionTracking();
+loadFillStrategy();
+loadSiteRule().finally(() => initFormAvailabilityTracking());
 i18n.initializeLanguageOverride().catch(() => {
   // ignore
 });
@@ -553,10 +1871,15 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     return;
   }
 
+  loadSiteRule();
+  loadFillStrategy();
   i18n.initializeLanguageOverride().then(() => {
     if (hoverButton && !hoverButton.disabled) {
       hoverButton.textContent = t("contentFillWithAi", undefined, "Fill with AI");
     }
+    if (hoverUndoButton) {
+      hoverUndoButton.textContent = t("contentUndoLastFill", undefined, "Undo");
+    }
   }).catch(() => {
     // ignore
   });
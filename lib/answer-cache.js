@@ -0,0 +1,119 @@
+(function initAnswerCache(globalScope) {
+  const MAX_ENTRIES_PER_MODEL = 500;
+
+  function bucketFor(cache, vectorStoreId, model, create) {
+    if (!cache || !vectorStoreId || !model) {
+      return null;
+    }
+    if (!cache[vectorStoreId]) {
+      if (!create) {
+        return null;
+      }
+      cache[vectorStoreId] = {};
+    }
+    if (!cache[vectorStoreId][model]) {
+      if (!create) {
+        return null;
+      }
+      cache[vectorStoreId][model] = {};
+    }
+    return cache[vectorStoreId][model];
+  }
+
+  function getCachedAnswer(cache, vectorStoreId, model, fingerprint) {
+    const bucket = bucketFor(cache, vectorStoreId, model, false);
+    const entry = bucket && bucket[fingerprint];
+    // Not-found answers are never replayed; the documents may have gained the value since.
+    return entry && typeof entry === "object" && entry.value ? entry : null;
+  }
+
+  function putCachedAnswer(cache, vectorStoreId, model, fingerprint, answer, limit = MAX_ENTRIES_PER_MODEL) {
+    if (!answer || !String(answer.value || "")) {
+      return cache;
+    }
+    const bucket = bucketFor(cache, vectorStoreId, model, true);
+    if (!bucket) {
+      return cache;
+    }
+
+    bucket[fingerprint] = {
+      value: String(answer.value || ""),
+      confidence: Number(answer.confidence || 0),
+      source: answer.source || null,
+      cachedAt: Number(answer.cachedAt || Date.now())
+    };
+
+    const keys = Object.keys(bucket);
+    if (keys.length > limit) {
+      keys
+        .sort((a, b) => bucket[a].cachedAt - bucket[b].cachedAt)
+        .slice(0, keys.length - limit)
+        .forEach((key) => {
+          delete bucket[key];
+        });
+    }
+    return cache;
+  }
+
+  // Profiles that search several stores share one cache scope, keyed by the provider host and the joined store ids.
+  function storeScopeKey(vectorStoreIds, providerHost) {
+    const ids = (Array.isArray(vectorStoreIds) ? vectorStoreIds : [vectorStoreIds])
+      .map((id) => String(id || "").trim())
+      .filter(Boolean)
+      .join(",");
+    const host = String(providerHost || "").trim().toLowerCase();
+    return ids && host ? `${host}|${ids}` : ids;
+  }
+
+  function scopeStoreIds(scope) {
+    return scope.slice(scope.indexOf("|") + 1).split(",");
+  }
+
+  function hashText(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i += 1) {
+      hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+  }
+
+  function modelScopeKey(model, instructions) {
+    const text = String(instructions || "").trim();
+    return text ? `${model}#${hashText(text)}` : model;
+  }
+
+  function invalidateVectorStore(cache, vectorStoreId) {
+    if (!cache || !vectorStoreId) {
+      return cache;
+    }
+    Object.keys(cache).forEach((key) => {
+      if (scopeStoreIds(key).includes(vectorStoreId)) {
+        delete cache[key];
+      }
+    });
+    return cache;
+  }
+
+  function countCachedAnswers(cache) {
+    return Object.values(cache || {}).reduce((total, models) => (
+      total + Object.values(models || {}).reduce((sum, bucket) => sum + Object.keys(bucket || {}).length, 0)
+    ), 0);
+  }
+
+  const api = {
+    MAX_ENTRIES_PER_MODEL,
+    getCachedAnswer,
+    putCachedAnswer,
+    storeScopeKey,
+    modelScopeKey,
+    invalidateVectorStore,
+    countCachedAnswers
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFAnswerCache = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
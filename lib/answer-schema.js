@@ -0,0 +1,118 @@
+(function initAnswerSchema(globalScope) {
+  const NOT_FOUND = "NOT_FOUND";
+  const MULTI_VALUE_SEPARATOR = "; ";
+
+  function clean(value) {
+    return String(value || "").replace(/\s+/g, " ").trim();
+  }
+
+  function fieldOptions(field) {
+    const options = Array.isArray(field && field.options) ? field.options.map(clean).filter(Boolean) : [];
+    return Array.from(new Set(options));
+  }
+
+  function buildAnswerValueSchema(field) {
+    const schema = { type: "string" };
+    const description = clean(field.label || field.name || field.placeholder || field.id);
+    if (description) {
+      schema.description = description;
+    }
+
+    const options = fieldOptions(field);
+    if (options.length && field.multiple) {
+      // Multi-value questions answer with every option that applies; an empty list means not found.
+      return { ...schema, type: "array", items: { type: "string", enum: options } };
+    }
+    if (options.length) {
+      schema.enum = options.includes(NOT_FOUND) ? options : options.concat(NOT_FOUND);
+    }
+    return schema;
+  }
+
+  function buildBatchAnswerSchema(fields) {
+    const properties = {};
+    const required = [];
+
+    (Array.isArray(fields) ? fields : []).forEach((field) => {
+      if (!field || !field.uid || Object.prototype.hasOwnProperty.call(properties, field.uid)) {
+        return;
+      }
+      properties[field.uid] = {
+        type: "object",
+        properties: {
+          value: buildAnswerValueSchema(field),
+          confidence: {
+            type: "number",
+            description: "Certainty from 0 to 1 that value is correct. Use 0 for NOT_FOUND."
+          }
+        },
+        required: ["value", "confidence"],
+        additionalProperties: false
+      };
+      required.push(field.uid);
+    });
+
+    return {
+      type: "object",
+      properties,
+      required,
+      additionalProperties: false
+    };
+  }
+
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  }
+
+  function parseBatchAnswers(text, fields) {
+    const invalid = { ok: false, answers: {}, confidences: {} };
+    let parsed;
+    try {
+      parsed = JSON.parse(String(text || ""));
+    } catch (_error) {
+      return invalid;
+    }
+
+    if (!isPlainObject(parsed)) {
+      return invalid;
+    }
+
+    const answers = {};
+    const confidences = {};
+    for (const field of Array.isArray(fields) ? fields : []) {
+      const entry = parsed[field.uid];
+      const options = fieldOptions(field);
+      const multiple = Boolean(options.length && field.multiple);
+      const validValue = multiple
+        ? Array.isArray(entry && entry.value) && entry.value.every((value) => options.includes(value))
+        : typeof (entry && entry.value) === "string";
+      if (!isPlainObject(entry) || !validValue || typeof entry.confidence !== "number") {
+        return invalid;
+      }
+
+      if (!multiple && options.length && entry.value !== NOT_FOUND && !options.includes(entry.value)) {
+        return invalid;
+      }
+      answers[field.uid] = multiple
+        ? Array.from(new Set(entry.value)).join(MULTI_VALUE_SEPARATOR) || NOT_FOUND
+        : entry.value;
+      confidences[field.uid] = Number.isFinite(entry.confidence) ? Math.min(1, Math.max(0, entry.confidence)) : 0;
+    }
+
+    return { ok: true, answers, confidences };
+  }
+
+  const api = {
+    NOT_FOUND,
+    MULTI_VALUE_SEPARATOR,
+    buildBatchAnswerSchema,
+    parseBatchAnswers
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFAnswerSchema = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
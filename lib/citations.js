@@ -0,0 +1,135 @@
+(function initCitations(globalScope) {
+  const SNIPPET_LENGTH = 160;
+
+  function clean(value) {
+    return String(value || "").replace(/\s+/g, " ").trim();
+  }
+
+  function extractFileSearchResults(data) {
+    const outputs = Array.isArray(data && data.output) ? data.output : [];
+    const results = [];
+
+    outputs.forEach((item) => {
+      if (!item || item.type !== "file_search_call" || !Array.isArray(item.results)) {
+        return;
+      }
+      item.results.forEach((result) => {
+        if (result && result.file_id) {
+          results.push({
+            fileId: result.file_id,
+            filename: result.filename || "",
+            text: clean(result.text)
+          });
+        }
+      });
+    });
+
+    return results;
+  }
+
+  function extractFileCitations(data) {
+    const outputs = Array.isArray(data && data.output) ? data.output : [];
+    const citations = [];
+
+    outputs.forEach((item) => {
+      const content = Array.isArray(item && item.content) ? item.content : [];
+      content.forEach((chunk) => {
+        const annotations = Array.isArray(chunk && chunk.annotations) ? chunk.annotations : [];
+        annotations.forEach((annotation) => {
+          if (annotation && annotation.type === "file_citation" && annotation.file_id) {
+            citations.push({
+              fileId: annotation.file_id,
+              filename: annotation.filename || "",
+              index: Number.isInteger(annotation.index) ? annotation.index : -1
+            });
+          }
+        });
+      });
+    });
+
+    return citations;
+  }
+
+  function snippetAround(text, needle) {
+    const haystack = clean(text);
+    if (!haystack) {
+      return "";
+    }
+
+    const target = clean(needle);
+    const position = target ? haystack.toLowerCase().indexOf(target.toLowerCase()) : -1;
+    if (position < 0) {
+      return haystack.length > SNIPPET_LENGTH ? `${haystack.slice(0, SNIPPET_LENGTH)}...` : haystack;
+    }
+
+    const start = Math.max(0, position - Math.max(0, Math.floor((SNIPPET_LENGTH - target.length) / 2)));
+    const end = Math.min(haystack.length, start + SNIPPET_LENGTH);
+    return `${start > 0 ? "..." : ""}${haystack.slice(start, end)}${end < haystack.length ? "..." : ""}`;
+  }
+
+  function citationsByUid(outputText, uids, citations) {
+    const text = String(outputText || "");
+    const positions = uids
+      .map((uid) => ({ uid, index: text.indexOf(JSON.stringify(uid)) }))
+      .filter((entry) => entry.index >= 0)
+      .sort((a, b) => a.index - b.index);
+
+    const byUid = {};
+    citations.forEach((citation) => {
+      if (citation.index < 0) {
+        return;
+      }
+      const owner = positions.filter((entry) => entry.index <= citation.index).pop();
+      if (owner && !byUid[owner.uid]) {
+        byUid[owner.uid] = citation;
+      }
+    });
+    return byUid;
+  }
+
+  function resolveAnswerSources(data, outputText, answersByUid) {
+    const results = extractFileSearchResults(data);
+    const citations = extractFileCitations(data);
+    const uids = Object.keys(answersByUid || {});
+    const cited = citationsByUid(outputText, uids, citations);
+    const sources = {};
+
+    uids.forEach((uid) => {
+      const answer = clean(answersByUid[uid]);
+      if (!answer) {
+        return;
+      }
+
+      const lowered = answer.toLowerCase();
+      const citation = cited[uid];
+      const candidates = citation ? results.filter((result) => result.fileId === citation.fileId) : results;
+      const match = candidates.find((result) => result.text.toLowerCase().includes(lowered))
+        || (citation ? candidates[0] : null);
+
+      if (match) {
+        sources[uid] = {
+          fileId: match.fileId,
+          filename: match.filename || (citation && citation.filename) || "",
+          snippet: snippetAround(match.text, answer)
+        };
+      } else if (citation) {
+        sources[uid] = { fileId: citation.fileId, filename: citation.filename, snippet: "" };
+      }
+    });
+
+    return sources;
+  }
+
+  const api = {
+    extractFileSearchResults,
+    extractFileCitations,
+    resolveAnswerSources
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFCitations = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
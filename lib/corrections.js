@@ -0,0 +1,107 @@
+(function initCorrections(globalScope) {
+  const CORRECTIONS_VERSION = 1;
+  const MAX_CORRECTIONS = 500;
+
+  function clean(value) {
+    return String(value == null ? "" : value).replace(/\s+/g, " ").trim();
+  }
+
+  function siteKeyForUrl(url) {
+    try {
+      return new URL(String(url || "")).hostname.toLowerCase();
+    } catch (_error) {
+      return "";
+    }
+  }
+
+  function correctionKey(host, fingerprint) {
+    return `${String(host || "").toLowerCase()}|${fingerprint}`;
+  }
+
+  function normalizeCorrections(raw) {
+    const entries = raw && raw.version === CORRECTIONS_VERSION && raw.entries && typeof raw.entries === "object"
+      ? raw.entries
+      : {};
+    return { version: CORRECTIONS_VERSION, entries: { ...entries } };
+  }
+
+  function evictOldest(store) {
+    const keys = Object.keys(store.entries);
+    if (keys.length <= MAX_CORRECTIONS) {
+      return;
+    }
+    keys
+      .sort((a, b) => Number(store.entries[a].updatedAt || 0) - Number(store.entries[b].updatedAt || 0))
+      .slice(0, keys.length - MAX_CORRECTIONS)
+      .forEach((key) => {
+        delete store.entries[key];
+      });
+  }
+
+  // Changing a field back to what was filled (or clearing it) forgets the correction.
+  function recordCorrection(raw, { host, fingerprint, label, value, original }, now = Date.now()) {
+    const store = normalizeCorrections(raw);
+    if (!host || !fingerprint) {
+      return store;
+    }
+
+    const key = correctionKey(host, fingerprint);
+    const corrected = clean(value);
+    const filled = clean(original);
+    if (!corrected || corrected.toLowerCase() === filled.toLowerCase()) {
+      delete store.entries[key];
+      return store;
+    }
+
+    const previous = store.entries[key];
+    store.entries[key] = {
+      host: String(host).toLowerCase(),
+      fingerprint,
+      label: clean(label),
+      value: corrected,
+      original: previous ? previous.original : filled,
+      createdAt: previous ? previous.createdAt : now,
+      updatedAt: now
+    };
+    evictOldest(store);
+    return store;
+  }
+
+  function findCorrection(raw, host, fingerprint) {
+    if (!host || !fingerprint) {
+      return null;
+    }
+    return normalizeCorrections(raw).entries[correctionKey(host, fingerprint)] || null;
+  }
+
+  function listCorrections(raw) {
+    const store = normalizeCorrections(raw);
+    return Object.keys(store.entries)
+      .map((key) => ({ key, ...store.entries[key] }))
+      .sort((a, b) => Number(b.updatedAt || 0) - Number(a.updatedAt || 0));
+  }
+
+  function removeCorrection(raw, key) {
+    const store = normalizeCorrections(raw);
+    delete store.entries[key];
+    return store;
+  }
+
+  const api = {
+    MAX_CORRECTIONS,
+    siteKeyForUrl,
+    correctionKey,
+    normalizeCorrections,
+    recordCorrection,
+    findCorrection,
+    listCorrections,
+    removeCorrection
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFCorrections = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
@@ -0,0 +1,209 @@
+(function initDocumentLibrary(globalScope) {
+  const DB_NAME = "aiFormFillerDocuments";
+  const DB_VERSION = 1;
+  const STORE_NAME = "documents";
+  const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+  // Kinds of document application forms ask for, recognised in file names and upload labels.
+  const DOCUMENT_KINDS = {
+    resume: /\b(?:resume|cv|curriculum|vitae)\b/i,
+    coverLetter: /\bcover[\s_-]*letter\b|\bcarta\b|\bmotivation\b/i,
+    identity: /\b(?:id|identity|passport|driver'?s?|licen[cs]e|dni|rg|cnh|identidad|identidade|pasaporte|passaporte)\b/i,
+    photo: /\b(?:photo|picture|headshot|portrait|selfie|foto)\b/i,
+    transcript: /\b(?:transcript|diploma|degree|certificate|certificado|historico|expediente)\b/i,
+    portfolio: /\b(?:portfolio|portafolio|samples?)\b/i
+  };
+
+  function clean(value) {
+    return String(value == null ? "" : value).replace(/\s+/g, " ").trim();
+  }
+
+  // File names use separators where labels use spaces ("Ana_Lopez-CV.pdf"); accents are dropped ("Résumé").
+  function searchableText(value) {
+    return clean(
+      String(value == null ? "" : value)
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/\.[a-z0-9]{1,5}$/i, "")
+        .replace(/[_.-]+/g, " ")
+    ).toLowerCase();
+  }
+
+  function documentKinds(text) {
+    const searchable = searchableText(text);
+    return Object.keys(DOCUMENT_KINDS).filter((kind) => DOCUMENT_KINDS[kind].test(searchable));
+  }
+
+  function words(text) {
+    return searchableText(text).split(" ").filter((word) => word.length > 2);
+  }
+
+  // Follows the accept attribute: extensions (.pdf), exact MIME types and wildcards (image/*).
+  function acceptsDocument(accept, doc) {
+    const tokens = clean(accept).toLowerCase().split(",").map(clean).filter(Boolean);
+    if (!tokens.length) {
+      return true;
+    }
+    const name = String(doc && doc.name || "").toLowerCase();
+    const type = String(doc && doc.type || "").toLowerCase();
+    return tokens.some((token) => {
+      if (token.startsWith(".")) {
+        return name.endsWith(token);
+      }
+      if (token.endsWith("/*")) {
+        return type.startsWith(token.slice(0, -1));
+      }
+      return type === token;
+    });
+  }
+
+  function fileInputText(input) {
+    const context = input && input.context && typeof input.context === "object" ? Object.values(input.context) : [];
+    return [input.label, input.name, input.id, input.ariaLabel].concat(context).map(clean).filter(Boolean).join(" ");
+  }
+
+  // A shared kind (resume, photo, ...) outweighs shared words; documents the input cannot accept score -1.
+  function scoreDocument(doc, input) {
+    if (!acceptsDocument(input && input.accept, doc)) {
+      return -1;
+    }
+    const inputText = fileInputText(input || {});
+    const inputKinds = documentKinds(inputText);
+    const docKinds = documentKinds(doc.name);
+    const sharedKinds = inputKinds.filter((kind) => docKinds.includes(kind)).length;
+    if (inputKinds.length && docKinds.length && !sharedKinds) {
+      return 0;
+    }
+    const inputWords = new Set(words(inputText));
+    const sharedWords = words(doc.name).filter((word) => inputWords.has(word)).length;
+    return sharedKinds * 10 + sharedWords;
+  }
+
+  // Returns one suggestion per file input that has a matching document; newer documents win ties.
+  function suggestDocuments(docs, inputs) {
+    const library = (Array.isArray(docs) ? docs : [])
+      .filter((doc) => doc && doc.id && doc.name)
+      .slice()
+      .sort((a, b) => Number(b.addedAt || 0) - Number(a.addedAt || 0));
+
+    return (Array.isArray(inputs) ? inputs : []).reduce((suggestions, input) => {
+      let best = null;
+      let bestScore = 0;
+      library.forEach((doc) => {
+        const score = scoreDocument(doc, input);
+        if (score > bestScore) {
+          best = doc;
+          bestScore = score;
+        }
+      });
+      if (best) {
+        suggestions.push({
+          uid: input.uid,
+          label: clean(input.label || input.name || input.id) || best.name,
+          documentId: best.id,
+          documentName: best.name
+        });
+      }
+      return suggestions;
+    }, []);
+  }
+
+  function describeDocument(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      type: record.type || "",
+      size: Number(record.size) || 0,
+      addedAt: Number(record.addedAt) || 0
+    };
+  }
+
+  function requestResult(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error("IndexedDB request failed."));
+    });
+  }
+
+  function openLibrary() {
+    const factory = globalScope && globalScope.indexedDB;
+    if (!factory) {
+      return Promise.reject(new Error("IndexedDB is not available."));
+    }
+    const request = factory.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+      }
+    };
+    return requestResult(request);
+  }
+
+  async function withStore(mode, work) {
+    const db = await openLibrary();
+    try {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const completed = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+      const [result] = await Promise.all([requestResult(work(transaction.objectStore(STORE_NAME))), completed]);
+      return result;
+    } finally {
+      db.close();
+    }
+  }
+
+  // Metadata only; the file contents stay in IndexedDB until a document is attached.
+  async function listDocuments() {
+    const records = await withStore("readonly", (store) => store.getAll());
+    return (records || []).map(describeDocument).sort((a, b) => b.addedAt - a.addedAt);
+  }
+
+  async function addDocument(file) {
+    if (!file || !file.name) {
+      throw new Error("Choose a file first.");
+    }
+    if (file.size > MAX_DOCUMENT_BYTES) {
+      throw new Error(`Files larger than ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB cannot be added.`);
+    }
+    const record = {
+      id: `doc-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: file.name,
+      type: file.type || "application/octet-stream",
+      size: file.size,
+      addedAt: Date.now(),
+      blob: file
+    };
+    await withStore("readwrite", (store) => store.put(record));
+    return describeDocument(record);
+  }
+
+  function getDocument(id) {
+    return withStore("readonly", (store) => store.get(String(id || ""))).then((record) => record || null);
+  }
+
+  function deleteDocument(id) {
+    return withStore("readwrite", (store) => store.delete(String(id || "")));
+  }
+
+  const api = {
+    MAX_DOCUMENT_BYTES,
+    documentKinds,
+    acceptsDocument,
+    scoreDocument,
+    suggestDocuments,
+    listDocuments,
+    addDocument,
+    getDocument,
+    deleteDocument
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFDocumentLibrary = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
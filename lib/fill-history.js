@@ -0,0 +1,184 @@
+(function initFillHistory(globalScope) {
+  const HISTORY_VERSION = 1;
+  const RETENTION_OPTIONS = [0, 50, 200, 1000];
+  const DEFAULT_RETENTION = 200;
+  const MAX_ENTRIES_PER_RUN = 300;
+  // chrome.storage.local allows 10 MB in total without unlimitedStorage; history keeps to a share of it.
+  const MAX_HISTORY_BYTES = 4 * 1024 * 1024;
+  const REDACTED = "[redacted]";
+  const CSV_COLUMNS = [
+    "run_id",
+    "started_at",
+    "site",
+    "page_title",
+    "profile",
+    "model",
+    "mode",
+    "run_status",
+    "field",
+    "value",
+    "status",
+    "confidence",
+    "origin",
+    "source"
+  ];
+
+  function clean(value) {
+    return String(value == null ? "" : value).replace(/\s+/g, " ").trim();
+  }
+
+  function hostForUrl(url) {
+    try {
+      return new URL(String(url || "")).hostname.toLowerCase();
+    } catch (_error) {
+      return "";
+    }
+  }
+
+  // Retention is the number of runs kept; 0 turns history off.
+  function normalizeRetention(value) {
+    const number = Number(value);
+    return RETENTION_OPTIONS.includes(number) ? number : DEFAULT_RETENTION;
+  }
+
+  function normalizeHistory(raw) {
+    const runs = raw && raw.version === HISTORY_VERSION && Array.isArray(raw.runs) ? raw.runs : [];
+    return { version: HISTORY_VERSION, runs: runs.filter((run) => run && run.id) };
+  }
+
+  function sourceName(source) {
+    return source && typeof source === "object" ? clean(source.filename || source.fileId) : clean(source);
+  }
+
+  // Values of sensitive fields are always redacted; redact applies to every other value too.
+  function createRunRecord({ url, title, profile, model, mode, status, startedAt, finishedAt = Date.now(), entries, redact = false }) {
+    const started = Number(startedAt) || finishedAt;
+    return {
+      id: `run-${started}-${Math.random().toString(36).slice(2, 8)}`,
+      startedAt: started,
+      finishedAt,
+      site: hostForUrl(url),
+      url: clean(url).split(/[?#]/)[0],
+      title: clean(title).slice(0, 200),
+      profile: clean(profile),
+      model: clean(model),
+      mode: clean(mode) || "immediate",
+      status: clean(status) || "completed",
+      entries: (Array.isArray(entries) ? entries : []).slice(0, MAX_ENTRIES_PER_RUN).map((entry) => {
+        const value = clean(entry.value).slice(0, 2000);
+        const hidden = Boolean(value) && (redact || Boolean(entry.sensitive));
+        return {
+          label: clean(entry.label).slice(0, 200),
+          value: hidden ? REDACTED : value,
+          ...(hidden ? { redacted: true } : {}),
+          status: clean(entry.status),
+          confidence: Number.isFinite(Number(entry.confidence)) ? Number(entry.confidence) : null,
+          origin: clean(entry.origin),
+          source: sourceName(entry.source),
+          ...(entry.error ? { error: clean(entry.error).slice(0, 300) } : {})
+        };
+      })
+    };
+  }
+
+  function recordRun(raw, run, retention = DEFAULT_RETENTION, maxBytes = MAX_HISTORY_BYTES) {
+    const store = normalizeHistory(raw);
+    return applyRetention(run ? { ...store, runs: [run].concat(store.runs) } : store, retention, maxBytes);
+  }
+
+  // Keeps the newest runs up to the retention count and, within that, up to maxBytes of serialized JSON.
+  function applyRetention(raw, retention, maxBytes = MAX_HISTORY_BYTES) {
+    const store = normalizeHistory(raw);
+    let bytes = JSON.stringify({ ...store, runs: [] }).length;
+    store.runs = store.runs
+      .slice()
+      .sort((a, b) => Number(b.startedAt || 0) - Number(a.startedAt || 0))
+      .slice(0, normalizeRetention(retention));
+    const kept = store.runs.findIndex((run) => {
+      bytes += JSON.stringify(run).length + 1;
+      return bytes > maxBytes;
+    });
+    if (kept !== -1) {
+      store.runs = store.runs.slice(0, kept);
+    }
+    return store;
+  }
+
+  function removeRun(raw, id) {
+    const store = normalizeHistory(raw);
+    store.runs = store.runs.filter((run) => run.id !== id);
+    return store;
+  }
+
+  function summarizeRun(run) {
+    return (run.entries || []).reduce((counts, entry) => {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  function historyToJson(raw) {
+    return JSON.stringify(normalizeHistory(raw), null, 2);
+  }
+
+  // Cells starting with =, +, - or @ are prefixed so spreadsheets do not evaluate them as formulas.
+  function csvCell(value) {
+    let text = value == null ? "" : String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+  }
+
+  // One row per field; runs without entries still get a row so they appear in the export.
+  function historyToCsv(raw) {
+    const rows = [CSV_COLUMNS];
+    normalizeHistory(raw).runs.forEach((run) => {
+      const runCells = [
+        run.id,
+        new Date(run.startedAt).toISOString(),
+        run.site,
+        run.title,
+        run.profile,
+        run.model,
+        run.mode,
+        run.status
+      ];
+      const entries = run.entries && run.entries.length ? run.entries : [{}];
+      entries.forEach((entry) => {
+        rows.push(runCells.concat([
+          entry.label,
+          entry.value,
+          entry.status,
+          entry.confidence == null ? "" : entry.confidence,
+          entry.origin,
+          entry.source
+        ]));
+      });
+    });
+    return rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+  }
+
+  const api = {
+    RETENTION_OPTIONS,
+    DEFAULT_RETENTION,
+    MAX_HISTORY_BYTES,
+    REDACTED,
+    normalizeRetention,
+    normalizeHistory,
+    createRunRecord,
+    recordRun,
+    applyRetention,
+    removeRun,
+    summarizeRun,
+    historyToJson,
+    historyToCsv
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFFillHistory = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
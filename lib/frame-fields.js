@@ -0,0 +1,61 @@
+(function initFrameFields(globalScope) {
+  const TOP_FRAME_ID = 0;
+  const UID_SEPARATOR = ":";
+
+  // Field uids are only unique inside one frame, so the background prefixes them with the frame id.
+  function qualifyUid(frameId, uid) {
+    return `${Number.isInteger(frameId) ? frameId : TOP_FRAME_ID}${UID_SEPARATOR}${uid}`;
+  }
+
+  function parseQualifiedUid(value) {
+    const text = String(value == null ? "" : value);
+    const match = text.match(/^(\d+):(.+)$/);
+    return match ? { frameId: Number(match[1]), uid: match[2] } : { frameId: TOP_FRAME_ID, uid: text };
+  }
+
+  // The top frame comes first; other frames keep the order webNavigation reported them in.
+  function orderFrameIds(frames) {
+    const ids = (Array.isArray(frames) ? frames : [])
+      .filter((frame) => frame && Number.isInteger(frame.frameId) && !frame.errorOccurred)
+      .filter((frame) => frame.frameId === TOP_FRAME_ID || /^(https?:|file:|about:blank|about:srcdoc)/.test(String(frame.url || "")))
+      .map((frame) => frame.frameId);
+    const unique = Array.from(new Set(ids)).filter((frameId) => frameId !== TOP_FRAME_ID);
+    return [TOP_FRAME_ID].concat(unique);
+  }
+
+  // Combines GET_FORM_FIELDS responses from several frames; page context comes from the top frame when it answered.
+  function mergeFrameFields(results) {
+    const answered = (Array.isArray(results) ? results : [])
+      .filter((result) => result && result.response && result.response.ok);
+    if (!answered.length) {
+      return { ok: false, fields: [], fileInputs: [], page: null, frameIds: [] };
+    }
+
+    const qualifyAll = (key) => answered.reduce((merged, { frameId, response }) => merged.concat(
+      (Array.isArray(response[key]) ? response[key] : []).map((field) => ({ ...field, uid: qualifyUid(frameId, field.uid) }))
+    ), []);
+    const top = answered.find((result) => result.frameId === TOP_FRAME_ID) || answered[0];
+    return {
+      ok: true,
+      fields: qualifyAll("fields"),
+      fileInputs: qualifyAll("fileInputs"),
+      page: top.response.page || null,
+      frameIds: answered.map((result) => result.frameId)
+    };
+  }
+
+  const api = {
+    TOP_FRAME_ID,
+    qualifyUid,
+    parseQualifiedUid,
+    orderFrameIds,
+    mergeFrameFields
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFFrameFields = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
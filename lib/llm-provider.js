@@ -0,0 +1,118 @@
+(function initLlmProvider(globalScope) {
+  const DEFAULT_PROVIDER_TYPE = "openai";
+  const OPENAI_BASE_URL = "https://api.openai.com/v1";
+  // Must match the plain-http origins in manifest.json optional_host_permissions.
+  const LOOPBACK_HOSTS = new Set(["localhost", "127.0.0.1"]);
+
+  const PROVIDER_PRESETS = {
+    openai: { baseUrl: OPENAI_BASE_URL, authHeader: "Authorization", authScheme: "Bearer" },
+    azure: { baseUrl: "", authHeader: "api-key", authScheme: "" },
+    custom: { baseUrl: "", authHeader: "Authorization", authScheme: "Bearer" }
+  };
+
+  function clean(value) {
+    return String(value || "").trim();
+  }
+
+  function parseBaseUrl(value) {
+    const raw = clean(value).replace(/\/+$/, "");
+    if (!raw) {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (_error) {
+      return null;
+    }
+
+    const isHttps = url.protocol === "https:";
+    const isLoopbackHttp = url.protocol === "http:" && LOOPBACK_HOSTS.has(url.hostname);
+    if (!isHttps && !isLoopbackHttp) {
+      return null;
+    }
+    if (url.search || url.hash || url.username || url.password) {
+      return null;
+    }
+
+    return url;
+  }
+
+  function resolveProviderConfig(rawProvider) {
+    const source = rawProvider && typeof rawProvider === "object" ? rawProvider : {};
+    const type = Object.prototype.hasOwnProperty.call(PROVIDER_PRESETS, source.type) ? source.type : DEFAULT_PROVIDER_TYPE;
+    const preset = PROVIDER_PRESETS[type];
+
+    if (type === "openai") {
+      return { type, ...preset, apiVersion: "" };
+    }
+
+    const authHeader = clean(source.authHeader) || preset.authHeader;
+    return {
+      type,
+      baseUrl: clean(source.baseUrl).replace(/\/+$/, "") || preset.baseUrl,
+      authHeader,
+      authScheme: source.authScheme == null ? preset.authScheme : clean(source.authScheme),
+      apiVersion: clean(source.apiVersion)
+    };
+  }
+
+  function validateProviderConfig(config) {
+    if (!parseBaseUrl(config && config.baseUrl)) {
+      return { ok: false, reason: "baseUrl" };
+    }
+    if (!/^[A-Za-z0-9-]+$/.test(clean(config.authHeader))) {
+      return { ok: false, reason: "authHeader" };
+    }
+    return { ok: true, reason: "" };
+  }
+
+  function buildProviderUrl(config, path, query) {
+    const params = new URLSearchParams(query || {});
+    if (config.apiVersion && !params.has("api-version")) {
+      params.set("api-version", config.apiVersion);
+    }
+
+    const suffix = String(path || "").replace(/^\/*/, "/");
+    const search = params.toString();
+    return `${config.baseUrl}${suffix}${search ? `?${search}` : ""}`;
+  }
+
+  function buildAuthHeaders(config, apiKey) {
+    const value = config.authScheme ? `${config.authScheme} ${apiKey}` : String(apiKey || "");
+    return { [config.authHeader]: value };
+  }
+
+  function originPermissionPattern(baseUrl) {
+    const url = parseBaseUrl(baseUrl);
+    if (!url) {
+      return "";
+    }
+    return `${url.protocol}//${url.hostname}/*`;
+  }
+
+  // Host and port of the provider, so answers from different backends are never mixed.
+  function providerHost(config) {
+    const url = parseBaseUrl(config && config.baseUrl);
+    return url ? url.host.toLowerCase() : "";
+  }
+
+  const api = {
+    OPENAI_BASE_URL,
+    PROVIDER_PRESETS,
+    resolveProviderConfig,
+    validateProviderConfig,
+    buildProviderUrl,
+    buildAuthHeaders,
+    originPermissionPattern,
+    providerHost
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFLlmProvider = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
@@ -0,0 +1,168 @@
+(function initLocalDetails(globalScope) {
+  const DETAIL_TOKENS = [
+    "honorific-prefix",
+    "given-name",
+    "additional-name",
+    "family-name",
+    "name",
+    "email",
+    "tel",
+    "organization",
+    "organization-title",
+    "street-address",
+    "address-line1",
+    "address-line2",
+    "address-level2",
+    "address-level1",
+    "postal-code",
+    "country-name",
+    "url"
+  ];
+  const KNOWN_TOKENS = new Set(DETAIL_TOKENS);
+  const MAX_DETAIL_LENGTH = 300;
+
+  // Autocomplete names that should receive one of the stored values.
+  const TOKEN_ALIASES = {
+    "tel-national": "tel",
+    country: "country-name"
+  };
+
+  // Whole-label matches only: a label has to clearly be this field, not merely mention it.
+  const LABEL_PATTERNS = [
+    ["given-name", /^(first|given|fore) ?name$|^fname$/],
+    ["additional-name", /^middle ?name$/],
+    ["family-name", /^(last|family|sur) ?name$|^lname$/],
+    ["name", /^(full |your )?name$/],
+    ["email", /^(your )?e ?mail( address)?$/],
+    ["tel", /^(phone|telephone|mobile|cell)( phone)?( number| no)?$/],
+    ["organization", /^(company|organi[sz]ation|employer)( name)?$/],
+    ["organization-title", /^job title$|^position$/],
+    ["address-line1", /^(street )?address( line)? ?1$/],
+    ["address-line2", /^address( line)? ?2$|^(apartment|apt|suite)( number)?$/],
+    ["street-address", /^(street|home|mailing) address$|^address$/],
+    ["address-level2", /^city$|^town$/],
+    ["address-level1", /^state$|^province$|^region$|^state ?\/ ?province$/],
+    ["postal-code", /^(zip|postal|post) ?code$|^zip$|^postcode$/],
+    ["country-name", /^country( of residence)?$/],
+    ["url", /^(personal )?(website|web site|url)$/]
+  ];
+
+  function clean(value) {
+    return String(value == null ? "" : value).replace(/\s+/g, " ").trim();
+  }
+
+  function normalizeDetails(raw) {
+    const source = raw && typeof raw === "object" ? raw : {};
+    const details = {};
+    DETAIL_TOKENS.forEach((token) => {
+      const value = clean(source[token]).slice(0, MAX_DETAIL_LENGTH);
+      if (value) {
+        details[token] = value;
+      }
+    });
+    return details;
+  }
+
+  function resolveDetailValue(raw, token) {
+    const details = normalizeDetails(raw);
+    if (details[token]) {
+      return details[token];
+    }
+    if (token === "name") {
+      return [details["given-name"], details["additional-name"], details["family-name"]].filter(Boolean).join(" ");
+    }
+    if (token === "street-address") {
+      return [details["address-line1"], details["address-line2"]].filter(Boolean).join(", ");
+    }
+    if (token === "address-line1") {
+      return details["address-line2"] ? "" : details["street-address"] || "";
+    }
+    return "";
+  }
+
+  function tokenFromAutocomplete(autocomplete) {
+    const parts = clean(autocomplete).toLowerCase().split(" ").filter(Boolean);
+    for (let i = parts.length - 1; i >= 0; i -= 1) {
+      const token = TOKEN_ALIASES[parts[i]] || parts[i];
+      if (KNOWN_TOKENS.has(token)) {
+        return token;
+      }
+    }
+    return "";
+  }
+
+  function normalizeLabel(value) {
+    return clean(String(value || "").replace(/([a-z])([A-Z])/g, "$1 $2"))
+      .toLowerCase()
+      .replace(/[_\-.]+/g, " ")
+      .replace(/[*:()?]+/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function tokenFromText(text) {
+    const label = normalizeLabel(text);
+    if (!label) {
+      return "";
+    }
+    const match = LABEL_PATTERNS.find(([, pattern]) => pattern.test(label));
+    return match ? match[0] : "";
+  }
+
+  function typeAllowsToken(field, token) {
+    const type = clean(field.type).toLowerCase();
+    if (type === "email") {
+      return token === "email";
+    }
+    if (type === "tel") {
+      return token === "tel";
+    }
+    if (type === "url") {
+      return token === "url";
+    }
+    return !["checkbox", "radio", "number", "date", "password"].includes(type);
+  }
+
+  // An explicit autocomplete token wins; otherwise the label, then name/id, must match a known field.
+  function detailTokenForField(field) {
+    if (!field || typeof field !== "object") {
+      return "";
+    }
+    if (/^off$/i.test(clean(field.autocomplete))) {
+      return "";
+    }
+
+    const token = tokenFromAutocomplete(field.autocomplete)
+      || tokenFromText(field.label)
+      || tokenFromText(field.name)
+      || tokenFromText(field.id);
+    return token && typeAllowsToken(field, token) ? token : "";
+  }
+
+  function matchLocalDetails(fields, details) {
+    const matches = new Map();
+    (Array.isArray(fields) ? fields : []).forEach((field) => {
+      const token = detailTokenForField(field);
+      const value = token ? resolveDetailValue(details, token) : "";
+      if (value) {
+        matches.set(field.uid, { token, value });
+      }
+    });
+    return matches;
+  }
+
+  const api = {
+    DETAIL_TOKENS,
+    normalizeDetails,
+    resolveDetailValue,
+    detailTokenForField,
+    matchLocalDetails
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFLocalDetails = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
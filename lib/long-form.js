@@ -0,0 +1,186 @@
+(function initLongForm(globalScope) {
+  const COMPOSE_TONES = ["professional", "friendly", "enthusiastic", "formal"];
+  const COMPOSE_LENGTH_WORDS = { short: 60, medium: 150, long: 300 };
+  const COMPOSE_VARIANTS = ["regenerate", "shorter", "longer"];
+  const NOT_FOUND = "NOT_FOUND";
+  const CHARS_PER_WORD = 6;
+  const MIN_WORDS = 15;
+  // A maxlength below this means the page expects a short answer even in a textarea.
+  const LONG_FORM_MIN_LENGTH = 200;
+  // A textarea that allows this much text is an essay box even when its label asks no question.
+  const LONG_FORM_LARGE_LENGTH = 1000;
+  const QUESTION_PATTERN = /\b(?:why|describe|tell us|explain|cover letter|motivation|about yourself|anything else|additional information|por ?que|describa|cuentanos|explique|motivacion|carta de presentacion|conte-nos|descreva|motivacao|carta de apresentacao)\b/i;
+
+  function clean(value) {
+    return String(value == null ? "" : value).replace(/\s+/g, " ").trim();
+  }
+
+  function wordCount(text) {
+    const words = clean(text).match(/\S+/g);
+    return words ? words.length : 0;
+  }
+
+  function fieldMaxLength(field) {
+    const maxLength = Number(field && field.constraints && field.constraints.maxLength);
+    return Number.isInteger(maxLength) && maxLength > 0 ? maxLength : 0;
+  }
+
+  // QUESTION_PATTERN is written without accents, so "¿Por qué…" and "Motivação" are matched with them stripped.
+  function asksOpenQuestion(field) {
+    const question = [field.label, field.ariaLabel, field.placeholder]
+      .map((text) => clean(text).normalize("NFD").replace(/[\u0300-\u036f]/g, ""))
+      .join(" ");
+    return QUESTION_PATTERN.test(question);
+  }
+
+  // Essay questions are fields whose label asks an open question. Without one, only a textarea with a large
+  // maxlength or a multi-line ARIA textbox counts; "Address" or a single-line "City" textbox does not.
+  function isLongFormField(field) {
+    if (!field || typeof field !== "object" || (Array.isArray(field.options) && field.options.length)) {
+      return false;
+    }
+    const maxLength = fieldMaxLength(field);
+    if (maxLength && maxLength < LONG_FORM_MIN_LENGTH) {
+      return false;
+    }
+
+    const tag = clean(field.tag).toLowerCase();
+    const type = clean(field.type).toLowerCase();
+    if (tag === "textarea" || type === "textarea") {
+      return maxLength >= LONG_FORM_LARGE_LENGTH || asksOpenQuestion(field);
+    }
+    if (type === "contenteditable" || type === "textbox") {
+      return Boolean(field.multiline) || asksOpenQuestion(field);
+    }
+    return tag === "input" && ["text", "search", ""].includes(type) && asksOpenQuestion(field);
+  }
+
+  // Composed answers are cached per tone and length, so changing either composes a new one.
+  function composeCacheKey(fingerprint, options) {
+    const { tone, length } = normalizeComposeOptions(options);
+    return `${fingerprint}#compose:${tone}:${length}`;
+  }
+
+  function normalizeComposeOptions(options) {
+    const source = options && typeof options === "object" ? options : {};
+    return {
+      tone: COMPOSE_TONES.includes(source.tone) ? source.tone : "professional",
+      length: Object.prototype.hasOwnProperty.call(COMPOSE_LENGTH_WORDS, source.length) ? source.length : "medium"
+    };
+  }
+
+  function normalizeComposeVariant(variant) {
+    return COMPOSE_VARIANTS.includes(variant) ? variant : "";
+  }
+
+  // Shorter and longer are relative to the earlier answer; the field's maxlength caps every target.
+  function composeTargetWords({ length, maxLength, variant, previousAnswer } = {}) {
+    const { length: chosen } = normalizeComposeOptions({ length });
+    const previousWords = wordCount(previousAnswer);
+    let words = COMPOSE_LENGTH_WORDS[chosen];
+    if (variant === "shorter" && previousWords) {
+      words = Math.max(MIN_WORDS, Math.round(previousWords * 0.6));
+    } else if (variant === "longer" && previousWords) {
+      words = Math.round(previousWords * 1.5);
+    }
+
+    const limit = Number(maxLength);
+    if (Number.isInteger(limit) && limit > 0) {
+      words = Math.min(words, Math.floor(limit / CHARS_PER_WORD));
+    }
+    return Math.max(1, words);
+  }
+
+  // Keeps paragraph breaks but collapses other whitespace.
+  function cleanParagraphs(text) {
+    return String(text == null ? "" : text)
+      .split(/\n\s*\n/)
+      .map(clean)
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  // Cuts at the last full sentence that fits, or the last whole word when no sentence ends late enough.
+  function fitToMaxLength(text, maxLength) {
+    const value = cleanParagraphs(text);
+    const limit = Number(maxLength);
+    if (!Number.isInteger(limit) || limit <= 0 || value.length <= limit) {
+      return value;
+    }
+
+    const cut = value.slice(0, limit);
+    let sentenceEnd = -1;
+    const pattern = /[.!?]["')\]]?(?=\s|$)/g;
+    let match = pattern.exec(cut);
+    while (match) {
+      sentenceEnd = match.index + match[0].length;
+      match = pattern.exec(cut);
+    }
+    if (sentenceEnd >= limit / 2) {
+      return cut.slice(0, sentenceEnd).trim();
+    }
+    const wordEnd = cut.search(/\s\S*$/);
+    return (wordEnd > 0 ? cut.slice(0, wordEnd) : cut).trim();
+  }
+
+  function buildComposeAnswerSchema() {
+    return {
+      type: "object",
+      properties: {
+        answer: {
+          type: "string",
+          description: `The composed answer, or ${NOT_FOUND} when the documents contain nothing relevant.`
+        },
+        confidence: {
+          type: "number",
+          description: "Certainty from 0 to 1 that the documents support the answer. Use 0 for NOT_FOUND."
+        }
+      },
+      required: ["answer", "confidence"],
+      additionalProperties: false
+    };
+  }
+
+  function parseComposedAnswer(text, maxLength) {
+    let parsed;
+    try {
+      parsed = JSON.parse(String(text || ""));
+    } catch (_error) {
+      return { ok: false, value: "", confidence: 0 };
+    }
+    if (!parsed || typeof parsed !== "object" || typeof parsed.answer !== "string") {
+      return { ok: false, value: "", confidence: 0 };
+    }
+
+    const answer = parsed.answer.trim() === NOT_FOUND ? "" : fitToMaxLength(parsed.answer, maxLength);
+    const confidence = Number(parsed.confidence);
+    return {
+      ok: true,
+      value: answer,
+      confidence: answer && Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0
+    };
+  }
+
+  const api = {
+    COMPOSE_TONES,
+    COMPOSE_LENGTH_WORDS,
+    COMPOSE_VARIANTS,
+    isLongFormField,
+    fieldMaxLength,
+    normalizeComposeOptions,
+    normalizeComposeVariant,
+    composeCacheKey,
+    composeTargetWords,
+    cleanParagraphs,
+    fitToMaxLength,
+    buildComposeAnswerSchema,
+    parseComposedAnswer
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFLongForm = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
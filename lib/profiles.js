@@ -0,0 +1,175 @@
+(function initProfiles(globalScope) {
+  const DEFAULT_PROFILE_ID = "default";
+  const DEFAULT_MODEL = "gpt-4.1-mini";
+  const SENSITIVE_POLICIES = new Set(["confirm", "block", "allow"]);
+  const MAX_INSTRUCTIONS_LENGTH = 2000;
+
+  function clean(value) {
+    return String(value == null ? "" : value).trim();
+  }
+
+  function normalizeDetails(raw) {
+    const details = {};
+    Object.keys(raw && typeof raw === "object" ? raw : {}).forEach((key) => {
+      const value = clean(raw[key]);
+      if (value) {
+        details[key] = value;
+      }
+    });
+    return details;
+  }
+
+  // Only the encrypted form of a profile's own API key is kept; decryption happens in the background.
+  function normalizeEncryptedKey(raw) {
+    if (!raw || typeof raw !== "object" || !clean(raw.iv) || !clean(raw.ciphertext)) {
+      return null;
+    }
+    return { v: Number(raw.v) || 1, iv: clean(raw.iv), ciphertext: clean(raw.ciphertext) };
+  }
+
+  function normalizeProfile(raw, fallbackId) {
+    const source = raw && typeof raw === "object" ? raw : {};
+    const vectorStoreId = clean(source.vectorStoreId);
+    const extras = Array.isArray(source.extraVectorStoreIds) ? source.extraVectorStoreIds.map(clean) : [];
+    return {
+      id: clean(source.id) || fallbackId,
+      name: clean(source.name) || clean(source.id) || fallbackId,
+      vectorStoreId,
+      vectorStoreName: vectorStoreId ? clean(source.vectorStoreName) : "",
+      extraVectorStoreIds: Array.from(new Set(extras.filter((id) => id && id !== vectorStoreId))),
+      model: clean(source.model) || DEFAULT_MODEL,
+      instructions: clean(source.instructions).slice(0, MAX_INSTRUCTIONS_LENGTH),
+      sensitivePolicy: SENSITIVE_POLICIES.has(source.sensitivePolicy) ? source.sensitivePolicy : "confirm",
+      details: normalizeDetails(source.details),
+      apiKeyEncrypted: normalizeEncryptedKey(source.apiKeyEncrypted)
+    };
+  }
+
+  // Settings saved before profiles existed keep their store and model as the "Default" profile.
+  function getProfiles(settings) {
+    const source = settings && typeof settings === "object" ? settings : {};
+    const stored = Array.isArray(source.profiles) ? source.profiles : [];
+    const seen = new Set();
+    const profiles = stored
+      .map((profile, index) => normalizeProfile(profile, `profile-${index + 1}`))
+      .filter((profile) => {
+        if (seen.has(profile.id)) {
+          return false;
+        }
+        seen.add(profile.id);
+        return true;
+      });
+
+    if (profiles.length) {
+      return profiles;
+    }
+    return [normalizeProfile({
+      id: DEFAULT_PROFILE_ID,
+      name: "Default",
+      vectorStoreId: source.vectorStoreId,
+      vectorStoreName: source.vectorStoreName,
+      model: source.model
+    }, DEFAULT_PROFILE_ID)];
+  }
+
+  // An explicit id (e.g. from a site rule) that no longer exists falls back to the active profile.
+  function resolveActiveProfile(settings, profileId) {
+    const profiles = getProfiles(settings);
+    const byId = (id) => profiles.find((profile) => profile.id === clean(id));
+    return byId(profileId) || byId(settings && settings.activeProfileId) || profiles[0];
+  }
+
+  function profileVectorStoreIds(profile) {
+    if (!profile || !profile.vectorStoreId) {
+      return [];
+    }
+    return [profile.vectorStoreId].concat(profile.extraVectorStoreIds || []);
+  }
+
+  function withProfiles(settings, profiles, activeProfileId) {
+    const next = { ...(settings || {}), profiles, activeProfileId };
+    delete next.vectorStoreId;
+    delete next.vectorStoreName;
+    delete next.model;
+    return next;
+  }
+
+  function updateActiveProfile(settings, patch) {
+    const active = resolveActiveProfile(settings);
+    const profiles = getProfiles(settings).map((profile) => (
+      profile.id === active.id ? normalizeProfile({ ...profile, ...patch, id: profile.id }, profile.id) : profile
+    ));
+    return withProfiles(settings, profiles, active.id);
+  }
+
+  function setActiveProfile(settings, profileId) {
+    const profile = resolveActiveProfile(settings, profileId);
+    return withProfiles(settings, getProfiles(settings), profile.id);
+  }
+
+  function slugify(name) {
+    return clean(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "profile";
+  }
+
+  function addProfile(settings, name) {
+    const profiles = getProfiles(settings);
+    const base = slugify(name);
+    let id = base;
+    for (let counter = 2; profiles.some((profile) => profile.id === id); counter += 1) {
+      id = `${base}-${counter}`;
+    }
+
+    const profile = normalizeProfile({ id, name: clean(name) || id }, id);
+    return { settings: withProfiles(settings, profiles.concat(profile), id), profile };
+  }
+
+  function removeProfile(settings, profileId) {
+    const profiles = getProfiles(settings);
+    if (profiles.length <= 1) {
+      return withProfiles(settings, profiles, profiles[0].id);
+    }
+
+    const remaining = profiles.filter((profile) => profile.id !== profileId);
+    const active = resolveActiveProfile(settings);
+    const activeId = remaining.some((profile) => profile.id === active.id) ? active.id : remaining[0].id;
+    return withProfiles(settings, remaining, activeId);
+  }
+
+  // Session-only key storage keeps no encrypted key on disk, including per-profile ones.
+  function clearProfileApiKeys(settings) {
+    const profiles = getProfiles(settings).map((profile) => ({ ...profile, apiKeyEncrypted: null }));
+    return withProfiles(settings, profiles, resolveActiveProfile(settings).id);
+  }
+
+  function removeVectorStoreFromProfiles(settings, vectorStoreId) {
+    const profiles = getProfiles(settings).map((profile) => {
+      const extras = profile.extraVectorStoreIds.filter((id) => id !== vectorStoreId);
+      if (profile.vectorStoreId !== vectorStoreId) {
+        return { ...profile, extraVectorStoreIds: extras };
+      }
+      return { ...profile, vectorStoreId: extras[0] || "", vectorStoreName: "", extraVectorStoreIds: extras.slice(1) };
+    });
+    return withProfiles(settings, profiles, resolveActiveProfile(settings).id);
+  }
+
+  const api = {
+    DEFAULT_PROFILE_ID,
+    DEFAULT_MODEL,
+    getProfiles,
+    resolveActiveProfile,
+    profileVectorStoreIds,
+    updateActiveProfile,
+    setActiveProfile,
+    addProfile,
+    removeProfile,
+    clearProfileApiKeys,
+    removeVectorStoreFromProfiles
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFProfiles = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
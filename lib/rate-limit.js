@@ -0,0 +1,194 @@
+(function initRateLimit(globalScope) {
+  const CHARS_PER_TOKEN = 4;
+  const LOW_QUOTA_RATIO = 0.1;
+  const REDUCED_QUOTA_RATIO = 0.3;
+  // Share of the remaining token quota that one batch's fields may use; the rest covers the
+  // instructions, retrieved passages and answers of that request and the ones running beside it.
+  const BATCH_QUOTA_SHARE = 0.05;
+  const MIN_BATCH_TOKENS = 100;
+
+  function readHeader(headers, name) {
+    if (!headers) {
+      return null;
+    }
+    const value = typeof headers.get === "function" ? headers.get(name) : headers[name];
+    return value == null || value === "" ? null : String(value).trim();
+  }
+
+  function readNumber(headers, name) {
+    const value = readHeader(headers, name);
+    if (value == null) {
+      return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  // Reset headers use Go-style durations such as "1s", "6m0s" or "250ms".
+  function parseDurationMs(value) {
+    const raw = String(value == null ? "" : value).trim();
+    if (!raw) {
+      return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(raw)) {
+      return Math.round(Number(raw) * 1000);
+    }
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+    let total = 0;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(raw))) {
+      total += Number(match[1]) * units[match[2]];
+      consumed += match[0].length;
+    }
+    return consumed === raw.length ? Math.round(total) : null;
+  }
+
+  function parseRetryAfterMs(headers, now = Date.now()) {
+    const retryAfterMs = readNumber(headers, "retry-after-ms");
+    if (retryAfterMs != null && retryAfterMs >= 0) {
+      return Math.round(retryAfterMs);
+    }
+
+    const retryAfter = readHeader(headers, "retry-after");
+    if (retryAfter == null) {
+      return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(retryAfter)) {
+      return Math.round(Number(retryAfter) * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    return Number.isFinite(date) ? Math.max(0, date - now) : null;
+  }
+
+  function readRateLimitHeaders(headers) {
+    return {
+      limitRequests: readNumber(headers, "x-ratelimit-limit-requests"),
+      remainingRequests: readNumber(headers, "x-ratelimit-remaining-requests"),
+      resetRequestsMs: parseDurationMs(readHeader(headers, "x-ratelimit-reset-requests")),
+      limitTokens: readNumber(headers, "x-ratelimit-limit-tokens"),
+      remainingTokens: readNumber(headers, "x-ratelimit-remaining-tokens"),
+      resetTokensMs: parseDurationMs(readHeader(headers, "x-ratelimit-reset-tokens"))
+    };
+  }
+
+  function estimateTokens(text) {
+    return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+  }
+
+  // Removes and returns the next batch from the front of queue; the first item is always taken.
+  function takeBatch(queue, costOf, { maxTokens, maxItems }) {
+    let count = 0;
+    let tokens = 0;
+    while (count < queue.length) {
+      const cost = Math.max(1, Number(costOf(queue[count])) || 0);
+      if (count && (tokens + cost > maxTokens || count >= maxItems)) {
+        break;
+      }
+      tokens += cost;
+      count += 1;
+    }
+    return queue.splice(0, count);
+  }
+
+  function planBatches(items, costOf, limits) {
+    const queue = Array.isArray(items) ? items.slice() : [];
+    const batches = [];
+    while (queue.length) {
+      batches.push(takeBatch(queue, costOf, limits));
+    }
+    return batches;
+  }
+
+  function quotaRatio(remaining, limit) {
+    if (remaining == null || !limit) {
+      return null;
+    }
+    return Math.max(0, remaining) / limit;
+  }
+
+  function createRateLimitState({ maxConcurrency, now = () => Date.now() }) {
+    let concurrency = maxConcurrency;
+    let pausedUntil = 0;
+    let remainingTokens = null;
+
+    function pauseFor(ms) {
+      if (Number.isFinite(ms) && ms > 0) {
+        pausedUntil = Math.max(pausedUntil, now() + ms);
+      }
+    }
+
+    function observe(headers) {
+      const limits = readRateLimitHeaders(headers);
+      if (limits.remainingTokens != null) {
+        remainingTokens = Math.max(0, limits.remainingTokens);
+      }
+      const ratios = [
+        quotaRatio(limits.remainingRequests, limits.limitRequests),
+        quotaRatio(limits.remainingTokens, limits.limitTokens)
+      ].filter((ratio) => ratio != null);
+
+      if (!ratios.length) {
+        return;
+      }
+
+      const lowest = Math.min(...ratios);
+      if (lowest < LOW_QUOTA_RATIO) {
+        concurrency = 1;
+      } else if (lowest < REDUCED_QUOTA_RATIO) {
+        concurrency = Math.max(1, Math.ceil(maxConcurrency / 2));
+      } else {
+        concurrency = maxConcurrency;
+      }
+
+      if (limits.remainingRequests === 0) {
+        pauseFor(limits.resetRequestsMs);
+      }
+      if (limits.remainingTokens === 0) {
+        pauseFor(limits.resetTokensMs);
+      }
+    }
+
+    function throttle(retryAfterMs) {
+      concurrency = 1;
+      pauseFor(retryAfterMs);
+    }
+
+    // Until a response reports the remaining tokens, batches use the full cap.
+    function batchTokenBudget(maxTokens) {
+      if (remainingTokens == null) {
+        return maxTokens;
+      }
+      const share = Math.floor((remainingTokens * BATCH_QUOTA_SHARE) / Math.max(1, concurrency));
+      return Math.min(maxTokens, Math.max(MIN_BATCH_TOKENS, share));
+    }
+
+    return {
+      observe,
+      throttle,
+      batchTokenBudget,
+      concurrency: () => concurrency,
+      waitMs: () => Math.max(0, pausedUntil - now())
+    };
+  }
+
+  const api = {
+    parseDurationMs,
+    parseRetryAfterMs,
+    readRateLimitHeaders,
+    estimateTokens,
+    takeBatch,
+    planBatches,
+    createRateLimitState
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFRateLimit = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
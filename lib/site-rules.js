@@ -0,0 +1,160 @@
+(function initSiteRules(globalScope) {
+  const FILL_MODES = new Set(["manual", "auto", "never"]);
+  const INLINE_BUTTON_MODES = new Set(["default", "on", "off"]);
+  // Which frames library documents may be attached in: the page's own origin, or embedded frames from any origin too.
+  const FRAME_UPLOAD_MODES = new Set(["same-origin", "all"]);
+  const MAX_SKIP_SELECTORS = 50;
+
+  function clean(value) {
+    return String(value == null ? "" : value).trim();
+  }
+
+  // Patterns are "host" or "host/path", with "*" as a wildcard; the scheme is ignored.
+  function normalizePattern(value) {
+    const pattern = clean(value).toLowerCase().replace(/^[a-z]+:\/\//, "");
+    return pattern.replace(/\/+$/, "");
+  }
+
+  function normalizeSkipSelectors(value) {
+    const list = Array.isArray(value) ? value : String(value || "").split(/\r?\n/);
+    return Array.from(new Set(list.map(clean).filter(Boolean))).slice(0, MAX_SKIP_SELECTORS);
+  }
+
+  function normalizeSiteRule(raw, fallbackId) {
+    const source = raw && typeof raw === "object" ? raw : {};
+    return {
+      id: clean(source.id) || fallbackId,
+      pattern: normalizePattern(source.pattern),
+      profileId: clean(source.profileId),
+      fill: FILL_MODES.has(source.fill) ? source.fill : "manual",
+      inlineButton: INLINE_BUTTON_MODES.has(source.inlineButton) ? source.inlineButton : "default",
+      frameUploads: FRAME_UPLOAD_MODES.has(source.frameUploads) ? source.frameUploads : "same-origin",
+      skipSelectors: normalizeSkipSelectors(source.skipSelectors)
+    };
+  }
+
+  function normalizeSiteRules(rules) {
+    return (Array.isArray(rules) ? rules : [])
+      .map((rule, index) => normalizeSiteRule(rule, `rule-${index + 1}`))
+      .filter((rule) => rule.pattern);
+  }
+
+  function wildcardSource(text, wildcard) {
+    return text.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(wildcard);
+  }
+
+  function patternMatchesUrl(pattern, url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || ""));
+    } catch (_error) {
+      return false;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+      return false;
+    }
+
+    const normalized = normalizePattern(pattern);
+    const slash = normalized.indexOf("/");
+    const hostPattern = slash === -1 ? normalized : normalized.slice(0, slash);
+    const pathPattern = slash === -1 ? "" : normalized.slice(slash);
+    if (!hostPattern) {
+      return false;
+    }
+
+    // "*.example.com" also covers example.com itself.
+    const hostSource = hostPattern.startsWith("*.")
+      ? `(?:[^/]*\\.)?${wildcardSource(hostPattern.slice(2), "[^/]*")}`
+      : wildcardSource(hostPattern, "[^/]*");
+    if (!new RegExp(`^${hostSource}$`).test(parsed.hostname.toLowerCase())) {
+      return false;
+    }
+    if (!pathPattern) {
+      return true;
+    }
+
+    const pathSource = wildcardSource(pathPattern, ".*");
+    const tail = pathPattern.endsWith("*") ? "" : "(?:/.*)?$";
+    return new RegExp(`^${pathSource}${tail}`).test(parsed.pathname.toLowerCase());
+  }
+
+  function patternSpecificity(pattern) {
+    return normalizePattern(pattern).replace(/\*/g, "").length;
+  }
+
+  // The most specific matching pattern wins; on a tie the rule listed first wins.
+  function findSiteRule(rules, url) {
+    return normalizeSiteRules(rules)
+      .filter((rule) => patternMatchesUrl(rule.pattern, url))
+      .reduce((best, rule) => (!best || patternSpecificity(rule.pattern) > patternSpecificity(best.pattern) ? rule : best), null);
+  }
+
+  function upsertSiteRule(rules, rule) {
+    const existing = normalizeSiteRules(rules);
+    const samePattern = existing.find((entry) => entry.pattern === normalizePattern(rule && rule.pattern));
+    let id = clean(rule && rule.id) || (samePattern ? samePattern.id : "");
+    if (!id) {
+      let counter = existing.length + 1;
+      while (existing.some((entry) => entry.id === `rule-${counter}`)) {
+        counter += 1;
+      }
+      id = `rule-${counter}`;
+    }
+
+    const next = normalizeSiteRule({ ...rule, id }, id);
+    if (!next.pattern) {
+      return existing;
+    }
+    const index = existing.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      return existing.concat(next);
+    }
+    return existing.map((entry, position) => (position === index ? next : entry));
+  }
+
+  function removeSiteRule(rules, ruleId) {
+    return normalizeSiteRules(rules).filter((rule) => rule.id !== ruleId);
+  }
+
+  function patternForUrl(url) {
+    try {
+      const parsed = new URL(String(url || ""));
+      return /^https?:$/.test(parsed.protocol) ? parsed.hostname.toLowerCase() : "";
+    } catch (_error) {
+      return "";
+    }
+  }
+
+  // Rules that act before the popup is opened need host access so the page script can be injected on load.
+  function ruleNeedsPageAccess(rule) {
+    return Boolean(rule) && rule.fill !== "never" && (rule.fill === "auto" || rule.inlineButton === "on");
+  }
+
+  function originPatternForRule(pattern) {
+    const host = normalizePattern(pattern).split("/")[0];
+    const bare = host.startsWith("*.") ? host.slice(2) : host;
+    if (!bare || bare.includes("*")) {
+      return "";
+    }
+    return `https://${host}/*`;
+  }
+
+  const api = {
+    normalizeSiteRule,
+    normalizeSiteRules,
+    patternMatchesUrl,
+    findSiteRule,
+    upsertSiteRule,
+    removeSiteRule,
+    patternForUrl,
+    ruleNeedsPageAccess,
+    originPatternForRule
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFSiteRules = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
@@ -0,0 +1,160 @@
+(function initUsageLedger(globalScope) {
+  // USD per million tokens. Models that are not listed are tracked without a token cost.
+  const MODEL_PRICING = {
+    "gpt-4.1": { input: 2, output: 8 },
+    "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+    "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 }
+  };
+  const FILE_SEARCH_CALL_COST = 0.0025;
+  const DAYS_TO_KEEP = 62;
+  const MONTHS_TO_KEEP = 24;
+
+  function toCount(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+  }
+
+  function extractResponseUsage(data) {
+    const usage = data && data.usage ? data.usage : {};
+    const outputs = Array.isArray(data && data.output) ? data.output : [];
+    return {
+      requests: 1,
+      inputTokens: toCount(usage.input_tokens),
+      outputTokens: toCount(usage.output_tokens),
+      fileSearchCalls: outputs.filter((item) => item && item.type === "file_search_call").length
+    };
+  }
+
+  function pricingFor(model) {
+    const name = String(model || "");
+    if (MODEL_PRICING[name]) {
+      return MODEL_PRICING[name];
+    }
+    // Dated snapshots such as "gpt-4.1-mini-2025-04-14" share their base model's price.
+    const base = Object.keys(MODEL_PRICING)
+      .filter((key) => name.startsWith(`${key}-`) && /^\d{4}-\d{2}-\d{2}$/.test(name.slice(key.length + 1)))
+      .sort((a, b) => b.length - a.length)[0];
+    return base ? MODEL_PRICING[base] : null;
+  }
+
+  function estimateCost(model, usage) {
+    const pricing = pricingFor(model);
+    const searchCost = toCount(usage && usage.fileSearchCalls) * FILE_SEARCH_CALL_COST;
+    if (!pricing) {
+      return searchCost;
+    }
+    return searchCost
+      + (toCount(usage && usage.inputTokens) * pricing.input) / 1e6
+      + (toCount(usage && usage.outputTokens) * pricing.output) / 1e6;
+  }
+
+  function addUsage(totalsByModel, model, usage) {
+    const key = String(model || "unknown");
+    const totals = totalsByModel[key] || {
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      fileSearchCalls: 0,
+      cost: 0,
+      priced: Boolean(pricingFor(key))
+    };
+    totals.requests += usage && usage.requests != null ? toCount(usage.requests) : 1;
+    totals.inputTokens += toCount(usage && usage.inputTokens);
+    totals.outputTokens += toCount(usage && usage.outputTokens);
+    totals.fileSearchCalls += toCount(usage && usage.fileSearchCalls);
+    totals.cost += estimateCost(key, usage);
+    totalsByModel[key] = totals;
+    return totalsByModel;
+  }
+
+  function summarizeUsage(totalsByModel) {
+    return Object.values(totalsByModel || {}).reduce((summary, totals) => ({
+      requests: summary.requests + toCount(totals.requests),
+      inputTokens: summary.inputTokens + toCount(totals.inputTokens),
+      outputTokens: summary.outputTokens + toCount(totals.outputTokens),
+      fileSearchCalls: summary.fileSearchCalls + toCount(totals.fileSearchCalls),
+      cost: summary.cost + (Number(totals.cost) || 0),
+      priced: summary.priced && totals.priced !== false
+    }), { requests: 0, inputTokens: 0, outputTokens: 0, fileSearchCalls: 0, cost: 0, priced: true });
+  }
+
+  function pad(value) {
+    return String(value).padStart(2, "0");
+  }
+
+  function periodKeys(date = new Date()) {
+    const month = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    return { day: `${month}-${pad(date.getDate())}`, month };
+  }
+
+  function pruneLedger(ledger, date = new Date()) {
+    const oldestDay = periodKeys(new Date(date.getFullYear(), date.getMonth(), date.getDate() - DAYS_TO_KEEP)).day;
+    const oldestMonth = periodKeys(new Date(date.getFullYear(), date.getMonth() - MONTHS_TO_KEEP, 1)).month;
+    Object.keys(ledger.days).forEach((key) => {
+      if (key < oldestDay) {
+        delete ledger.days[key];
+      }
+    });
+    Object.keys(ledger.months).forEach((key) => {
+      if (key < oldestMonth) {
+        delete ledger.months[key];
+      }
+    });
+    return ledger;
+  }
+
+  function normalizeLedger(ledger) {
+    const source = ledger && typeof ledger === "object" ? ledger : {};
+    return {
+      days: source.days && typeof source.days === "object" ? source.days : {},
+      months: source.months && typeof source.months === "object" ? source.months : {}
+    };
+  }
+
+  function recordUsage(ledger, model, usage, date = new Date()) {
+    const normalized = normalizeLedger(ledger);
+    const { day, month } = periodKeys(date);
+    normalized.days[day] = addUsage(normalized.days[day] || {}, model, usage);
+    normalized.months[month] = addUsage(normalized.months[month] || {}, model, usage);
+    return pruneLedger(normalized, date);
+  }
+
+  function checkBudget(ledger, { dailyBudget, monthlyBudget }, date = new Date()) {
+    const normalized = normalizeLedger(ledger);
+    const { day, month } = periodKeys(date);
+    const checks = [
+      { period: "daily", limit: Number(dailyBudget) || 0, spent: summarizeUsage(normalized.days[day]).cost },
+      { period: "monthly", limit: Number(monthlyBudget) || 0, spent: summarizeUsage(normalized.months[month]).cost }
+    ];
+    const exceeded = checks.find((check) => check.limit > 0 && check.spent >= check.limit);
+    return exceeded ? { ok: false, ...exceeded } : { ok: true, period: "", limit: 0, spent: 0 };
+  }
+
+  function formatCost(cost) {
+    const value = Number(cost) || 0;
+    return `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+  }
+
+  const api = {
+    MODEL_PRICING,
+    extractResponseUsage,
+    pricingFor,
+    estimateCost,
+    addUsage,
+    summarizeUsage,
+    periodKeys,
+    normalizeLedger,
+    recordUsage,
+    checkBudget,
+    formatCost
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFUsageLedger = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
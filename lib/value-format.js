@@ -0,0 +1,364 @@
+(function initValueFormat(globalScope) {
+  const MONTHS = [
+    ["jan", "ene"],
+    ["feb", "fev"],
+    ["mar"],
+    ["apr", "abr"],
+    ["may", "mai"],
+    ["jun"],
+    ["jul"],
+    ["aug", "ago"],
+    ["sep", "set"],
+    ["oct", "out"],
+    ["nov"],
+    ["dec", "dic", "dez"]
+  ];
+  // Regions that write numeric dates month-first; every other locale is read day-first.
+  const MONTH_FIRST_REGIONS = new Set(["us", "ph", "fm", "mh", "pw", "as", "gu", "mp", "pr", "um", "vi"]);
+
+  function clean(value) {
+    return String(value == null ? "" : value).replace(/\s+/g, " ").trim();
+  }
+
+  // Textareas keep their line breaks; other whitespace is collapsed.
+  function cleanLines(value) {
+    return String(value == null ? "" : value)
+      .split(/\r?\n/)
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  function pad(value, length = 2) {
+    return String(value).padStart(length, "0");
+  }
+
+  function monthFromName(word) {
+    const prefix = String(word || "").toLowerCase().slice(0, 3);
+    const index = MONTHS.findIndex((names) => names.includes(prefix));
+    return index === -1 ? 0 : index + 1;
+  }
+
+  function expandYear(year) {
+    const numeric = Number(year);
+    if (String(year).length > 2) {
+      return numeric;
+    }
+    return numeric < 50 ? 2000 + numeric : 1900 + numeric;
+  }
+
+  function isRealDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+
+  // "mdy" or "dmy" for a locale such as "en-US" or "pt-BR"; a bare "en" could be either and gives "".
+  function dateOrderForLocale(locale) {
+    const [language, region] = clean(locale).toLowerCase().split(/[-_]/);
+    if (!language) {
+      return "";
+    }
+    if (region) {
+      return MONTH_FIRST_REGIONS.has(region) ? "mdy" : "dmy";
+    }
+    return language === "en" ? "" : "dmy";
+  }
+
+  // Numeric dates where both numbers could be the month follow order ("mdy" or "dmy");
+  // without an order they are ambiguous and not parsed, so the caller can ask for an ISO date instead.
+  function parseDate(text, order = "") {
+    const value = clean(text).toLowerCase();
+    let match = value.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+    let parts = match ? { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) } : null;
+
+    if (!parts) {
+      match = value.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/);
+      if (match) {
+        const first = Number(match[1]);
+        const second = Number(match[2]);
+        const dayFirst = first > 12 || (second <= 12 && first !== second && order === "dmy");
+        if (first > 12 || second > 12 || first === second || order === "mdy" || order === "dmy") {
+          parts = dayFirst
+            ? { year: expandYear(match[3]), month: second, day: first }
+            : { year: expandYear(match[3]), month: first, day: second };
+        }
+      }
+    }
+
+    if (!parts) {
+      const words = value.match(/[a-zç]+/g) || [];
+      const month = words.map(monthFromName).find(Boolean) || 0;
+      const year = value.match(/\b(\d{4})\b/);
+      const day = value.replace(/\b\d{4}\b/, " ").match(/\b(\d{1,2})(?:st|nd|rd|th|º)?\b/);
+      if (month && year && day) {
+        parts = { year: Number(year[1]), month, day: Number(day[1]) };
+      }
+    }
+
+    return parts && isRealDate(parts.year, parts.month, parts.day) ? parts : null;
+  }
+
+  function parseMonth(text, order = "") {
+    const value = clean(text).toLowerCase();
+    let match = value.match(/\b(\d{4})[-/.](\d{1,2})\b(?![-/.]\d)/);
+    if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+      return { year: Number(match[1]), month: Number(match[2]) };
+    }
+    match = value.match(/\b(\d{1,2})[-/.](\d{4})\b/);
+    if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+      return { year: Number(match[2]), month: Number(match[1]) };
+    }
+    const date = parseDate(value, order);
+    if (date) {
+      return { year: date.year, month: date.month };
+    }
+    const month = (value.match(/[a-zç]+/g) || []).map(monthFromName).find(Boolean);
+    const year = value.match(/\b(\d{4})\b/);
+    return month && year ? { year: Number(year[1]), month } : null;
+  }
+
+  function parseTime(text) {
+    const value = clean(text).toLowerCase().replace(/\./g, "");
+    const match = value.match(/\b(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm)?\b/);
+    if (!match || (!match[2] && !match[4])) {
+      return null;
+    }
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    if (match[4] === "pm" && hours < 12) {
+      hours += 12;
+    } else if (match[4] === "am" && hours === 12) {
+      hours = 0;
+    }
+    return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+  }
+
+  function isoWeek({ year, month, day }) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const weekday = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - weekday);
+    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+    return `${date.getUTCFullYear()}-W${pad(week)}`;
+  }
+
+  function formatDate(parts) {
+    return `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}`;
+  }
+
+  function formatTime(parts) {
+    return `${pad(parts.hours)}:${pad(parts.minutes)}`;
+  }
+
+  function parseNumber(text) {
+    const match = clean(text).replace(/(\d),(?=\d{3}\b)/g, "$1").match(/-?\d+(?:\.\d+)?/);
+    return match ? Number(match[0]) : NaN;
+  }
+
+  function decimals(value) {
+    const text = String(value);
+    return text.includes(".") ? text.split(".")[1].length : 0;
+  }
+
+  function snapToStep(number, step, min) {
+    const numericStep = Number(step);
+    if (!step || step === "any" || !Number.isFinite(numericStep) || numericStep <= 0) {
+      return number;
+    }
+    const base = Number.isFinite(Number(min)) && min !== "" ? Number(min) : 0;
+    const snapped = base + Math.round((number - base) / numericStep) * numericStep;
+    return Number(snapped.toFixed(Math.max(decimals(numericStep), decimals(base))));
+  }
+
+  // Min/max compare as numbers for number inputs and as strings for ISO date/time values.
+  function outOfRange(value, min, max, asNumber) {
+    const read = (bound) => (asNumber ? Number(bound) : String(bound));
+    const compared = asNumber ? Number(value) : String(value);
+    return (min !== "" && min != null && compared < read(min)) || (max !== "" && max != null && compared > read(max));
+  }
+
+  function matchesPattern(value, pattern) {
+    if (!pattern) {
+      return true;
+    }
+    try {
+      return new RegExp(`^(?:${pattern})$`, "u").test(value);
+    } catch (_error) {
+      return true;
+    }
+  }
+
+  function fitPattern(value, pattern) {
+    const candidates = [
+      value,
+      value.replace(/\s+/g, ""),
+      value.replace(/[^\d+]/g, ""),
+      value.replace(/\D/g, ""),
+      value.toUpperCase(),
+      value.toLowerCase()
+    ];
+    return candidates.find((candidate) => candidate && matchesPattern(candidate, pattern)) || "";
+  }
+
+  function formatByType(value, type, constraints) {
+    if (type === "date") {
+      const date = parseDate(value, constraints.dateOrder);
+      return date ? formatDate(date) : "";
+    }
+    if (type === "month") {
+      const month = parseMonth(value, constraints.dateOrder);
+      return month ? `${pad(month.year, 4)}-${pad(month.month)}` : "";
+    }
+    if (type === "week") {
+      const week = clean(value).match(/\b(\d{4})-?w(\d{1,2})\b/i);
+      if (week) {
+        return `${week[1]}-W${pad(week[2])}`;
+      }
+      const date = parseDate(value, constraints.dateOrder);
+      return date ? isoWeek(date) : "";
+    }
+    if (type === "time") {
+      const time = parseTime(value);
+      return time ? formatTime(time) : "";
+    }
+    if (type === "datetime-local") {
+      const date = parseDate(value, constraints.dateOrder);
+      const time = parseTime(value.replace(/\b\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b|\b\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}\b/, " "));
+      return date ? `${formatDate(date)}T${formatTime(time || { hours: 0, minutes: 0 })}` : "";
+    }
+    if (type === "number") {
+      const number = parseNumber(value);
+      return Number.isFinite(number) ? String(snapToStep(number, constraints.step, constraints.min)) : "";
+    }
+    if (type === "email") {
+      const email = value.match(/[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}/i);
+      return email ? email[0] : "";
+    }
+    if (type === "url") {
+      const url = value.match(/https?:\/\/[^\s<>"]+/i);
+      if (url) {
+        return url[0].replace(/[.,;)]+$/, "");
+      }
+      const domain = value.match(/\b(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/[^\s<>"]*)?/i);
+      return domain ? `https://${domain[0].replace(/[.,;)]+$/, "")}` : "";
+    }
+    if (type === "tel") {
+      const tel = value.match(/\+?\d[\d\s().-]{4,}\d/);
+      return tel ? clean(tel[0]) : "";
+    }
+    return value;
+  }
+
+  // Returns { ok, value } or { ok: false, reason } where reason is "format", "range" or "pattern".
+  function formatInputValue(rawValue, constraints = {}) {
+    const type = clean(constraints.type).toLowerCase() || "text";
+    const value = type === "textarea" ? cleanLines(rawValue) : clean(rawValue);
+    if (!value) {
+      return { ok: false, reason: "format" };
+    }
+
+    let formatted = formatByType(value, type, constraints);
+    if (!formatted) {
+      return { ok: false, reason: "format" };
+    }
+
+    const asNumber = type === "number";
+    if (["number", "date", "month", "week", "time", "datetime-local"].includes(type)
+      && outOfRange(formatted, constraints.min, constraints.max, asNumber)) {
+      return { ok: false, reason: "range", value: formatted };
+    }
+
+    if (constraints.pattern && !matchesPattern(formatted, constraints.pattern)) {
+      formatted = fitPattern(formatted, constraints.pattern);
+      if (!formatted) {
+        return { ok: false, reason: "pattern" };
+      }
+    }
+
+    const maxLength = Number(constraints.maxLength);
+    if (Number.isInteger(maxLength) && maxLength > 0 && formatted.length > maxLength) {
+      formatted = formatted.slice(0, maxLength).trim();
+    }
+    return { ok: true, value: formatted };
+  }
+
+  function normalizeOption(value) {
+    return clean(value).toLowerCase();
+  }
+
+  // Each option is a list of names it answers to, e.g. [label, value]; labels may match partially.
+  function matchOption(options, answer) {
+    const wanted = normalizeOption(answer);
+    if (!wanted) {
+      return -1;
+    }
+    const exact = options.findIndex((names) => names.some((name) => normalizeOption(name) === wanted));
+    if (exact !== -1) {
+      return exact;
+    }
+    return options.findIndex((names) => {
+      const label = normalizeOption(names[0]);
+      return Boolean(label) && (label.includes(wanted) || wanted.includes(label));
+    });
+  }
+
+  function splitMultiValue(answer) {
+    const text = String(answer == null ? "" : answer).trim();
+    if (text.startsWith("[")) {
+      try {
+        const parsed = JSON.parse(text);
+        if (Array.isArray(parsed)) {
+          return parsed.map(clean).filter(Boolean);
+        }
+      } catch (_error) {
+        // Fall through to separator splitting.
+      }
+    }
+    const parts = text.split(/[;\n|]/).map(clean).filter(Boolean);
+    return parts.length > 1 ? parts : text.split(",").map(clean).filter(Boolean);
+  }
+
+  // Returns the indexes of the options an answer selects; multi-value answers may list several.
+  function matchOptions(options, answer, { multiple = false } = {}) {
+    const list = (Array.isArray(options) ? options : []).map((names) => (Array.isArray(names) ? names : [names]));
+    const whole = matchOption(list, answer);
+    if (!multiple) {
+      return whole === -1 ? [] : [whole];
+    }
+    if (whole !== -1 && list.some((names) => names.some((name) => normalizeOption(name) === normalizeOption(answer)))) {
+      return [whole];
+    }
+
+    const indexes = splitMultiValue(answer).map((part) => matchOption(list, part)).filter((index) => index !== -1);
+    return Array.from(new Set(indexes));
+  }
+
+  function lettersAndDigits(value) {
+    return String(value == null ? "" : value).toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+  }
+
+  // Input masks add separators and prefixes, so a written value counts as kept when its letters and digits survive.
+  function valueKept(actual, expected) {
+    const kept = lettersAndDigits(actual);
+    const wanted = lettersAndDigits(expected);
+    return wanted ? kept.includes(wanted) : clean(actual) === clean(expected);
+  }
+
+  const api = {
+    dateOrderForLocale,
+    parseDate,
+    parseTime,
+    formatInputValue,
+    matchOptions,
+    valueKept
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFValueFormat = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
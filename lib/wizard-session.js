@@ -0,0 +1,107 @@
+(function initWizardSession(globalScope) {
+  const WIZARD_MODES = new Set(["off", "offer", "auto"]);
+  const DEFAULT_WIZARD_MODE = "offer";
+  // A session with no filled step for this long is over, whatever the user does on the site next.
+  const WIZARD_IDLE_TTL_MS = 15 * 60 * 1000;
+
+  function normalizeWizardMode(value) {
+    return WIZARD_MODES.has(value) ? value : DEFAULT_WIZARD_MODE;
+  }
+
+  function hostOf(url) {
+    try {
+      return new URL(String(url || "")).hostname.toLowerCase();
+    } catch (_error) {
+      return "";
+    }
+  }
+
+  function createWizardSession(tabId, url, now = Date.now()) {
+    return {
+      tabId,
+      host: hostOf(url),
+      startedAt: now,
+      lastStepAt: now,
+      lastUrl: String(url || ""),
+      pendingUrl: "",
+      autoContinue: false,
+      steps: []
+    };
+  }
+
+  function isSameWizardSite(session, url) {
+    return Boolean(session && session.host) && session.host === hostOf(url);
+  }
+
+  function addWizardStep(session, { url, title, filled, skipped, needsReview, cancelled }, now = Date.now()) {
+    session.steps.push({
+      url: String(url || ""),
+      title: String(title || ""),
+      filled: Number(filled || 0),
+      skipped: Number(skipped || 0),
+      needsReview: Number(needsReview || 0),
+      cancelled: Boolean(cancelled),
+      at: now
+    });
+    session.lastUrl = String(url || session.lastUrl || "");
+    session.pendingUrl = "";
+    session.lastStepAt = now;
+    return session;
+  }
+
+  function isWizardSessionExpired(session, now = Date.now()) {
+    const last = Number(session && (session.lastStepAt || session.startedAt) || 0);
+    return !last || now - last > WIZARD_IDLE_TTL_MS;
+  }
+
+  // A new page continues the flow when a form was submitted to reach it or the previous step was filled;
+  // moving on from a step that was offered but never filled, without submitting, leaves the flow.
+  function continuesWizardFlow(session, submitted) {
+    return Boolean(session) && (Boolean(submitted) || !session.pendingUrl);
+  }
+
+  function summarizeWizardSession(session) {
+    const steps = session && Array.isArray(session.steps) ? session.steps : [];
+    return steps.reduce((summary, step) => ({
+      steps: summary.steps + 1,
+      filled: summary.filled + Number(step.filled || 0),
+      skipped: summary.skipped + Number(step.skipped || 0),
+      needsReview: summary.needsReview + Number(step.needsReview || 0)
+    }), { steps: 0, filled: 0, skipped: 0, needsReview: 0 });
+  }
+
+  // A finished page load is a new step even when the URL repeats (POST-back wizards);
+  // a URL change on an already loaded tab is an SPA route change.
+  function detectStepChange(changeInfo, tab, session) {
+    if (!changeInfo || !session) {
+      return "";
+    }
+    if (changeInfo.status === "complete") {
+      return "load";
+    }
+    if (changeInfo.url && (!tab || tab.status === "complete") && changeInfo.url !== session.lastUrl) {
+      return "route";
+    }
+    return "";
+  }
+
+  const api = {
+    DEFAULT_WIZARD_MODE,
+    WIZARD_IDLE_TTL_MS,
+    normalizeWizardMode,
+    createWizardSession,
+    isSameWizardSite,
+    addWizardStep,
+    isWizardSessionExpired,
+    continuesWizardFlow,
+    summarizeWizardSession,
+    detectStepChange
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  }
+
+  const root = globalScope || {};
+  root.AFFWizardSession = api;
+})(typeof globalThis !== "undefined" ? globalThis : (typeof self !== "undefined" ? self : this));
@@ -2,6 +2,7 @@ const SETTINGS_KEY = "aiFormFillerSettings";
 const CRYPTO_KEY_KEY = "aiFormFillerCryptoKey";
 const SESSION_SETTINGS_KEY = "aiFormFillerSessionSettings";
 const SUPPORTED_LANGUAGE_OVERRIDES = new Set(["default", "en", "pt_BR", "es"]);
+const REVIEW_SAVE_DELAY_MS = 250;
 
 const {
   storageGet,
@@ -11,8 +12,40 @@ const {
   queryTabs,
   bytesToBase64,
   base64ToBytes,
-  createTranslator
+  createTranslator,
+  DEFAULT_MIN_CONFIDENCE,
+  normalizeMinConfidence,
+  formatConfidence
 } = self.AFFShared;
+const {
+  PROVIDER_PRESETS,
+  resolveProviderConfig,
+  validateProviderConfig,
+  originPermissionPattern
+} = self.AFFLlmProvider;
+const { formatCost } = self.AFFUsageLedger;
+const {
+  getProfiles,
+  resolveActiveProfile,
+  updateActiveProfile,
+  setActiveProfile,
+  addProfile,
+  removeProfile,
+  clearProfileApiKeys
+} = self.AFFProfiles;
+const {
+  normalizeSiteRules,
+  findSiteRule,
+  upsertSiteRule,
+  removeSiteRule,
+  patternForUrl,
+  ruleNeedsPageAccess,
+  originPatternForRule
+} = self.AFFSiteRules;
+const { COMPOSE_TONES, COMPOSE_LENGTH_WORDS } = self.AFFLongForm;
+const COMPOSE_LENGTHS = Object.keys(COMPOSE_LENGTH_WORDS);
+const { MAX_DOCUMENT_BYTES, listDocuments, addDocument, deleteDocument } = self.AFFDocumentLibrary;
+const { normalizeRetention, summarizeRun } = self.AFFFillHistory;
 
 const i18n = createTranslator({
   supportedLanguages: SUPPORTED_LANGUAGE_OVERRIDES,
@@ -24,41 +57,115 @@ const ui = {
   actionsView: document.getElementById("actionsView"),
   settingsView: document.getElementById("settingsView"),
   filesView: document.getElementById("filesView"),
+  historyView: document.getElementById("historyView"),
 
   configSummary: document.getElementById("configSummary"),
 
   apiKey: document.getElementById("apiKey"),
+  profileSelect: document.getElementById("profileSelect"),
+  siteRuleNote: document.getElementById("siteRuleNote"),
   vectorStoreId: document.getElementById("vectorStoreId"),
+  profileName: document.getElementById("profileName"),
+  profileApiKey: document.getElementById("profileApiKey"),
+  clearProfileApiKeyBtn: document.getElementById("clearProfileApiKeyBtn"),
+  extraStores: document.getElementById("extraStores"),
+  profileInstructions: document.getElementById("profileInstructions"),
+  sensitivePolicy: document.getElementById("sensitivePolicy"),
+  newProfileName: document.getElementById("newProfileName"),
+  createProfileBtn: document.getElementById("createProfileBtn"),
+  deleteProfileBtn: document.getElementById("deleteProfileBtn"),
+  siteRulesList: document.getElementById("siteRulesList"),
+  sitePattern: document.getElementById("sitePattern"),
+  useCurrentSiteBtn: document.getElementById("useCurrentSiteBtn"),
+  siteRuleProfile: document.getElementById("siteRuleProfile"),
+  siteRuleFill: document.getElementById("siteRuleFill"),
+  siteRuleInline: document.getElementById("siteRuleInline"),
+  siteRuleFrameUploads: document.getElementById("siteRuleFrameUploads"),
+  siteRuleSkip: document.getElementById("siteRuleSkip"),
+  newSiteRuleBtn: document.getElementById("newSiteRuleBtn"),
+  saveSiteRuleBtn: document.getElementById("saveSiteRuleBtn"),
   refreshStoresBtn: document.getElementById("refreshStoresBtn"),
   newStoreName: document.getElementById("newStoreName"),
   createStoreBtn: document.getElementById("createStoreBtn"),
   deleteStoreBtn: document.getElementById("deleteStoreBtn"),
+  clearCacheBtn: document.getElementById("clearCacheBtn"),
+  correctionsList: document.getElementById("correctionsList"),
+  clearCorrectionsBtn: document.getElementById("clearCorrectionsBtn"),
   selectedStoreForDelete: document.getElementById("selectedStoreForDelete"),
   model: document.getElementById("model"),
   language: document.getElementById("language"),
+  fillMode: document.getElementById("fillMode"),
+  minConfidence: document.getElementById("minConfidence"),
+  pageContextMode: document.getElementById("pageContextMode"),
+  wizardMode: document.getElementById("wizardMode"),
+  fillStrategy: document.getElementById("fillStrategy"),
+  composeTone: document.getElementById("composeTone"),
+  composeLength: document.getElementById("composeLength"),
+  historyRetention: document.getElementById("historyRetention"),
+  historyValues: document.getElementById("historyValues"),
+  wizardCard: document.getElementById("wizardCard"),
+  wizardSummary: document.getElementById("wizardSummary"),
+  wizardPending: document.getElementById("wizardPending"),
+  wizardFillStepBtn: document.getElementById("wizardFillStepBtn"),
+  endWizardBtn: document.getElementById("endWizardBtn"),
+  wizardAutoBtn: document.getElementById("wizardAutoBtn"),
+  dailyBudget: document.getElementById("dailyBudget"),
+  monthlyBudget: document.getElementById("monthlyBudget"),
+  usageReport: document.getElementById("usageReport"),
+  usageSummary: document.getElementById("usageSummary"),
   apiKeyStorageMode: document.getElementById("apiKeyStorageMode"),
+  providerType: document.getElementById("providerType"),
+  providerBaseUrl: document.getElementById("providerBaseUrl"),
+  providerAuthHeader: document.getElementById("providerAuthHeader"),
+  providerApiVersion: document.getElementById("providerApiVersion"),
 
   saveBtn: document.getElementById("saveBtn"),
   backBtn: document.getElementById("backBtn"),
   openSettingsBtn: document.getElementById("openSettingsBtn"),
   openFilesBtn: document.getElementById("openFilesBtn"),
+  openHistoryBtn: document.getElementById("openHistoryBtn"),
   fillBtn: document.getElementById("fillBtn"),
+  stopFillBtn: document.getElementById("stopFillBtn"),
+  undoFillBtn: document.getElementById("undoFillBtn"),
 
   status: document.getElementById("status"),
   log: document.getElementById("log"),
 
+  reviewCard: document.getElementById("reviewCard"),
+  reviewSummary: document.getElementById("reviewSummary"),
+  reviewList: document.getElementById("reviewList"),
+  discardReviewBtn: document.getElementById("discardReviewBtn"),
+  acceptAllReviewBtn: document.getElementById("acceptAllReviewBtn"),
+  applyReviewBtn: document.getElementById("applyReviewBtn"),
+
   filesBackBtn: document.getElementById("filesBackBtn"),
   refreshFilesBtn: document.getElementById("refreshFilesBtn"),
   uploadFileBtn: document.getElementById("uploadFileBtn"),
   newFileInput: document.getElementById("newFileInput"),
   replaceFileInput: document.getElementById("replaceFileInput"),
   filesStatus: document.getElementById("filesStatus"),
-  filesList: document.getElementById("filesList")
+  filesList: document.getElementById("filesList"),
+  libraryFileInput: document.getElementById("libraryFileInput"),
+  addLibraryDocsBtn: document.getElementById("addLibraryDocsBtn"),
+  libraryStatus: document.getElementById("libraryStatus"),
+  libraryList: document.getElementById("libraryList"),
+
+  historyBackBtn: document.getElementById("historyBackBtn"),
+  exportHistoryJsonBtn: document.getElementById("exportHistoryJsonBtn"),
+  exportHistoryCsvBtn: document.getElementById("exportHistoryCsvBtn"),
+  clearHistoryBtn: document.getElementById("clearHistoryBtn"),
+  historyStatus: document.getElementById("historyStatus"),
+  historyList: document.getElementById("historyList")
 };
 
 let pendingReplaceFileId = null;
 let cachedVectorStores = [];
 let hasFillableFormOnPage = false;
+let pendingReview = null;
+let autofillRunning = false;
+let selectedExtraStoreIds = [];
+let editingSiteRuleId = "";
+const detailInputs = Array.from(document.querySelectorAll("[data-detail-token]"));
 
 function applyI18nToDom() {
   document.querySelectorAll("[data-i18n]").forEach((el) => {
@@ -97,9 +204,56 @@ function setFilesStatus(message, isError) {
   ui.filesStatus.style.color = isError ? "#b91c1c" : "#6b7280";
 }
 
-function appendLog(message) {
+function setLibraryStatus(message, isError) {
+  ui.libraryStatus.textContent = message;
+  ui.libraryStatus.style.color = isError ? "#b91c1c" : "#6b7280";
+}
+
+function setHistoryStatus(message, isError) {
+  ui.historyStatus.textContent = message;
+  ui.historyStatus.style.color = isError ? "#b91c1c" : "#6b7280";
+}
+
+function formatSourceLabel(source) {
+  const name = source.filename || source.fileId;
+  return t("logSourceFile", [name], `Source: ${name}`);
+}
+
+function createSourceElement(source) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "log-source";
+  wrapper.textContent = formatSourceLabel(source);
+  wrapper.title = source.fileId || "";
+
+  if (source.snippet) {
+    const quote = document.createElement("q");
+    quote.textContent = source.snippet;
+    wrapper.appendChild(document.createTextNode(" "));
+    wrapper.appendChild(quote);
+  }
+
+  return wrapper;
+}
+
+function appendLog(message, details = {}) {
   const li = document.createElement("li");
   li.textContent = message;
+  if (details.cached || details.learned || details.local) {
+    const badge = document.createElement("span");
+    badge.className = "log-cached";
+    if (details.learned) {
+      badge.textContent = t("logLearned", undefined, "your correction");
+    } else if (details.local) {
+      badge.textContent = t("logLocalDetails", undefined, "your details");
+    } else {
+      badge.textContent = t("logCached", undefined, "cached");
+    }
+    li.appendChild(document.createTextNode(" "));
+    li.appendChild(badge);
+  }
+  if (details.source && (details.source.filename || details.source.fileId)) {
+    li.appendChild(createSourceElement(details.source));
+  }
   ui.log.appendChild(li);
   ui.log.scrollTop = ui.log.scrollHeight;
 }
@@ -112,6 +266,7 @@ function switchView(view) {
   ui.actionsView.classList.toggle("active", view === "actions");
   ui.settingsView.classList.toggle("active", view === "settings");
   ui.filesView.classList.toggle("active", view === "files");
+  ui.historyView.classList.toggle("active", view === "history");
 }
 
 
@@ -156,22 +311,54 @@ async function encryptApiKey(plainApiKey) {
 function hasConfiguredApiKey(settings) {
   const hasEncrypted = Boolean(settings.apiKeyEncrypted && settings.apiKeyEncrypted.ciphertext && settings.apiKeyEncrypted.iv);
   const hasLegacyPlain = Boolean(settings.apiKey && settings.apiKey.trim());
-  return hasEncrypted || hasLegacyPlain;
+  return hasEncrypted || hasLegacyPlain || Boolean(resolveActiveProfile(settings).apiKeyEncrypted);
 }
 
-async function hasConfiguredApiKeyFromSources(settings) {
+async function getSessionSettings() {
   const sessionData = await storageGet([SESSION_SETTINGS_KEY], "session");
-  const hasSessionKey = Boolean(sessionData[SESSION_SETTINGS_KEY]?.apiKey);
+  return sessionData[SESSION_SETTINGS_KEY] || {};
+}
+
+async function hasConfiguredApiKeyFromSources(settings) {
+  const sessionSettings = await getSessionSettings();
+  const profileKeys = sessionSettings.profileApiKeys || {};
+  const hasSessionKey = Boolean(sessionSettings.apiKey || profileKeys[resolveActiveProfile(settings).id]);
   return hasConfiguredApiKey(settings) || hasSessionKey;
 }
 
+async function hasProfileApiKey(settings) {
+  const profile = resolveActiveProfile(settings);
+  const profileKeys = (await getSessionSettings()).profileApiKeys || {};
+  return Boolean(profile.apiKeyEncrypted || profileKeys[profile.id]);
+}
+
+// Passing an empty key removes the profile's session-only key.
+async function setSessionProfileApiKey(profileId, apiKey) {
+  const sessionSettings = await getSessionSettings();
+  const profileApiKeys = { ...(sessionSettings.profileApiKeys || {}) };
+  if (apiKey) {
+    profileApiKeys[profileId] = apiKey;
+  } else {
+    delete profileApiKeys[profileId];
+  }
+  await storageSet({ [SESSION_SETTINGS_KEY]: { ...sessionSettings, profileApiKeys } }, "session");
+}
+
+async function showProfileApiKeyPlaceholder(settings) {
+  ui.profileApiKey.value = "";
+  ui.profileApiKey.placeholder = (await hasProfileApiKey(settings))
+    ? t("placeholderProfileApiKeyStored", undefined, "This profile's own key is stored (leave blank to keep it)")
+    : t("placeholderProfileApiKeyMain", undefined, "Uses the main API key");
+}
+
 function summarizeConfig(settings) {
   const hasKey = hasConfiguredApiKey(settings);
-  const hasStore = Boolean(settings.vectorStoreId && settings.vectorStoreId.trim());
-  const model = settings.model || "gpt-4.1-mini";
+  const profile = resolveActiveProfile(settings);
+  const hasStore = Boolean(profile.vectorStoreId);
+  const model = profile.model;
 
   if (hasKey && hasStore) {
-    return t("summaryConfiguredModel", [model], `Configured. Model: ${model}`);
+    return t("summaryConfiguredProfileModel", [profile.name, model], `Configured. Profile: ${profile.name}. Model: ${model}`);
   }
 
   return t("summaryNotConfigured", undefined, "Not fully configured. Open Configuration.");
@@ -180,7 +367,7 @@ function summarizeConfig(settings) {
 function updateStoreActionsState() {
   const hasSelection = Boolean((ui.vectorStoreId.value || "").trim());
   ui.deleteStoreBtn.disabled = !hasSelection;
-  ui.fillBtn.disabled = !hasSelection;
+  ui.fillBtn.disabled = !hasSelection || autofillRunning;
   ui.openFilesBtn.disabled = !hasSelection;
 
   const selectedOption = ui.vectorStoreId.options[ui.vectorStoreId.selectedIndex];
@@ -197,6 +384,126 @@ function updateStoreActionsState() {
   ui.deleteStoreBtn.textContent = t("btnDeleteDatabaseNamed", [shortName], `Delete "${shortName}"`);
 }
 
+function readBudget(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? Math.round(numeric * 100) / 100 : 0;
+}
+
+function formatUsageCost(summary) {
+  const cost = formatCost(summary && summary.cost);
+  return summary && summary.priced === false ? `${cost}*` : cost;
+}
+
+function renderRunUsage(message) {
+  const run = message.run || {};
+  const tokens = Number(run.inputTokens || 0) + Number(run.outputTokens || 0);
+  ui.usageSummary.textContent = t(
+    "usageRunSummary",
+    [String(tokens), formatUsageCost(run), formatUsageCost(message.month)],
+    `This run: ${tokens} tokens, about ${formatUsageCost(run)}. This month: ${formatUsageCost(message.month)}.`
+  );
+  ui.usageSummary.classList.remove("hidden");
+}
+
+function describeBudget(limit) {
+  return limit ? formatCost(limit) : t("usageNoBudget", undefined, "no limit");
+}
+
+async function refreshUsageReport() {
+  const response = await runtimeSendMessage({ type: "GET_USAGE_SUMMARY" });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotLoadUsage", undefined, "Could not load usage."));
+  }
+
+  ui.usageReport.innerHTML = "";
+  const lines = [
+    t(
+      "usageTodayLine",
+      [formatUsageCost(response.today), String(response.today.requests), describeBudget(response.dailyBudget)],
+      `Today: ${formatUsageCost(response.today)} over ${response.today.requests} request(s) (budget: ${describeBudget(response.dailyBudget)})`
+    ),
+    t(
+      "usageMonthLine",
+      [formatUsageCost(response.month), String(response.month.requests), describeBudget(response.monthlyBudget)],
+      `This month: ${formatUsageCost(response.month)} over ${response.month.requests} request(s) (budget: ${describeBudget(response.monthlyBudget)})`
+    )
+  ];
+  Object.entries(response.monthByModel || {}).forEach(([model, totals]) => {
+    lines.push(t(
+      "usageModelLine",
+      [model, String(totals.inputTokens), String(totals.outputTokens), formatUsageCost(totals)],
+      `${model}: ${totals.inputTokens} in / ${totals.outputTokens} out tokens, ${formatUsageCost(totals)}`
+    ));
+  });
+  if (!response.month.priced) {
+    lines.push(t("usageUnpricedNote", undefined, "* Includes models without known pricing; their token cost is not counted."));
+  }
+
+  lines.forEach((line) => {
+    const item = document.createElement("div");
+    item.textContent = line;
+    ui.usageReport.appendChild(item);
+  });
+}
+
+function readProviderFromForm() {
+  const type = Object.prototype.hasOwnProperty.call(PROVIDER_PRESETS, ui.providerType.value) ? ui.providerType.value : "openai";
+  const authHeader = (ui.providerAuthHeader.value || "").trim() || PROVIDER_PRESETS[type].authHeader;
+  return {
+    type,
+    baseUrl: (ui.providerBaseUrl.value || "").trim(),
+    authHeader,
+    authScheme: authHeader.toLowerCase() === "authorization" ? "Bearer" : "",
+    apiVersion: (ui.providerApiVersion.value || "").trim()
+  };
+}
+
+function applyProviderToForm(rawProvider) {
+  const provider = resolveProviderConfig(rawProvider);
+  ui.providerType.value = provider.type;
+  ui.providerBaseUrl.value = provider.baseUrl;
+  ui.providerAuthHeader.value = provider.authHeader;
+  ui.providerApiVersion.value = provider.apiVersion;
+  updateProviderFieldsState();
+}
+
+function updateProviderFieldsState() {
+  const isOpenAi = ui.providerType.value === "openai";
+  ui.providerBaseUrl.disabled = isOpenAi;
+  ui.providerAuthHeader.disabled = isOpenAi;
+  ui.providerApiVersion.disabled = isOpenAi;
+
+  if (isOpenAi) {
+    ui.providerBaseUrl.value = PROVIDER_PRESETS.openai.baseUrl;
+    ui.providerAuthHeader.value = PROVIDER_PRESETS.openai.authHeader;
+    ui.providerApiVersion.value = "";
+  }
+}
+
+function requestHostPermission(origin) {
+  return new Promise((resolve) => {
+    chrome.permissions.request({ origins: [origin] }, (granted) => {
+      resolve(Boolean(granted) && !chrome.runtime.lastError);
+    });
+  });
+}
+
+async function ensureProviderHostPermission() {
+  const provider = resolveProviderConfig(readProviderFromForm());
+  const validation = validateProviderConfig(provider);
+  if (!validation.ok) {
+    throw new Error(validation.reason === "authHeader"
+      ? t("errInvalidProviderAuthHeader", undefined, "Enter a valid auth header name.")
+      : t("errInvalidProviderBaseUrl", undefined, "Enter a valid HTTPS base URL (HTTP is allowed only for localhost)."));
+  }
+
+  const origin = originPermissionPattern(provider.baseUrl);
+  const granted = await requestHostPermission(origin);
+  if (!granted) {
+    throw new Error(t("errProviderHostNotGranted", [origin], `Access to ${origin} has not been granted. Save Configuration again to allow it.`));
+  }
+}
+
 async function refreshFillAvailability() {
   hasFillableFormOnPage = false;
 
@@ -228,16 +535,293 @@ async function loadSettings() {
   ui.apiKey.placeholder = hasKey
     ? t("placeholderApiKeyStored", undefined, "Stored securely (leave blank to keep current)")
     : t("placeholderApiKey", undefined, "sk-...");
-  ui.model.value = settings.model || "gpt-4.1-mini";
+  const profile = resolveActiveProfile(settings);
+  populateProfileSelect(settings);
+  ui.profileName.value = profile.name;
+  await showProfileApiKeyPlaceholder(settings);
+  ui.model.value = profile.model;
+  ui.profileInstructions.value = profile.instructions;
+  ui.sensitivePolicy.value = profile.sensitivePolicy;
+  fillDetailInputs(profile.details);
+  ui.deleteProfileBtn.disabled = getProfiles(settings).length <= 1;
+  selectedExtraStoreIds = profile.extraVectorStoreIds.slice();
+  renderSiteRules(settings);
+  await refreshSiteRuleNote(settings);
   ui.language.value = SUPPORTED_LANGUAGE_OVERRIDES.has(settings.language) ? settings.language : "default";
   ui.apiKeyStorageMode.value = settings.apiKeyStorageMode === "session" ? "session" : "persistent";
+  ui.fillMode.value = settings.fillMode === "review" ? "review" : "immediate";
+  ui.minConfidence.value = String(Math.round(normalizeMinConfidence(settings.minConfidence) * 100));
+  ui.pageContextMode.value = settings.sendPageContext === true ? "send" : "off";
+  ui.wizardMode.value = ["off", "offer", "auto"].includes(settings.wizardMode) ? settings.wizardMode : "offer";
+  ui.fillStrategy.value = ["auto", "typing", "native"].includes(settings.fillStrategy) ? settings.fillStrategy : "auto";
+  ui.composeTone.value = COMPOSE_TONES.includes(settings.composeTone) ? settings.composeTone : "professional";
+  ui.composeLength.value = COMPOSE_LENGTHS.includes(settings.composeLength) ? settings.composeLength : "medium";
+  ui.historyRetention.value = String(normalizeRetention(settings.historyRetention));
+  ui.historyValues.value = settings.historyRedactValues === true ? "redact" : "keep";
+  ui.dailyBudget.value = readBudget(settings.dailyBudget) ? String(readBudget(settings.dailyBudget)) : "";
+  ui.monthlyBudget.value = readBudget(settings.monthlyBudget) ? String(readBudget(settings.monthlyBudget)) : "";
+  applyProviderToForm(settings.provider);
   ui.configSummary.textContent = summarizeConfig(settings);
-  const savedStoreId = settings.vectorStoreId || "";
-  const savedStoreName = settings.vectorStoreName || t("selectedFileDatabase", undefined, "Selected file database");
+  const savedStoreId = profile.vectorStoreId;
+  const savedStoreName = profile.vectorStoreName || t("selectedFileDatabase", undefined, "Selected file database");
   cachedVectorStores = savedStoreId ? [{ id: savedStoreId, name: savedStoreName }] : [];
   populateVectorStoreSelect(cachedVectorStores, savedStoreId);
 }
 
+function fillDetailInputs(details) {
+  detailInputs.forEach((input) => {
+    input.value = (details && details[input.dataset.detailToken]) || "";
+  });
+}
+
+function readDetailInputs() {
+  const details = {};
+  detailInputs.forEach((input) => {
+    details[input.dataset.detailToken] = input.value.trim();
+  });
+  return details;
+}
+
+function populateProfileSelect(settings) {
+  const active = resolveActiveProfile(settings);
+  ui.profileSelect.innerHTML = "";
+  getProfiles(settings).forEach((profile) => {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.name;
+    ui.profileSelect.appendChild(option);
+  });
+  ui.profileSelect.value = active.id;
+}
+
+function siteFillLabel(fill) {
+  if (fill === "auto") {
+    return t("optionSiteFillAuto", undefined, "Start automatically when a form is detected");
+  }
+  if (fill === "never") {
+    return t("optionSiteFillNever", undefined, "Never fill this site");
+  }
+  return t("optionSiteFillManual", undefined, "Fill when asked");
+}
+
+function siteInlineLabel(inlineButton) {
+  if (inlineButton === "on") {
+    return t("optionSiteInlineOn", undefined, "Always on this site");
+  }
+  if (inlineButton === "off") {
+    return t("optionSiteInlineOff", undefined, "Never");
+  }
+  return t("optionSiteInlineDefault", undefined, "After opening the extension on the page");
+}
+
+function siteRuleProfileName(settings, rule) {
+  if (!rule.profileId) {
+    return t("optionSiteRuleActiveProfile", undefined, "Active profile");
+  }
+  return resolveActiveProfile(settings, rule.profileId).name;
+}
+
+function describeSiteRule(settings, rule) {
+  const parts = [siteRuleProfileName(settings, rule), siteFillLabel(rule.fill)];
+  if (rule.fill !== "never") {
+    parts.push(t("siteRuleInlineSummary", [siteInlineLabel(rule.inlineButton)], `Inline button: ${siteInlineLabel(rule.inlineButton)}`));
+  }
+  if (rule.frameUploads === "all") {
+    parts.push(t("siteRuleFrameUploadsSummary", undefined, "Uploads in other sites' frames"));
+  }
+  if (rule.skipSelectors.length) {
+    parts.push(t("siteRuleSkipSummary", [String(rule.skipSelectors.length)], `${rule.skipSelectors.length} skipped selector(s)`));
+  }
+  return parts.join(" | ");
+}
+
+function populateSiteRuleProfileSelect(settings, selectedId) {
+  ui.siteRuleProfile.innerHTML = "";
+  const activeOption = document.createElement("option");
+  activeOption.value = "";
+  activeOption.textContent = t("optionSiteRuleActiveProfile", undefined, "Active profile");
+  ui.siteRuleProfile.appendChild(activeOption);
+
+  getProfiles(settings).forEach((profile) => {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.name;
+    ui.siteRuleProfile.appendChild(option);
+  });
+  ui.siteRuleProfile.value = getProfiles(settings).some((profile) => profile.id === selectedId) ? selectedId : "";
+}
+
+function fillSiteRuleEditor(settings, rule) {
+  editingSiteRuleId = rule ? rule.id : "";
+  ui.sitePattern.value = rule ? rule.pattern : "";
+  populateSiteRuleProfileSelect(settings, rule ? rule.profileId : "");
+  ui.siteRuleFill.value = rule ? rule.fill : "manual";
+  ui.siteRuleInline.value = rule ? rule.inlineButton : "default";
+  ui.siteRuleFrameUploads.value = rule ? rule.frameUploads : "same-origin";
+  ui.siteRuleSkip.value = rule ? rule.skipSelectors.join("\n") : "";
+  ui.saveSiteRuleBtn.textContent = rule
+    ? t("btnUpdateSiteRule", undefined, "Update Rule")
+    : t("btnSaveSiteRule", undefined, "Save Rule");
+}
+
+function renderSiteRules(settings) {
+  const rules = normalizeSiteRules(settings.siteRules);
+  ui.siteRulesList.innerHTML = "";
+
+  if (!rules.length) {
+    const item = document.createElement("li");
+    item.className = "file-item";
+    item.textContent = t("noSiteRules", undefined, "No site rules yet. Every site uses the active profile.");
+    ui.siteRulesList.appendChild(item);
+  }
+
+  rules.forEach((rule) => {
+    const item = document.createElement("li");
+    item.className = "file-item";
+
+    const title = document.createElement("div");
+    title.className = "file-title";
+    title.textContent = rule.pattern;
+
+    const meta = document.createElement("div");
+    meta.className = "file-meta";
+    meta.textContent = describeSiteRule(settings, rule);
+
+    const rowActions = document.createElement("div");
+    rowActions.className = "row-actions";
+
+    const editBtn = document.createElement("button");
+    editBtn.className = "secondary";
+    editBtn.type = "button";
+    editBtn.textContent = t("btnEdit", undefined, "Edit");
+    editBtn.addEventListener("click", () => {
+      fillSiteRuleEditor(settings, rule);
+    });
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "secondary";
+    deleteBtn.type = "button";
+    deleteBtn.textContent = t("btnDelete", undefined, "Delete");
+    deleteBtn.addEventListener("click", () => {
+      deleteSiteRule(rule).catch((error) => {
+        setStatus((error && error.message) || t("errCouldNotSaveSettings", undefined, "Could not save settings."), true);
+      });
+    });
+
+    rowActions.appendChild(editBtn);
+    rowActions.appendChild(deleteBtn);
+    item.appendChild(title);
+    item.appendChild(meta);
+    item.appendChild(rowActions);
+    ui.siteRulesList.appendChild(item);
+  });
+
+  if (!rules.some((rule) => rule.id === editingSiteRuleId)) {
+    fillSiteRuleEditor(settings, null);
+  }
+}
+
+async function refreshSiteRuleNote(settings) {
+  const activeTab = await getActiveTab().catch(() => null);
+  const rule = activeTab ? findSiteRule(settings.siteRules, activeTab.url) : null;
+  ui.siteRuleNote.classList.toggle("hidden", !rule);
+  if (!rule) {
+    ui.siteRuleNote.textContent = "";
+    return;
+  }
+
+  ui.siteRuleNote.textContent = rule.fill === "never"
+    ? t("siteRuleNoteNeverFill", [rule.pattern], `Site rule "${rule.pattern}": this site is never filled.`)
+    : t("siteRuleNoteProfile", [rule.pattern, siteRuleProfileName(settings, rule)], `Site rule "${rule.pattern}" uses profile: ${siteRuleProfileName(settings, rule)}`);
+}
+
+async function saveSiteRule() {
+  const rule = {
+    id: editingSiteRuleId,
+    pattern: ui.sitePattern.value,
+    profileId: ui.siteRuleProfile.value,
+    fill: ui.siteRuleFill.value,
+    inlineButton: ui.siteRuleInline.value,
+    frameUploads: ui.siteRuleFrameUploads.value,
+    skipSelectors: ui.siteRuleSkip.value
+  };
+  if (!ui.sitePattern.value.trim() || /\s/.test(ui.sitePattern.value.trim())) {
+    throw new Error(t("errSitePatternRequired", undefined, "Enter a site pattern such as example.com or *.example.com/apply."));
+  }
+
+  // Ask for host access first, while the click still counts as a user gesture.
+  let accessGranted = true;
+  if (ruleNeedsPageAccess(rule)) {
+    const origin = originPatternForRule(rule.pattern);
+    accessGranted = origin ? await requestHostPermission(origin) : false;
+  }
+
+  const settings = await getSettings();
+  const updatedSettings = { ...settings, siteRules: upsertSiteRule(settings.siteRules, rule) };
+  await storageSet({ [SETTINGS_KEY]: updatedSettings }, "local");
+  editingSiteRuleId = "";
+  renderSiteRules(updatedSettings);
+  await refreshSiteRuleNote(updatedSettings);
+
+  setStatus(
+    accessGranted
+      ? t("statusSiteRuleSaved", undefined, "Site rule saved.")
+      : t("statusSiteRuleSavedNoAccess", undefined, "Site rule saved. Without access to the site it applies only after opening the extension on the page."),
+    false
+  );
+}
+
+async function deleteSiteRule(rule) {
+  if (!window.confirm(t("confirmDeleteSiteRule", [rule.pattern], `Delete the site rule for "${rule.pattern}"?`))) {
+    return;
+  }
+
+  const settings = await getSettings();
+  const updatedSettings = { ...settings, siteRules: removeSiteRule(settings.siteRules, rule.id) };
+  await storageSet({ [SETTINGS_KEY]: updatedSettings }, "local");
+  renderSiteRules(updatedSettings);
+  await refreshSiteRuleNote(updatedSettings);
+  setStatus(t("statusSiteRuleDeleted", [rule.pattern], `Site rule for "${rule.pattern}" deleted.`), false);
+}
+
+async function useCurrentSiteForRule() {
+  const activeTab = await getActiveTab();
+  const pattern = activeTab ? patternForUrl(activeTab.url) : "";
+  if (!pattern) {
+    throw new Error(t("errNoSiteForRule", undefined, "The current tab is not a regular web page."));
+  }
+
+  const settings = await getSettings();
+  const existing = normalizeSiteRules(settings.siteRules).find((rule) => rule.pattern === pattern);
+  if (existing) {
+    fillSiteRuleEditor(settings, existing);
+    return;
+  }
+  ui.sitePattern.value = pattern;
+}
+
+function populateExtraStoreSelect(stores, primaryId) {
+  ui.extraStores.innerHTML = "";
+  const known = new Set(stores.map((store) => store.id));
+  const options = stores
+    .filter((store) => store.id !== primaryId)
+    .concat(selectedExtraStoreIds
+      .filter((id) => id !== primaryId && !known.has(id))
+      .map((id) => ({ id, name: t("previouslySelectedVectorStore", undefined, "Previously selected vector store") })));
+
+  options.forEach((store) => {
+    const option = document.createElement("option");
+    option.value = store.id;
+    option.textContent = store.name || t("unnamedFileDatabase", undefined, "Unnamed file database");
+    option.selected = selectedExtraStoreIds.includes(store.id);
+    ui.extraStores.appendChild(option);
+  });
+}
+
+function readExtraStoreIds() {
+  return Array.from(ui.extraStores.selectedOptions).map((option) => option.value).filter(Boolean);
+}
+
 function populateVectorStoreSelect(stores, selectedId) {
   ui.vectorStoreId.innerHTML = "";
 
@@ -263,13 +847,14 @@ function populateVectorStoreSelect(stores, selectedId) {
   }
 
   ui.vectorStoreId.value = selectedId || "";
+  populateExtraStoreSelect(stores, selectedId || "");
   updateStoreActionsState();
 }
 
 async function refreshVectorStores(selectedId) {
   const settings = await getSettings();
-  const preferredId = selectedId || settings.vectorStoreId || "";
-  const typedApiKey = ui.apiKey.value.trim();
+  const preferredId = selectedId || resolveActiveProfile(settings).vectorStoreId;
+  const typedApiKey = ui.profileApiKey.value.trim() || ui.apiKey.value.trim();
   const hasAnyApiKey = await hasConfiguredApiKeyFromSources(settings) || Boolean(typedApiKey);
 
   if (!hasAnyApiKey) {
@@ -283,7 +868,8 @@ async function refreshVectorStores(selectedId) {
     ui.refreshStoresBtn.disabled = true;
     const response = await runtimeSendMessage({
       type: "VECTOR_STORES_LIST",
-      apiKey: typedApiKey || undefined
+      apiKey: typedApiKey || undefined,
+      provider: readProviderFromForm()
     });
     if (!response || !response.ok) {
       throw new Error((response && response.error) || t("errCouldNotLoadFileDatabases", undefined, "Could not load file databases."));
@@ -331,19 +917,18 @@ async function createVectorStore() {
 }
 
 async function validateApiKeyBeforeSave(existingSettings) {
-  const typedApiKey = ui.apiKey.value.trim();
-  if (!typedApiKey) {
-    return;
-  }
-
-  const payload = {
-    type: "VALIDATE_API_KEY",
-    apiKey: typedApiKey
-  };
-
-  const response = await runtimeSendMessage(payload);
-  if (!response || !response.ok) {
-    throw new Error((response && response.error) || t("errInvalidApiKey", undefined, "Invalid OpenAI API key."));
+  const typedApiKeys = [ui.apiKey.value.trim(), ui.profileApiKey.value.trim()].filter(Boolean);
+  for (const typedApiKey of typedApiKeys) {
+    const payload = {
+      type: "VALIDATE_API_KEY",
+      apiKey: typedApiKey,
+      provider: readProviderFromForm()
+    };
+
+    const response = await runtimeSendMessage(payload);
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || t("errInvalidApiKey", undefined, "Invalid OpenAI API key."));
+    }
   }
 }
 
@@ -352,11 +937,10 @@ async function persistSelectedVectorStore(selectedStoreId) {
   const selectedId = (selectedStoreId || "").trim();
   const selectedStore = cachedVectorStores.find((store) => store.id === selectedId);
 
-  const updatedSettings = {
-    ...settings,
+  const updatedSettings = updateActiveProfile(settings, {
     vectorStoreId: selectedId,
     vectorStoreName: selectedStore ? (selectedStore.name || "") : ""
-  };
+  });
 
   await storageSet({ [SETTINGS_KEY]: updatedSettings });
   ui.configSummary.textContent = summarizeConfig(updatedSettings);
@@ -369,26 +953,15 @@ async function syncSelectedStoreToSettings() {
   }
 
   const settings = await getSettings();
-  if ((settings.vectorStoreId || "") === selectedId) {
+  if (resolveActiveProfile(settings).vectorStoreId === selectedId) {
     return;
   }
 
   await persistSelectedVectorStore(selectedId);
 }
 
-async function clearStoredVectorStoreIfMatches(storeId) {
-  const settings = await getSettings();
-  if ((settings.vectorStoreId || "") !== (storeId || "")) {
-    return;
-  }
-
-  const updatedSettings = {
-    ...settings,
-    vectorStoreId: "",
-    vectorStoreName: ""
-  };
-  await storageSet({ [SETTINGS_KEY]: updatedSettings });
-  ui.configSummary.textContent = summarizeConfig(updatedSettings);
+async function refreshConfigSummary() {
+  ui.configSummary.textContent = summarizeConfig(await getSettings());
 }
 
 async function deleteSelectedVectorStore() {
@@ -431,7 +1004,7 @@ async function deleteSelectedVectorStore() {
     throw new Error((response && response.error) || t("errCouldNotDeleteFileDatabase", undefined, "Could not delete file database."));
   }
 
-  await clearStoredVectorStoreIfMatches(selectedStoreId);
+  await refreshConfigSummary();
   await refreshVectorStores("");
   ui.vectorStoreId.value = "";
   setStatus(
@@ -440,11 +1013,116 @@ async function deleteSelectedVectorStore() {
   );
 }
 
+async function clearAnswerCache() {
+  const response = await runtimeSendMessage({ type: "CLEAR_ANSWER_CACHE" });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotClearCache", undefined, "Could not clear the answer cache."));
+  }
+
+  const cleared = Number(response.cleared || 0);
+  setStatus(t("statusAnswerCacheCleared", [String(cleared)], `Cleared ${cleared} cached answer(s).`), false);
+}
+
+function renderCorrections(corrections) {
+  ui.correctionsList.innerHTML = "";
+  ui.clearCorrectionsBtn.disabled = !corrections.length;
+
+  if (!corrections.length) {
+    const item = document.createElement("li");
+    item.className = "file-item";
+    item.textContent = t("noCorrections", undefined, "No corrections learned yet.");
+    ui.correctionsList.appendChild(item);
+    return;
+  }
+
+  corrections.forEach((correction) => {
+    const item = document.createElement("li");
+    item.className = "file-item";
+
+    const title = document.createElement("div");
+    title.className = "file-title";
+    title.textContent = correction.label || t("unnamedField", undefined, "Unnamed field");
+
+    const meta = document.createElement("div");
+    meta.className = "file-meta";
+    meta.textContent = t(
+      "correctionMeta",
+      [correction.host, correction.original || "-", correction.value],
+      `${correction.host}: "${correction.original || "-"}" -> "${correction.value}"`
+    );
+
+    const rowActions = document.createElement("div");
+    rowActions.className = "row-actions";
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "secondary";
+    deleteBtn.type = "button";
+    deleteBtn.textContent = t("btnDelete", undefined, "Delete");
+    deleteBtn.addEventListener("click", () => {
+      deleteCorrection(correction.key).catch((error) => {
+        setStatus((error && error.message) || t("errCouldNotDeleteCorrection", undefined, "Could not delete the correction."), true);
+      });
+    });
+
+    rowActions.appendChild(deleteBtn);
+    item.appendChild(title);
+    item.appendChild(meta);
+    item.appendChild(rowActions);
+    ui.correctionsList.appendChild(item);
+  });
+}
+
+async function refreshCorrections() {
+  const response = await runtimeSendMessage({ type: "CORRECTIONS_LIST" });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotLoadCorrections", undefined, "Could not load learned corrections."));
+  }
+  renderCorrections(Array.isArray(response.corrections) ? response.corrections : []);
+}
+
+async function deleteCorrection(key) {
+  const response = await runtimeSendMessage({ type: "CORRECTIONS_DELETE", key });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotDeleteCorrection", undefined, "Could not delete the correction."));
+  }
+  await refreshCorrections();
+  setStatus(t("statusCorrectionDeleted", undefined, "Correction deleted."), false);
+}
+
+async function clearCorrections() {
+  if (!window.confirm(t("confirmDeleteAllCorrections", undefined, "Delete every learned correction?"))) {
+    return;
+  }
+
+  const response = await runtimeSendMessage({ type: "CORRECTIONS_CLEAR" });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotDeleteCorrection", undefined, "Could not delete the correction."));
+  }
+  await refreshCorrections();
+  const cleared = Number(response.cleared || 0);
+  setStatus(t("statusCorrectionsCleared", [String(cleared)], `Deleted ${cleared} learned correction(s).`), false);
+}
+
 async function saveSettings() {
   const existingSettings = await getSettings();
   const typedApiKey = ui.apiKey.value.trim();
+  const typedProfileApiKey = ui.profileApiKey.value.trim();
   const language = SUPPORTED_LANGUAGE_OVERRIDES.has(ui.language.value) ? ui.language.value : "default";
   const apiKeyStorageMode = ui.apiKeyStorageMode.value === "session" ? "session" : "persistent";
+  const fillMode = ui.fillMode.value === "review" ? "review" : "immediate";
+  const provider = readProviderFromForm();
+  const minConfidence = ui.minConfidence.value === ""
+    ? DEFAULT_MIN_CONFIDENCE
+    : normalizeMinConfidence(Number(ui.minConfidence.value) / 100);
+  const sendPageContext = ui.pageContextMode.value === "send";
+  const wizardMode = ["off", "offer", "auto"].includes(ui.wizardMode.value) ? ui.wizardMode.value : "offer";
+  const fillStrategy = ["auto", "typing", "native"].includes(ui.fillStrategy.value) ? ui.fillStrategy.value : "auto";
+  const composeTone = COMPOSE_TONES.includes(ui.composeTone.value) ? ui.composeTone.value : "professional";
+  const composeLength = COMPOSE_LENGTHS.includes(ui.composeLength.value) ? ui.composeLength.value : "medium";
+  const historyRetention = normalizeRetention(ui.historyRetention.value);
+  const historyRedactValues = ui.historyValues.value === "redact";
+  const dailyBudget = readBudget(ui.dailyBudget.value);
+  const monthlyBudget = readBudget(ui.monthlyBudget.value);
 
   let apiKeyEncrypted = existingSettings.apiKeyEncrypted || null;
   if (typedApiKey && apiKeyStorageMode === "persistent") {
@@ -456,18 +1134,50 @@ async function saveSettings() {
   }
 
   if (typedApiKey && apiKeyStorageMode === "session") {
-    await storageSet({ [SESSION_SETTINGS_KEY]: { apiKey: typedApiKey } }, "session");
+    await storageSet({ [SESSION_SETTINGS_KEY]: { ...(await getSessionSettings()), apiKey: typedApiKey } }, "session");
   } else if (apiKeyStorageMode === "persistent") {
     await storageRemove([SESSION_SETTINGS_KEY], "session");
   }
 
-  const settings = {
-    apiKeyEncrypted,
+  const activeProfile = resolveActiveProfile(existingSettings);
+  const profilePatch = {};
+  if (typedProfileApiKey && apiKeyStorageMode === "persistent") {
+    profilePatch.apiKeyEncrypted = await encryptApiKey(typedProfileApiKey);
+  } else if (typedProfileApiKey) {
+    await setSessionProfileApiKey(activeProfile.id, typedProfileApiKey);
+  }
+
+  const baseSettings = apiKeyStorageMode === "session" ? clearProfileApiKeys(existingSettings) : existingSettings;
+  const profileSettings = updateActiveProfile(baseSettings, {
+    ...profilePatch,
+    name: ui.profileName.value,
     vectorStoreId: ui.vectorStoreId.value.trim(),
     vectorStoreName: (cachedVectorStores.find((store) => store.id === ui.vectorStoreId.value) || {}).name || "",
-    model: ui.model.value || "gpt-4.1-mini",
+    extraVectorStoreIds: readExtraStoreIds(),
+    model: ui.model.value,
+    instructions: ui.profileInstructions.value,
+    sensitivePolicy: ui.sensitivePolicy.value,
+    details: readDetailInputs()
+  });
+  const settings = {
+    apiKeyEncrypted,
+    profiles: profileSettings.profiles,
+    activeProfileId: profileSettings.activeProfileId,
+    siteRules: normalizeSiteRules(existingSettings.siteRules),
     language,
-    apiKeyStorageMode
+    apiKeyStorageMode,
+    fillMode,
+    provider,
+    minConfidence,
+    sendPageContext,
+    wizardMode,
+    fillStrategy,
+    composeTone,
+    composeLength,
+    historyRetention,
+    historyRedactValues,
+    dailyBudget,
+    monthlyBudget
   };
 
   await storageSet({ [SETTINGS_KEY]: settings }, "local");
@@ -478,9 +1188,29 @@ async function saveSettings() {
     : t("placeholderApiKey", undefined, "sk-...");
   await i18n.loadLanguageMessages(language);
   applyI18nToDom();
-  ui.model.value = settings.model || "gpt-4.1-mini";
+  const profile = resolveActiveProfile(settings);
+  populateProfileSelect(settings);
+  ui.profileName.value = profile.name;
+  await showProfileApiKeyPlaceholder(settings);
+  ui.model.value = profile.model;
+  ui.profileInstructions.value = profile.instructions;
+  ui.sensitivePolicy.value = profile.sensitivePolicy;
+  fillDetailInputs(profile.details);
+  selectedExtraStoreIds = profile.extraVectorStoreIds.slice();
+  renderSiteRules(settings);
   ui.language.value = language;
   ui.apiKeyStorageMode.value = apiKeyStorageMode;
+  ui.fillMode.value = fillMode;
+  ui.minConfidence.value = String(Math.round(minConfidence * 100));
+  ui.pageContextMode.value = sendPageContext ? "send" : "off";
+  ui.wizardMode.value = wizardMode;
+  ui.fillStrategy.value = fillStrategy;
+  ui.composeTone.value = composeTone;
+  ui.composeLength.value = composeLength;
+  ui.historyRetention.value = String(historyRetention);
+  ui.historyValues.value = historyRedactValues ? "redact" : "keep";
+  ui.dailyBudget.value = dailyBudget ? String(dailyBudget) : "";
+  ui.monthlyBudget.value = monthlyBudget ? String(monthlyBudget) : "";
   updateStoreActionsState();
   ui.configSummary.textContent = summarizeConfig(settings);
 }
@@ -493,21 +1223,72 @@ async function ensureConfigured() {
   await syncSelectedStoreToSettings();
   const settings = await getSettings();
 
-  if (!(await hasConfiguredApiKeyFromSources(settings)) || !settings.vectorStoreId || !settings.vectorStoreId.trim()) {
+  if (!(await hasConfiguredApiKeyFromSources(settings)) || !resolveActiveProfile(settings).vectorStoreId) {
     switchView("settings");
     throw new Error(t("errSetApiKeyAndDatabaseFirst", undefined, "Set API key and File Database in Configuration first."));
   }
 }
 
-async function getActiveTab() {
-  const tabs = await queryTabs({ active: true, currentWindow: true });
-  return tabs[0];
+async function reloadProfileView(settings) {
+  await storageSet({ [SETTINGS_KEY]: settings }, "local");
+  await loadSettings();
+  await refreshVectorStores(resolveActiveProfile(settings).vectorStoreId);
+}
+
+async function switchProfile(profileId) {
+  const settings = setActiveProfile(await getSettings(), profileId);
+  await reloadProfileView(settings);
+  setStatus(
+    t("statusProfileSwitched", [resolveActiveProfile(settings).name], `Using profile "${resolveActiveProfile(settings).name}".`),
+    false
+  );
+}
+
+async function createProfile() {
+  const name = ui.newProfileName.value.trim();
+  if (!name) {
+    throw new Error(t("errNameRequired", undefined, "Name is required."));
+  }
+
+  const { settings, profile } = addProfile(await getSettings(), name);
+  ui.newProfileName.value = "";
+  await reloadProfileView(settings);
+  setStatus(t("statusProfileCreated", [profile.name], `Profile "${profile.name}" created. Pick its file database and model, then Save.`), false);
+}
+
+async function deleteActiveProfile() {
+  const current = await getSettings();
+  const profile = resolveActiveProfile(current);
+  if (getProfiles(current).length <= 1) {
+    return;
+  }
+  if (!window.confirm(t("confirmDeleteProfile", [profile.name], `Delete profile "${profile.name}"? Its file databases are kept.`))) {
+    return;
+  }
+
+  await reloadProfileView(removeProfile(current, profile.id));
+  await setSessionProfileApiKey(profile.id, "");
+  setStatus(t("statusProfileDeleted", [profile.name], `Profile "${profile.name}" deleted.`), false);
+}
+
+async function useMainApiKeyForProfile() {
+  const current = await getSettings();
+  const profile = resolveActiveProfile(current);
+  await setSessionProfileApiKey(profile.id, "");
+  await reloadProfileView(updateActiveProfile(current, { apiKeyEncrypted: null }));
+  setStatus(t("statusProfileUsesMainApiKey", [profile.name], `Profile "${profile.name}" now uses the main API key.`), false);
+}
+
+async function getActiveTab() {
+  const tabs = await queryTabs({ active: true, currentWindow: true });
+  return tabs[0];
 }
 
 async function startFill() {
   try {
     setStatus(t("statusPreparingAutofill", undefined, "Preparing autofill..."), false);
     clearLog();
+    renderReview(null);
     await ensureConfigured();
 
     const activeTab = await getActiveTab();
@@ -530,6 +1311,348 @@ async function startFill() {
   }
 }
 
+function reviewStatusText(entry) {
+  if (entry.decision === "accepted") {
+    return t("reviewStatusAccepted", undefined, "Accepted");
+  }
+  if (entry.decision === "rejected") {
+    return t("reviewStatusRejected", undefined, "Rejected");
+  }
+  if (entry.status === "error") {
+    return t("reviewStatusError", undefined, "Error");
+  }
+  if (entry.status === "notFound") {
+    return t("reviewStatusNotFound", undefined, "Not found");
+  }
+
+  const confidence = formatConfidence(entry.confidence);
+  if (entry.status === "needsReview") {
+    return t("reviewStatusNeedsReviewConfidence", [confidence], `Needs review (${confidence})`);
+  }
+  return t("reviewStatusProposedConfidence", [confidence], `Proposed (${confidence})`);
+}
+
+// The value shown and applied for a row: the user's edit when there is one, else the proposal.
+function reviewValue(entry) {
+  return typeof entry.draft === "string" ? entry.draft : entry.value || "";
+}
+
+function saveReviewUpdates(updates) {
+  if (!pendingReview || !updates.length) {
+    return;
+  }
+  runtimeSendMessage({ type: "UPDATE_AUTOFILL_REVIEW", tabId: pendingReview.tabId, updates })
+    .then((response) => {
+      if (!response || !response.ok) {
+        throw new Error((response && response.error) || t("errCouldNotSaveReview", undefined, "Could not save review changes."));
+      }
+    })
+    .catch((error) => {
+      setStatus((error && error.message) || t("errCouldNotSaveReview", undefined, "Could not save review changes."), true);
+    });
+}
+
+function updateReviewSummary() {
+  const entries = pendingReview ? pendingReview.entries : [];
+  const accepted = entries.filter((entry) => entry.decision === "accepted").length;
+  const attachments = pendingReview && Array.isArray(pendingReview.attachments) ? pendingReview.attachments.length : 0;
+  ui.reviewSummary.textContent = t(
+    "reviewSummaryAccepted",
+    [String(accepted), String(entries.length)],
+    `${accepted} of ${entries.length} field(s) accepted.`
+  ) + (attachments
+    ? ` ${t("reviewSummaryAttachments", [String(attachments)], `${attachments} document(s) will be offered for file uploads.`)}`
+    : "");
+  ui.applyReviewBtn.disabled = accepted === 0;
+}
+
+function renderReviewRow(entry) {
+  const item = document.createElement("li");
+  item.className = "review-row";
+
+  const head = document.createElement("div");
+  head.className = "review-head";
+
+  const label = document.createElement("span");
+  label.className = "review-label";
+  label.textContent = entry.label;
+
+  const status = document.createElement("span");
+  status.className = "review-status";
+
+  head.appendChild(label);
+  head.appendChild(status);
+
+  const valueInput = document.createElement("input");
+  valueInput.type = "text";
+  valueInput.value = reviewValue(entry);
+  valueInput.placeholder = entry.error || t("reviewPlaceholderNoValue", undefined, "No value proposed");
+  let saveTimer = null;
+  valueInput.addEventListener("input", () => {
+    entry.draft = valueInput.value;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => saveReviewUpdates([{ uid: entry.uid, draft: entry.draft }]), REVIEW_SAVE_DELAY_MS);
+  });
+
+  const rowActions = document.createElement("div");
+  rowActions.className = "row-actions";
+
+  const acceptBtn = document.createElement("button");
+  acceptBtn.className = "secondary";
+  acceptBtn.type = "button";
+  acceptBtn.textContent = t("btnAccept", undefined, "Accept");
+
+  const rejectBtn = document.createElement("button");
+  rejectBtn.className = "secondary";
+  rejectBtn.type = "button";
+  rejectBtn.textContent = t("btnReject", undefined, "Reject");
+
+  const refresh = () => {
+    item.classList.toggle("accepted", entry.decision === "accepted");
+    item.classList.toggle("rejected", entry.decision === "rejected");
+    status.textContent = reviewStatusText(entry);
+    updateReviewSummary();
+  };
+
+  acceptBtn.addEventListener("click", () => {
+    if (!reviewValue(entry).trim()) {
+      valueInput.focus();
+      return;
+    }
+    entry.decision = "accepted";
+    saveReviewUpdates([{ uid: entry.uid, decision: entry.decision, draft: reviewValue(entry) }]);
+    refresh();
+  });
+
+  rejectBtn.addEventListener("click", () => {
+    entry.decision = "rejected";
+    saveReviewUpdates([{ uid: entry.uid, decision: entry.decision }]);
+    refresh();
+  });
+
+  rowActions.appendChild(acceptBtn);
+  rowActions.appendChild(rejectBtn);
+
+  item.appendChild(head);
+  if (entry.source && (entry.source.filename || entry.source.fileId)) {
+    item.appendChild(createSourceElement(entry.source));
+  }
+  item.appendChild(valueInput);
+  item.appendChild(rowActions);
+  refresh();
+  return item;
+}
+
+function renderReview(review) {
+  pendingReview = review && Array.isArray(review.entries) ? review : null;
+  ui.reviewList.innerHTML = "";
+  ui.reviewCard.classList.toggle("hidden", !pendingReview);
+
+  if (!pendingReview) {
+    return;
+  }
+
+  pendingReview.entries.forEach((entry) => {
+    entry.decision = entry.decision || "";
+    ui.reviewList.appendChild(renderReviewRow(entry));
+  });
+  updateReviewSummary();
+}
+
+async function loadPendingReview() {
+  const activeTab = await getActiveTab();
+  const tabId = activeTab && activeTab.id;
+  if (!Number.isInteger(tabId)) {
+    renderReview(null);
+    return;
+  }
+
+  const response = await runtimeSendMessage({ type: "GET_AUTOFILL_REVIEW", tabId });
+  renderReview(response && response.ok ? response.review : null);
+}
+
+function acceptAllReviewEntries() {
+  if (!pendingReview) {
+    return;
+  }
+
+  const updates = [];
+  pendingReview.entries.forEach((entry) => {
+    if (entry.status !== "needsReview" && reviewValue(entry).trim() && entry.decision !== "accepted") {
+      entry.decision = "accepted";
+      updates.push({ uid: entry.uid, decision: entry.decision });
+    }
+  });
+  saveReviewUpdates(updates);
+  renderReview(pendingReview);
+}
+
+async function applyReview() {
+  if (!pendingReview) {
+    return;
+  }
+
+  try {
+    const accepted = pendingReview.entries
+      .filter((entry) => entry.decision === "accepted" && reviewValue(entry).trim())
+      .map((entry) => ({ uid: entry.uid, value: reviewValue(entry) }));
+
+    clearLog();
+    setStatus(t("statusApplyingAccepted", [String(accepted.length)], `Filling ${accepted.length} accepted field(s)...`), false);
+    const tabId = pendingReview.tabId;
+    renderReview(null);
+
+    const response = await runtimeSendMessage({
+      type: "APPLY_AUTOFILL_REVIEW",
+      tabId,
+      entries: accepted
+    });
+
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || t("errAutofillFailed", undefined, "Autofill failed."));
+    }
+  } catch (error) {
+    setStatus((error && error.message) || t("errUnexpected", undefined, "Unexpected error."), true);
+  }
+}
+
+async function discardReview() {
+  if (!pendingReview) {
+    return;
+  }
+
+  const tabId = pendingReview.tabId;
+  renderReview(null);
+  await runtimeSendMessage({ type: "DISCARD_AUTOFILL_REVIEW", tabId });
+  setStatus(t("statusReviewDiscarded", undefined, "Review discarded. Nothing was filled."), false);
+}
+
+function renderWizardSession(session, summary) {
+  ui.wizardCard.classList.toggle("hidden", !session);
+  if (!session || !summary) {
+    return;
+  }
+
+  ui.wizardSummary.textContent = t(
+    "wizardSummary",
+    [session.host, String(summary.steps), String(summary.filled), String(summary.skipped), String(summary.needsReview)],
+    `${session.host}: ${summary.steps} step(s), filled ${summary.filled}, skipped ${summary.skipped}, ${summary.needsReview} need review.`
+  );
+  ui.wizardPending.classList.toggle("hidden", !session.pendingUrl);
+  ui.wizardFillStepBtn.classList.toggle("hidden", !session.pendingUrl);
+  ui.wizardAutoBtn.classList.toggle("hidden", ui.wizardMode.value !== "auto" || Boolean(session.autoContinue));
+}
+
+async function loadWizardSession() {
+  const activeTab = await getActiveTab();
+  const tabId = activeTab && activeTab.id;
+  if (!Number.isInteger(tabId)) {
+    renderWizardSession(null, null);
+    return;
+  }
+
+  const response = await runtimeSendMessage({ type: "GET_WIZARD_SESSION", tabId });
+  renderWizardSession(response && response.ok ? response.session : null, response && response.summary);
+}
+
+async function startWizardAutoContinue() {
+  const activeTab = await getActiveTab();
+  if (!activeTab || !activeTab.id) {
+    return;
+  }
+
+  const response = await runtimeSendMessage({ type: "START_WIZARD_AUTO_CONTINUE", tabId: activeTab.id });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotLoadWizardSession", undefined, "Could not load the multi-page session."));
+  }
+  renderWizardSession(response.session, response.summary);
+  setStatus(t("statusWizardAutoContinue", undefined, "Next steps of this form will be filled automatically."), false);
+}
+
+async function endWizardSession() {
+  const activeTab = await getActiveTab();
+  if (!activeTab || !activeTab.id) {
+    return;
+  }
+
+  await runtimeSendMessage({ type: "END_WIZARD_SESSION", tabId: activeTab.id });
+  renderWizardSession(null, null);
+  setStatus(t("statusWizardEnded", undefined, "Multi-page session ended."), false);
+}
+
+function setAutofillRunning(running) {
+  autofillRunning = Boolean(running);
+  ui.stopFillBtn.classList.toggle("hidden", !autofillRunning);
+  ui.stopFillBtn.disabled = false;
+  updateStoreActionsState();
+}
+
+async function refreshAutofillRunState() {
+  const activeTab = await getActiveTab();
+  const tabId = activeTab && activeTab.id;
+  if (!Number.isInteger(tabId)) {
+    setAutofillRunning(false);
+    return;
+  }
+
+  const response = await runtimeSendMessage({ type: "GET_AUTOFILL_RUN_STATE", tabId });
+  setAutofillRunning(Boolean(response && response.ok && response.running));
+}
+
+async function stopAutofill() {
+  try {
+    const activeTab = await getActiveTab();
+    if (!activeTab || !activeTab.id) {
+      throw new Error(t("errUnableFindActiveTab", undefined, "Unable to find the active browser tab."));
+    }
+
+    ui.stopFillBtn.disabled = true;
+    setStatus(t("statusStoppingAutofill", undefined, "Stopping autofill..."), false);
+    const response = await runtimeSendMessage({
+      type: "STOP_AUTOFILL",
+      tabId: activeTab.id
+    });
+
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || t("errCouldNotStopAutofill", undefined, "Could not stop autofill."));
+    }
+    if (!response.stopped) {
+      setAutofillRunning(false);
+    }
+  } catch (error) {
+    ui.stopFillBtn.disabled = false;
+    setStatus((error && error.message) || t("errUnexpected", undefined, "Unexpected error."), true);
+  }
+}
+
+async function undoLastFill() {
+  try {
+    const activeTab = await getActiveTab();
+    if (!activeTab || !activeTab.id) {
+      throw new Error(t("errUnableFindActiveTab", undefined, "Unable to find the active browser tab."));
+    }
+
+    const response = await runtimeSendMessage({
+      type: "UNDO_LAST_FILL",
+      tabId: activeTab.id
+    });
+
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || t("errCouldNotUndoFill", undefined, "Could not undo the last fill."));
+    }
+
+    const restored = Number(response.restored || 0);
+    setStatus(
+      restored
+        ? t("statusUndoRestored", [String(restored)], `Restored ${restored} field(s) to their previous values.`)
+        : t("statusNothingToUndo", undefined, "Nothing to undo on this page."),
+      false
+    );
+  } catch (error) {
+    setStatus((error && error.message) || t("errUnexpected", undefined, "Unexpected error."), true);
+  }
+}
+
 async function fileToPayload(file) {
   const buffer = await file.arrayBuffer();
   return {
@@ -605,6 +1728,260 @@ function renderFiles(files) {
   });
 }
 
+function formatFileSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function renderLibrary(documents) {
+  ui.libraryList.innerHTML = "";
+
+  if (!documents.length) {
+    const item = document.createElement("li");
+    item.className = "file-item";
+    item.textContent = t("noLibraryDocuments", undefined, "No documents in the library.");
+    ui.libraryList.appendChild(item);
+    return;
+  }
+
+  documents.forEach((doc) => {
+    const item = document.createElement("li");
+    item.className = "file-item";
+
+    const title = document.createElement("div");
+    title.className = "file-title";
+    title.textContent = doc.name;
+
+    const meta = document.createElement("div");
+    meta.className = "file-meta";
+    const added = formatDate(Math.floor(doc.addedAt / 1000));
+    meta.textContent = t("libraryDocumentMeta", [formatFileSize(doc.size), added], `${formatFileSize(doc.size)} | added: ${added}`);
+
+    const rowActions = document.createElement("div");
+    rowActions.className = "row-actions";
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "secondary";
+    deleteBtn.type = "button";
+    deleteBtn.textContent = t("btnDelete", undefined, "Delete");
+    deleteBtn.addEventListener("click", () => {
+      handleDeleteLibraryDocument(doc.id);
+    });
+
+    rowActions.appendChild(deleteBtn);
+    item.appendChild(title);
+    item.appendChild(meta);
+    item.appendChild(rowActions);
+    ui.libraryList.appendChild(item);
+  });
+}
+
+async function refreshLibrary() {
+  try {
+    renderLibrary(await listDocuments());
+  } catch (error) {
+    renderLibrary([]);
+    setLibraryStatus((error && error.message) || t("errLibraryUnavailable", undefined, "The document library could not be opened."), true);
+  }
+}
+
+async function handleAddLibraryDocuments() {
+  try {
+    const files = Array.from(ui.libraryFileInput.files || []);
+    if (!files.length) {
+      throw new Error(t("errChooseFileFirst", undefined, "Choose a file first."));
+    }
+    const tooLarge = files.find((file) => file.size > MAX_DOCUMENT_BYTES);
+    if (tooLarge) {
+      throw new Error(t("errLibraryFileTooLarge", [tooLarge.name], `${tooLarge.name} is larger than 10 MB.`));
+    }
+
+    for (const file of files) {
+      await addDocument(file);
+    }
+    ui.libraryFileInput.value = "";
+    setLibraryStatus(t("statusLibraryDocumentsAdded", [String(files.length)], `Added ${files.length} document(s).`), false);
+    await refreshLibrary();
+  } catch (error) {
+    setLibraryStatus((error && error.message) || t("errLibraryUnavailable", undefined, "The document library could not be opened."), true);
+  }
+}
+
+async function handleDeleteLibraryDocument(id) {
+  try {
+    await deleteDocument(id);
+    setLibraryStatus(t("statusLibraryDocumentDeleted", undefined, "Document removed from the library."), false);
+    await refreshLibrary();
+  } catch (error) {
+    setLibraryStatus((error && error.message) || t("errLibraryUnavailable", undefined, "The document library could not be opened."), true);
+  }
+}
+
+function historyStatusLabel(status) {
+  const labels = {
+    filled: t("historyStatusFilled", undefined, "filled"),
+    attached: t("historyStatusAttached", undefined, "attached"),
+    notFound: t("historyStatusNotFound", undefined, "not found"),
+    needsReview: t("historyStatusNeedsReview", undefined, "needs review"),
+    rejected: t("historyStatusRejected", undefined, "rejected"),
+    declined: t("historyStatusDeclined", undefined, "declined"),
+    failed: t("historyStatusFailed", undefined, "could not fill"),
+    error: t("historyStatusError", undefined, "error")
+  };
+  return labels[status] || status;
+}
+
+function createHistoryEntries(run) {
+  const list = document.createElement("ul");
+  list.className = "history-entries hidden";
+  run.entries.forEach((entry) => {
+    const item = document.createElement("li");
+    const details = [historyStatusLabel(entry.status)];
+    if (entry.source) {
+      details.push(formatSourceLabel({ filename: entry.source }));
+    }
+    if (entry.error) {
+      details.push(entry.error);
+    }
+    item.textContent = `${entry.label || t("unnamedField", undefined, "Unnamed field")}: ${entry.value || "-"} (${details.join(", ")})`;
+    list.appendChild(item);
+  });
+  return list;
+}
+
+function renderHistory(runs) {
+  ui.historyList.innerHTML = "";
+  ui.clearHistoryBtn.disabled = !runs.length;
+  ui.exportHistoryJsonBtn.disabled = !runs.length;
+  ui.exportHistoryCsvBtn.disabled = !runs.length;
+
+  if (!runs.length) {
+    const item = document.createElement("li");
+    item.className = "file-item";
+    item.textContent = t("noHistoryRuns", undefined, "No runs recorded yet.");
+    ui.historyList.appendChild(item);
+    return;
+  }
+
+  runs.forEach((run) => {
+    const item = document.createElement("li");
+    item.className = "file-item";
+
+    const title = document.createElement("div");
+    title.className = "file-title";
+    title.textContent = run.site || run.url || run.title || "-";
+
+    const counts = summarizeRun(run);
+    const done = (counts.filled || 0) + (counts.attached || 0);
+    const skipped = run.entries.length - done;
+    const started = formatDate(Math.floor(run.startedAt / 1000));
+    const meta = document.createElement("div");
+    meta.className = "file-meta";
+    meta.textContent = t(
+      "historyRunMeta",
+      [started, run.profile || "-", run.model || "-", String(done), String(skipped)],
+      `${started} | ${run.profile || "-"} | ${run.model || "-"} | filled ${done}, skipped ${skipped}`
+    );
+    if (run.mode === "inline") {
+      meta.textContent += ` | ${t("historyRunInline", undefined, "inline")}`;
+    }
+    if (run.status === "cancelled") {
+      meta.textContent += ` | ${t("historyRunCancelled", undefined, "cancelled")}`;
+    }
+
+    const entries = createHistoryEntries(run);
+
+    const rowActions = document.createElement("div");
+    rowActions.className = "row-actions";
+
+    const detailsBtn = document.createElement("button");
+    detailsBtn.className = "secondary";
+    detailsBtn.type = "button";
+    detailsBtn.textContent = t("btnShowFields", undefined, "Fields");
+    detailsBtn.addEventListener("click", () => {
+      entries.classList.toggle("hidden");
+    });
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "secondary";
+    deleteBtn.type = "button";
+    deleteBtn.textContent = t("btnDelete", undefined, "Delete");
+    deleteBtn.addEventListener("click", () => {
+      deleteHistoryRun(run.id).catch((error) => {
+        setHistoryStatus((error && error.message) || t("errCouldNotDeleteHistoryRun", undefined, "Could not delete the history entry."), true);
+      });
+    });
+
+    rowActions.appendChild(detailsBtn);
+    rowActions.appendChild(deleteBtn);
+    item.appendChild(title);
+    item.appendChild(meta);
+    item.appendChild(entries);
+    item.appendChild(rowActions);
+    ui.historyList.appendChild(item);
+  });
+}
+
+async function refreshHistory() {
+  const response = await runtimeSendMessage({ type: "HISTORY_LIST" });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotLoadHistory", undefined, "Could not load fill history."));
+  }
+  renderHistory(Array.isArray(response.runs) ? response.runs : []);
+  const writeError = response.writeError;
+  if (writeError) {
+    const at = formatDate(Math.floor(Number(writeError.at || 0) / 1000));
+    setHistoryStatus(
+      t(
+        "errHistoryWriteFailed",
+        [at, writeError.site || "-", writeError.message],
+        `The run on ${writeError.site || "-"} at ${at} could not be saved to history: ${writeError.message}`
+      ),
+      true
+    );
+  }
+}
+
+async function deleteHistoryRun(id) {
+  const response = await runtimeSendMessage({ type: "HISTORY_DELETE", id });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotDeleteHistoryRun", undefined, "Could not delete the history entry."));
+  }
+  await refreshHistory();
+  setHistoryStatus(t("statusHistoryRunDeleted", undefined, "Run deleted from history."), false);
+}
+
+async function clearHistory() {
+  if (!window.confirm(t("confirmDeleteAllHistory", undefined, "Delete the whole fill history?"))) {
+    return;
+  }
+
+  const response = await runtimeSendMessage({ type: "HISTORY_CLEAR" });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotDeleteHistoryRun", undefined, "Could not delete the history entry."));
+  }
+  await refreshHistory();
+  const cleared = Number(response.cleared || 0);
+  setHistoryStatus(t("statusHistoryCleared", [String(cleared)], `Deleted ${cleared} run(s) from history.`), false);
+}
+
+// The background builds the file so the popup only has to hand it to the browser's download.
+async function exportHistory(format) {
+  const response = await runtimeSendMessage({ type: "HISTORY_EXPORT", format });
+  if (!response || !response.ok) {
+    throw new Error((response && response.error) || t("errCouldNotExportHistory", undefined, "Could not export fill history."));
+  }
+
+  const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = response.filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  setHistoryStatus(t("statusHistoryExported", [response.filename], `Exported ${response.filename}.`), false);
+}
+
 async function refreshFiles() {
   try {
     await ensureConfigured();
@@ -694,16 +2071,62 @@ chrome.runtime.onMessage.addListener((message) => {
   }
 
   if (message.type === "AUTOFILL_PROGRESS") {
-    appendLog(message.message);
+    appendLog(message.message, { source: message.source, cached: message.cached, learned: message.learned, local: message.local });
   }
 
   if (message.type === "AUTOFILL_STATUS") {
     setStatus(message.message, Boolean(message.error));
   }
+
+  if (message.type === "AUTOFILL_USAGE") {
+    renderRunUsage(message);
+  }
+
+  if (message.type === "AUTOFILL_WIZARD_UPDATED") {
+    getActiveTab()
+      .then((activeTab) => {
+        if (activeTab && activeTab.id === message.tabId) {
+          renderWizardSession(message.session, message.summary);
+        }
+      })
+      .catch(() => {
+        // ignore
+      });
+  }
+
+  if (message.type === "AUTOFILL_RUN_STATE") {
+    getActiveTab()
+      .then((activeTab) => {
+        if (activeTab && activeTab.id === message.tabId) {
+          setAutofillRunning(message.running);
+        }
+      })
+      .catch(() => {
+        // ignore
+      });
+  }
+
+  if (message.type === "AUTOFILL_REVIEW_READY") {
+    getActiveTab()
+      .then((activeTab) => {
+        if (activeTab && activeTab.id === message.tabId) {
+          renderReview(message.review);
+        }
+      })
+      .catch(() => {
+        // ignore
+      });
+  }
 });
 
 ui.openSettingsBtn.addEventListener("click", () => {
   switchView("settings");
+  refreshUsageReport().catch(() => {
+    // ignore
+  });
+  refreshCorrections().catch((error) => {
+    setStatus((error && error.message) || t("errCouldNotLoadCorrections", undefined, "Could not load learned corrections."), true);
+  });
 });
 
 ui.backBtn.addEventListener("click", () => {
@@ -714,6 +2137,7 @@ ui.openFilesBtn.addEventListener("click", async () => {
   try {
     await ensureConfigured();
     switchView("files");
+    refreshLibrary();
     await refreshFiles();
   } catch (error) {
     setStatus((error && error.message) || t("errConfigurationIncomplete", undefined, "Configuration is incomplete."), true);
@@ -724,12 +2148,81 @@ ui.filesBackBtn.addEventListener("click", () => {
   switchView("actions");
 });
 
+ui.openHistoryBtn.addEventListener("click", () => {
+  switchView("history");
+  setHistoryStatus("", false);
+  refreshHistory().catch((error) => {
+    setHistoryStatus((error && error.message) || t("errCouldNotLoadHistory", undefined, "Could not load fill history."), true);
+  });
+});
+
+ui.historyBackBtn.addEventListener("click", () => {
+  switchView("actions");
+});
+
+ui.clearHistoryBtn.addEventListener("click", () => {
+  clearHistory().catch((error) => {
+    setHistoryStatus((error && error.message) || t("errCouldNotDeleteHistoryRun", undefined, "Could not delete the history entry."), true);
+  });
+});
+
+[[ui.exportHistoryJsonBtn, "json"], [ui.exportHistoryCsvBtn, "csv"]].forEach(([button, format]) => {
+  button.addEventListener("click", () => {
+    exportHistory(format).catch((error) => {
+      setHistoryStatus((error && error.message) || t("errCouldNotExportHistory", undefined, "Could not export fill history."), true);
+    });
+  });
+});
+
 ui.refreshFilesBtn.addEventListener("click", refreshFiles);
 ui.uploadFileBtn.addEventListener("click", handleUploadFile);
+ui.addLibraryDocsBtn.addEventListener("click", handleAddLibraryDocuments);
 ui.refreshStoresBtn.addEventListener("click", async () => {
   await refreshVectorStores(ui.vectorStoreId.value);
 });
 
+ui.profileSelect.addEventListener("change", () => {
+  switchProfile(ui.profileSelect.value)
+    .then(() => refreshFillAvailability())
+    .catch((error) => {
+      setStatus((error && error.message) || t("errCouldNotSwitchProfile", undefined, "Could not switch profile."), true);
+    });
+});
+
+ui.createProfileBtn.addEventListener("click", () => {
+  createProfile().catch((error) => {
+    setStatus((error && error.message) || t("errCouldNotSaveSettings", undefined, "Could not save settings."), true);
+  });
+});
+
+ui.deleteProfileBtn.addEventListener("click", () => {
+  deleteActiveProfile().catch((error) => {
+    setStatus((error && error.message) || t("errCouldNotSaveSettings", undefined, "Could not save settings."), true);
+  });
+});
+
+ui.clearProfileApiKeyBtn.addEventListener("click", () => {
+  useMainApiKeyForProfile().catch((error) => {
+    setStatus((error && error.message) || t("errCouldNotSaveSettings", undefined, "Could not save settings."), true);
+  });
+});
+
+ui.useCurrentSiteBtn.addEventListener("click", () => {
+  useCurrentSiteForRule().catch((error) => {
+    setStatus((error && error.message) || t("errUnexpected", undefined, "Unexpected error."), true);
+  });
+});
+
+ui.newSiteRuleBtn.addEventListener("click", () => {
+  getSettings().then((settings) => fillSiteRuleEditor(settings, null));
+});
+
+ui.saveSiteRuleBtn.addEventListener("click", () => {
+  saveSiteRule().catch((error) => {
+    setStatus((error && error.message) || t("errCouldNotSaveSettings", undefined, "Could not save settings."), true);
+  });
+});
+
 ui.vectorStoreId.addEventListener("change", () => {
   updateStoreActionsState();
   persistSelectedVectorStore(ui.vectorStoreId.value).catch((error) => {
@@ -753,6 +2246,20 @@ ui.deleteStoreBtn.addEventListener("click", async () => {
   }
 });
 
+ui.clearCacheBtn.addEventListener("click", async () => {
+  try {
+    await clearAnswerCache();
+  } catch (error) {
+    setStatus((error && error.message) || t("errCouldNotClearCache", undefined, "Could not clear the answer cache."), true);
+  }
+});
+
+ui.clearCorrectionsBtn.addEventListener("click", () => {
+  clearCorrections().catch((error) => {
+    setStatus((error && error.message) || t("errCouldNotDeleteCorrection", undefined, "Could not delete the correction."), true);
+  });
+});
+
 ui.replaceFileInput.addEventListener("change", async () => {
   const file = ui.replaceFileInput.files && ui.replaceFileInput.files[0];
   if (!file || !pendingReplaceFileId) {
@@ -765,8 +2272,17 @@ ui.replaceFileInput.addEventListener("change", async () => {
   await handleReplaceFile(fileId, file);
 });
 
+ui.providerType.addEventListener("change", () => {
+  const preset = PROVIDER_PRESETS[ui.providerType.value] || PROVIDER_PRESETS.openai;
+  ui.providerBaseUrl.value = preset.baseUrl;
+  ui.providerAuthHeader.value = preset.authHeader;
+  ui.providerApiVersion.value = "";
+  updateProviderFieldsState();
+});
+
 ui.saveBtn.addEventListener("click", async () => {
   try {
+    await ensureProviderHostPermission();
     const existingSettings = await getSettings();
     validateInputs(existingSettings);
     await validateApiKeyBeforeSave(existingSettings);
@@ -778,6 +2294,26 @@ ui.saveBtn.addEventListener("click", async () => {
 });
 
 ui.fillBtn.addEventListener("click", startFill);
+ui.stopFillBtn.addEventListener("click", stopAutofill);
+ui.wizardFillStepBtn.addEventListener("click", startFill);
+ui.wizardAutoBtn.addEventListener("click", () => {
+  startWizardAutoContinue().catch((error) => {
+    setStatus((error && error.message) || t("errCouldNotLoadWizardSession", undefined, "Could not load the multi-page session."), true);
+  });
+});
+ui.endWizardBtn.addEventListener("click", () => {
+  endWizardSession().catch((error) => {
+    setStatus((error && error.message) || t("errUnexpected", undefined, "Unexpected error."), true);
+  });
+});
+ui.undoFillBtn.addEventListener("click", undoLastFill);
+ui.acceptAllReviewBtn.addEventListener("click", acceptAllReviewEntries);
+ui.applyReviewBtn.addEventListener("click", applyReview);
+ui.discardReviewBtn.addEventListener("click", () => {
+  discardReview().catch((error) => {
+    setStatus((error && error.message) || t("errUnexpected", undefined, "Unexpected error."), true);
+  });
+});
 
 document.addEventListener("DOMContentLoaded", () => {
   i18n.initializeLanguageOverride()
@@ -786,6 +2322,9 @@ document.addEventListener("DOMContentLoaded", () => {
       return loadSettings();
     })
     .then(() => refreshFillAvailability())
+    .then(() => loadPendingReview())
+    .then(() => refreshAutofillRunState())
+    .then(() => loadWizardSession())
     .catch((error) => {
       setStatus((error && error.message) || t("errFailedLoadSettings", undefined, "Failed to load settings."), true);
       updateStoreActionsState();
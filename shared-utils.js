@@ -1,5 +1,6 @@
 (function initAffShared(globalScope) {
   const root = globalScope || {};
+  const DEFAULT_MIN_CONFIDENCE = 0.5;
 
   function applySubstitutions(template, substitutions) {
     const values = Array.isArray(substitutions)
@@ -8,11 +9,24 @@
         ? []
         : [String(substitutions)];
 
-    let result = String(template || "");
-    values.forEach((value, idx) => {
-      result = result.split(`$${idx + 1}`).join(value);
+    // Single pass, so a substituted value containing "$2" (such as a cost) is never expanded again.
+    return String(template || "").replace(/\$(\d)/g, (match, digit) => {
+      const idx = Number(digit) - 1;
+      return idx >= 0 && idx < values.length ? values[idx] : match;
     });
-    return result;
+  }
+
+  // Unset or non-numeric thresholds fall back to the default; the rest are clamped to 0..1.
+  function normalizeMinConfidence(value) {
+    const numeric = Number(value);
+    if (value == null || value === "" || !Number.isFinite(numeric)) {
+      return DEFAULT_MIN_CONFIDENCE;
+    }
+    return Math.min(1, Math.max(0, numeric));
+  }
+
+  function formatConfidence(confidence) {
+    return `${Math.round(Number(confidence || 0) * 100)}%`;
   }
 
   function storageGet(keys, area = "local") {
@@ -162,7 +176,10 @@
   }
 
   root.AFFShared = {
+    DEFAULT_MIN_CONFIDENCE,
     applySubstitutions,
+    normalizeMinConfidence,
+    formatConfidence,
     storageGet,
     storageSet,
     storageRemove,
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getCachedAnswer,
+  putCachedAnswer,
+  storeScopeKey,
+  modelScopeKey,
+  invalidateVectorStore,
+  countCachedAnswers
+} = require("../lib/answer-cache.js");
+
+test("stores and reads answers by vector store, model and fingerprint", () => {
+  const cache = {};
+  putCachedAnswer(cache, "vs_1", "gpt-4.1-mini", "fp-a", { value: "Ana", confidence: 0.9, source: null, cachedAt: 1 });
+
+  assert.equal(getCachedAnswer(cache, "vs_1", "gpt-4.1-mini", "fp-a").value, "Ana");
+  assert.equal(getCachedAnswer(cache, "vs_1", "gpt-4.1", "fp-a"), null);
+  assert.equal(getCachedAnswer(cache, "vs_2", "gpt-4.1-mini", "fp-a"), null);
+});
+
+test("evicts the oldest answers past the per-model limit", () => {
+  const cache = {};
+  putCachedAnswer(cache, "vs_1", "m", "old", { value: "1", cachedAt: 1 }, 2);
+  putCachedAnswer(cache, "vs_1", "m", "mid", { value: "2", cachedAt: 2 }, 2);
+  putCachedAnswer(cache, "vs_1", "m", "new", { value: "3", cachedAt: 3 }, 2);
+
+  assert.equal(getCachedAnswer(cache, "vs_1", "m", "old"), null);
+  assert.equal(countCachedAnswers(cache), 2);
+});
+
+test("invalidates every model for a vector store", () => {
+  const cache = {};
+  putCachedAnswer(cache, "vs_1", "a", "fp", { value: "x" });
+  putCachedAnswer(cache, "vs_1", "b", "fp", { value: "y" });
+  putCachedAnswer(cache, "vs_2", "a", "fp", { value: "z" });
+
+  invalidateVectorStore(cache, "vs_1");
+  assert.equal(countCachedAnswers(cache), 1);
+  assert.equal(getCachedAnswer(cache, "vs_2", "a", "fp").value, "z");
+});
+
+test("scopes multi-store profiles and custom instructions separately", () => {
+  const cache = {};
+  const scope = storeScopeKey(["vs_1", "vs_2"]);
+  putCachedAnswer(cache, scope, modelScopeKey("m", "Answer as the company."), "fp", { value: "Acme" });
+  putCachedAnswer(cache, "vs_3", modelScopeKey("m", ""), "fp", { value: "Ana" });
+
+  assert.equal(getCachedAnswer(cache, scope, "m", "fp"), null);
+  assert.equal(getCachedAnswer(cache, scope, modelScopeKey("m", "Answer as the company."), "fp").value, "Acme");
+
+  invalidateVectorStore(cache, "vs_2");
+  assert.equal(countCachedAnswers(cache), 1);
+});
+
+test("keeps providers apart and never stores or replays not-found answers", () => {
+  const cache = {};
+  const openai = storeScopeKey(["vs_1"], "api.openai.com");
+  const gateway = storeScopeKey(["vs_1"], "Proxy.corp.example:8443");
+  putCachedAnswer(cache, openai, "m", "fp", { value: "Ana" });
+  putCachedAnswer(cache, gateway, "m", "fp", { value: "" });
+
+  assert.equal(gateway, "proxy.corp.example:8443|vs_1");
+  assert.equal(getCachedAnswer(cache, gateway, "m", "fp"), null);
+  assert.equal(countCachedAnswers(cache), 1);
+
+  cache[gateway] = { m: { fp: { value: "", confidence: 0, source: null, cachedAt: 1 } } };
+  assert.equal(getCachedAnswer(cache, gateway, "m", "fp"), null);
+
+  invalidateVectorStore(cache, "vs_1");
+  assert.equal(countCachedAnswers(cache), 0);
+});
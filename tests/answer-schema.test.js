@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildBatchAnswerSchema, parseBatchAnswers } = require("../lib/answer-schema.js");
+
+const fields = [
+  { uid: "aff-1", label: "First name", tag: "input", type: "text" },
+  { uid: "aff-2", label: "Country", tag: "select", options: ["Brazil", "Spain", "Spain"] }
+];
+
+function answer(value, confidence) {
+  return { value, confidence };
+}
+
+test("builds a strict schema keyed by uid with select enums", () => {
+  const schema = buildBatchAnswerSchema(fields);
+  assert.deepEqual(schema.required, ["aff-1", "aff-2"]);
+  assert.equal(schema.additionalProperties, false);
+  assert.deepEqual(schema.properties["aff-1"].required, ["value", "confidence"]);
+  assert.equal(schema.properties["aff-1"].properties.value.type, "string");
+  assert.equal(schema.properties["aff-1"].properties.value.enum, undefined);
+  assert.equal(schema.properties["aff-1"].properties.confidence.type, "number");
+  assert.deepEqual(schema.properties["aff-2"].properties.value.enum, ["Brazil", "Spain", "NOT_FOUND"]);
+});
+
+test("parses answers and confidences that match the schema", () => {
+  const result = parseBatchAnswers(JSON.stringify({ "aff-1": answer("Ana", 0.9), "aff-2": answer("Spain", 1.4) }), fields);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.answers, { "aff-1": "Ana", "aff-2": "Spain" });
+  assert.deepEqual(result.confidences, { "aff-1": 0.9, "aff-2": 1 });
+});
+
+test("rejects missing uids, malformed entries and unknown options", () => {
+  assert.equal(parseBatchAnswers(JSON.stringify({ "aff-1": answer("Ana", 1) }), fields).ok, false);
+  assert.equal(parseBatchAnswers(JSON.stringify({ "aff-1": "Ana", "aff-2": answer("Spain", 1) }), fields).ok, false);
+  assert.equal(parseBatchAnswers(JSON.stringify({ "aff-1": answer("Ana", "high"), "aff-2": answer("Spain", 1) }), fields).ok, false);
+  assert.equal(parseBatchAnswers(JSON.stringify({ "aff-1": answer("Ana", 1), "aff-2": answer("France", 1) }), fields).ok, false);
+  assert.equal(parseBatchAnswers("```json\n{}\n```", fields).ok, false);
+});
+
+test("answers multi-value questions with a list of options", () => {
+  const multiFields = [{ uid: "aff-3", label: "Languages", type: "checkbox", multiple: true, options: ["English", "Spanish", "French"] }];
+  const schema = buildBatchAnswerSchema(multiFields);
+  assert.equal(schema.properties["aff-3"].properties.value.type, "array");
+  assert.deepEqual(schema.properties["aff-3"].properties.value.items.enum, ["English", "Spanish", "French"]);
+
+  const parsed = parseBatchAnswers(JSON.stringify({ "aff-3": answer(["English", "French", "English"], 0.8) }), multiFields);
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.answers["aff-3"], "English; French");
+  assert.equal(parseBatchAnswers(JSON.stringify({ "aff-3": answer([], 0) }), multiFields).answers["aff-3"], "NOT_FOUND");
+  assert.equal(parseBatchAnswers(JSON.stringify({ "aff-3": answer(["German"], 1) }), multiFields).ok, false);
+  assert.equal(parseBatchAnswers(JSON.stringify({ "aff-3": answer("English", 1) }), multiFields).ok, false);
+});
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { extractFileCitations, resolveAnswerSources } = require("../lib/citations.js");
+
+function responseWith(text, annotations, results) {
+  return {
+    output: [
+      { type: "file_search_call", results },
+      { type: "message", content: [{ type: "output_text", text, annotations }] }
+    ]
+  };
+}
+
+test("collects file_citation annotations from output content", () => {
+  const data = responseWith("{}", [{ type: "file_citation", file_id: "file-1", filename: "cv.pdf", index: 1 }], []);
+  assert.deepEqual(extractFileCitations(data), [{ fileId: "file-1", filename: "cv.pdf", index: 1 }]);
+});
+
+test("attributes each answer to the retrieved chunk that contains it", () => {
+  const text = '{"aff-1":"Acme Corp","aff-2":"555-0100"}';
+  const data = responseWith(text, [], [
+    { file_id: "file-1", filename: "resume.pdf", text: "Worked at Acme Corp as an engineer." },
+    { file_id: "file-2", filename: "contact.txt", text: "Phone: 555-0100" }
+  ]);
+
+  const sources = resolveAnswerSources(data, text, { "aff-1": "Acme Corp", "aff-2": "555-0100" });
+  assert.equal(sources["aff-1"].filename, "resume.pdf");
+  assert.match(sources["aff-1"].snippet, /Acme Corp/);
+  assert.equal(sources["aff-2"].fileId, "file-2");
+});
+
+test("falls back to the cited file when the answer text is not quoted verbatim", () => {
+  const text = '{"aff-1":"Engineer"}';
+  const data = responseWith(text, [{ type: "file_citation", file_id: "file-9", filename: "notes.md", index: 12 }], []);
+  const sources = resolveAnswerSources(data, text, { "aff-1": "Engineer" });
+  assert.deepEqual(sources["aff-1"], { fileId: "file-9", filename: "notes.md", snippet: "" });
+});
+
+test("skips answers that were not found", () => {
+  const sources = resolveAnswerSources(responseWith("{}", [], []), "{}", { "aff-1": "" });
+  assert.deepEqual(sources, {});
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MAX_CORRECTIONS,
+  siteKeyForUrl,
+  recordCorrection,
+  findCorrection,
+  listCorrections,
+  removeCorrection
+} = require("../lib/corrections.js");
+
+test("stores a correction per site and field fingerprint", () => {
+  let store = recordCorrection(null, {
+    host: "Jobs.Example.com",
+    fingerprint: "fp-city",
+    label: "City",
+    value: "  Porto  Alegre ",
+    original: "Sao Paulo"
+  }, 10);
+
+  const entry = findCorrection(store, "jobs.example.com", "fp-city");
+  assert.equal(entry.value, "Porto Alegre");
+  assert.equal(entry.original, "Sao Paulo");
+  assert.equal(findCorrection(store, "other.example.com", "fp-city"), null);
+
+  store = recordCorrection(store, { host: "jobs.example.com", fingerprint: "fp-city", value: "Curitiba", original: "Porto Alegre" }, 20);
+  const updated = findCorrection(store, "jobs.example.com", "fp-city");
+  assert.equal(updated.value, "Curitiba");
+  assert.equal(updated.original, "Sao Paulo");
+  assert.equal(updated.createdAt, 10);
+});
+
+test("forgets a correction when the field is changed back or cleared", () => {
+  let store = recordCorrection(null, { host: "a.test", fingerprint: "fp", value: "Yes", original: "No" });
+  store = recordCorrection(store, { host: "a.test", fingerprint: "fp", value: "no", original: "No" });
+  assert.equal(findCorrection(store, "a.test", "fp"), null);
+
+  store = recordCorrection(store, { host: "a.test", fingerprint: "fp", value: "", original: "No" });
+  assert.equal(listCorrections(store).length, 0);
+});
+
+test("lists newest first, removes by key and evicts the oldest entries", () => {
+  let store = null;
+  for (let i = 0; i < MAX_CORRECTIONS + 2; i += 1) {
+    store = recordCorrection(store, { host: "a.test", fingerprint: `fp-${i}`, value: `v${i}`, original: "x" }, i);
+  }
+
+  const list = listCorrections(store);
+  assert.equal(list.length, MAX_CORRECTIONS);
+  assert.equal(list[0].fingerprint, `fp-${MAX_CORRECTIONS + 1}`);
+  assert.equal(findCorrection(store, "a.test", "fp-0"), null);
+
+  store = removeCorrection(store, list[0].key);
+  assert.equal(findCorrection(store, "a.test", `fp-${MAX_CORRECTIONS + 1}`), null);
+  assert.equal(siteKeyForUrl("https://Forms.Example.org/apply"), "forms.example.org");
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  documentKinds,
+  acceptsDocument,
+  scoreDocument,
+  suggestDocuments
+} = require("../lib/document-library.js");
+
+const library = [
+  { id: "doc-1", name: "Ana_Lopez-CV.pdf", type: "application/pdf", addedAt: 1 },
+  { id: "doc-2", name: "Résumé 2024.pdf", type: "application/pdf", addedAt: 2 },
+  { id: "doc-3", name: "passport-scan.jpg", type: "image/jpeg", addedAt: 3 },
+  { id: "doc-4", name: "Cover letter.docx", type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", addedAt: 4 }
+];
+
+test("recognises document kinds in file names and labels", () => {
+  assert.deepEqual(documentKinds("Ana_Lopez-CV.pdf"), ["resume"]);
+  assert.deepEqual(documentKinds("Résumé 2024.pdf"), ["resume"]);
+  assert.deepEqual(documentKinds("Upload a photo of your ID"), ["identity", "photo"]);
+  assert.deepEqual(documentKinds("notes.txt"), []);
+});
+
+test("follows the accept attribute", () => {
+  assert.equal(acceptsDocument("", library[0]), true);
+  assert.equal(acceptsDocument(".pdf,.doc", library[0]), true);
+  assert.equal(acceptsDocument("image/*", library[2]), true);
+  assert.equal(acceptsDocument("image/*", library[0]), false);
+  assert.equal(acceptsDocument("application/pdf", library[3]), false);
+});
+
+test("scores documents by kind first and rejects other kinds", () => {
+  assert.equal(scoreDocument(library[0], { label: "Resume/CV", accept: ".pdf" }), 10);
+  assert.equal(scoreDocument(library[3], { label: "Resume/CV" }), 0);
+  assert.equal(scoreDocument(library[2], { label: "Resume/CV", accept: ".pdf" }), -1);
+});
+
+test("suggests the newest matching document for each file input", () => {
+  const suggestions = suggestDocuments(library, [
+    { uid: "0:aff-1", label: "Resume", accept: ".pdf" },
+    { uid: "0:aff-2", label: "Government ID", accept: "image/*" },
+    { uid: "0:aff-3", label: "Cover letter", accept: ".pdf" },
+    { uid: "0:aff-4", label: "Attachments" }
+  ]);
+
+  assert.deepEqual(suggestions, [
+    { uid: "0:aff-1", label: "Resume", documentId: "doc-2", documentName: "Résumé 2024.pdf" },
+    { uid: "0:aff-2", label: "Government ID", documentId: "doc-3", documentName: "passport-scan.jpg" }
+  ]);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  REDACTED,
+  normalizeRetention,
+  createRunRecord,
+  recordRun,
+  applyRetention,
+  removeRun,
+  summarizeRun,
+  historyToJson,
+  historyToCsv
+} = require("../lib/fill-history.js");
+
+function run(startedAt, overrides = {}) {
+  return createRunRecord({
+    url: "https://jobs.example.com/apply?ref=mail",
+    title: "Apply",
+    profile: "Work",
+    model: "gpt-4.1-mini",
+    startedAt,
+    finishedAt: startedAt + 1000,
+    entries: [
+      { label: "Email", value: "ana@example.com", status: "filled", confidence: 0.9, origin: "model", source: { filename: "cv.pdf" } },
+      { label: "SSN", value: "123-45-6789", status: "filled", confidence: 1, origin: "details", sensitive: true },
+      { label: "Salary", value: "", status: "notFound" }
+    ],
+    ...overrides
+  });
+}
+
+test("records run details and redacts sensitive values", () => {
+  const record = run(1000);
+
+  assert.equal(record.site, "jobs.example.com");
+  assert.equal(record.url, "https://jobs.example.com/apply");
+  assert.equal(record.entries[0].value, "ana@example.com");
+  assert.equal(record.entries[0].source, "cv.pdf");
+  assert.equal(record.entries[1].value, REDACTED);
+  assert.equal(record.entries[1].redacted, true);
+  assert.equal(record.entries[2].value, "");
+  assert.deepEqual(summarizeRun(record), { filled: 2, notFound: 1 });
+  assert.equal(run(1000, { redact: true }).entries[0].value, REDACTED);
+});
+
+test("keeps the newest runs within the retention limit and size budget", () => {
+  let store = null;
+  [1000, 3000, 2000].forEach((startedAt) => {
+    store = recordRun(store, run(startedAt), 50);
+  });
+
+  assert.deepEqual(store.runs.map((entry) => entry.startedAt), [3000, 2000, 1000]);
+  assert.deepEqual(applyRetention(store, 0).runs, []);
+  assert.equal(normalizeRetention("1000"), 1000);
+  assert.equal(normalizeRetention(7), 200);
+  assert.equal(removeRun(store, store.runs[0].id).runs.length, 2);
+
+  const runBytes = JSON.stringify(store.runs[0]).length;
+  const trimmed = recordRun(store, run(4000), 1000, runBytes * 2 + 40);
+  assert.deepEqual(trimmed.runs.map((entry) => entry.startedAt), [4000, 3000]);
+});
+
+test("exports runs to JSON and CSV", () => {
+  const store = recordRun(null, run(Date.UTC(2026, 0, 2), { title: "=HYPERLINK(\"x\")" }), 50);
+
+  assert.equal(JSON.parse(historyToJson(store)).runs.length, 1);
+  const lines = historyToCsv(store).split("\r\n");
+  assert.equal(lines[0], "run_id,started_at,site,page_title,profile,model,mode,run_status,field,value,status,confidence,origin,source");
+  assert.equal(lines.length, 4);
+  assert.match(lines[1], /,2026-01-02T00:00:00.000Z,jobs.example.com,"'=HYPERLINK\(""x""\)",Work,gpt-4.1-mini,immediate,completed,Email,ana@example.com,filled,0.9,model,cv.pdf$/);
+  assert.match(lines[2], /,SSN,\[redacted\],filled,1,details,$/);
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  qualifyUid,
+  parseQualifiedUid,
+  orderFrameIds,
+  mergeFrameFields
+} = require("../lib/frame-fields.js");
+
+test("qualifies uids with the frame id and parses them back", () => {
+  assert.equal(qualifyUid(7, "aff-1-2"), "7:aff-1-2");
+  assert.deepEqual(parseQualifiedUid("7:aff-1-2"), { frameId: 7, uid: "aff-1-2" });
+  assert.deepEqual(parseQualifiedUid("aff-1-2"), { frameId: 0, uid: "aff-1-2" });
+});
+
+test("orders the top frame first and drops frames that cannot run scripts", () => {
+  const frames = [
+    { frameId: 12, url: "https://forms.hsforms.com/embed" },
+    { frameId: 0, url: "https://example.com/apply" },
+    { frameId: 15, url: "chrome-extension://abc/page.html" },
+    { frameId: 18, url: "https://pay.example.net", errorOccurred: true },
+    { frameId: 20, url: "about:blank" }
+  ];
+
+  assert.deepEqual(orderFrameIds(frames), [0, 12, 20]);
+  assert.deepEqual(orderFrameIds(null), [0]);
+});
+
+test("merges fields from every frame that answered", () => {
+  const merged = mergeFrameFields([
+    { frameId: 0, response: { ok: true, fields: [{ uid: "aff-1", label: "Name" }], page: { title: "Apply", host: "example.com" } } },
+    { frameId: 12, response: { ok: true, fields: [{ uid: "aff-1", label: "Email" }], fileInputs: [{ uid: "aff-2", label: "Resume" }], page: { title: "Embed", host: "hsforms.com" } } },
+    { frameId: 15, error: new Error("Could not establish connection") }
+  ]);
+
+  assert.equal(merged.ok, true);
+  assert.deepEqual(merged.fields.map((field) => field.uid), ["0:aff-1", "12:aff-1"]);
+  assert.equal(merged.fields[1].label, "Email");
+  assert.deepEqual(merged.fileInputs, [{ uid: "12:aff-2", label: "Resume" }]);
+  assert.deepEqual(merged.page, { title: "Apply", host: "example.com" });
+  assert.deepEqual(merged.frameIds, [0, 12]);
+  assert.equal(mergeFrameFields([{ frameId: 0, error: new Error("x") }]).ok, false);
+});
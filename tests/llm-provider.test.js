@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  resolveProviderConfig,
+  validateProviderConfig,
+  buildProviderUrl,
+  buildAuthHeaders,
+  originPermissionPattern,
+  providerHost
+} = require("../lib/llm-provider.js");
+
+test("defaults to the OpenAI endpoint with bearer auth", () => {
+  const provider = resolveProviderConfig(undefined);
+  assert.equal(provider.type, "openai");
+  assert.equal(buildProviderUrl(provider, "/responses"), "https://api.openai.com/v1/responses");
+  assert.deepEqual(buildAuthHeaders(provider, "sk-test"), { Authorization: "Bearer sk-test" });
+});
+
+test("ignores custom fields when the OpenAI preset is selected", () => {
+  const provider = resolveProviderConfig({ type: "openai", baseUrl: "https://evil.example.com", authHeader: "x-key" });
+  assert.equal(provider.baseUrl, "https://api.openai.com/v1");
+  assert.equal(provider.authHeader, "Authorization");
+});
+
+test("builds Azure URLs with api-version and api-key header", () => {
+  const provider = resolveProviderConfig({
+    type: "azure",
+    baseUrl: "https://contoso.openai.azure.com/openai/v1/",
+    apiVersion: "preview"
+  });
+  assert.equal(
+    buildProviderUrl(provider, "/vector_stores", { limit: "100" }),
+    "https://contoso.openai.azure.com/openai/v1/vector_stores?limit=100&api-version=preview"
+  );
+  assert.deepEqual(buildAuthHeaders(provider, "abc"), { "api-key": "abc" });
+});
+
+test("accepts HTTPS gateways and loopback HTTP only", () => {
+  assert.equal(validateProviderConfig(resolveProviderConfig({ type: "custom", baseUrl: "https://proxy.corp.example/v1" })).ok, true);
+  assert.equal(validateProviderConfig(resolveProviderConfig({ type: "custom", baseUrl: "http://localhost:8080/v1" })).ok, true);
+  assert.equal(validateProviderConfig(resolveProviderConfig({ type: "custom", baseUrl: "http://proxy.corp.example/v1" })).ok, false);
+  assert.equal(validateProviderConfig(resolveProviderConfig({ type: "custom", baseUrl: "http://[::1]:8080/v1" })).ok, false);
+  assert.equal(validateProviderConfig(resolveProviderConfig({ type: "custom", baseUrl: "" })).ok, false);
+});
+
+test("derives a host permission pattern from the base URL", () => {
+  assert.equal(originPermissionPattern("https://proxy.corp.example:8443/v1"), "https://proxy.corp.example/*");
+  assert.equal(originPermissionPattern("not a url"), "");
+});
+
+test("names the provider host for cache scoping", () => {
+  assert.equal(providerHost(resolveProviderConfig(undefined)), "api.openai.com");
+  assert.equal(providerHost(resolveProviderConfig({ type: "custom", baseUrl: "https://Proxy.corp.example:8443/v1" })), "proxy.corp.example:8443");
+  assert.equal(providerHost(resolveProviderConfig({ type: "azure" })), "");
+});
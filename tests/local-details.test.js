@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeDetails,
+  resolveDetailValue,
+  detailTokenForField,
+  matchLocalDetails
+} = require("../lib/local-details.js");
+
+test("maps autocomplete tokens, including section and contact prefixes", () => {
+  assert.equal(detailTokenForField({ autocomplete: "given-name" }), "given-name");
+  assert.equal(detailTokenForField({ autocomplete: "section-ship shipping postal-code" }), "postal-code");
+  assert.equal(detailTokenForField({ autocomplete: "work tel-national", type: "tel" }), "tel");
+  assert.equal(detailTokenForField({ autocomplete: "country", tag: "select" }), "country-name");
+  assert.equal(detailTokenForField({ autocomplete: "off", label: "Email" }), "");
+});
+
+test("maps only labels and names that clearly name the field", () => {
+  assert.equal(detailTokenForField({ label: "First Name *" }), "given-name");
+  assert.equal(detailTokenForField({ label: "", name: "last_name" }), "family-name");
+  assert.equal(detailTokenForField({ label: "", id: "zipCode" }), "postal-code");
+  assert.equal(detailTokenForField({ label: "Describe your company's mission" }), "");
+  assert.equal(detailTokenForField({ label: "Contact", type: "email" }), "");
+  assert.equal(detailTokenForField({ label: "Reference email address", type: "email" }), "");
+  assert.equal(detailTokenForField({ label: "Emergency contact phone", type: "tel" }), "");
+  assert.equal(detailTokenForField({ label: "City", type: "checkbox" }), "");
+  assert.equal(detailTokenForField({ label: "Email", type: "tel" }), "");
+});
+
+test("derives full name and street address from their parts", () => {
+  const details = { "given-name": "Ana", "family-name": "Silva", "address-line1": "Rua A, 10", "address-line2": "Apt 3" };
+
+  assert.equal(resolveDetailValue(details, "name"), "Ana Silva");
+  assert.equal(resolveDetailValue(details, "street-address"), "Rua A, 10, Apt 3");
+  assert.equal(resolveDetailValue({ "street-address": "Main St 1" }, "address-line1"), "Main St 1");
+  assert.equal(resolveDetailValue(details, "email"), "");
+  assert.deepEqual(normalizeDetails({ email: "  a@b.test ", unknown: "x", tel: "" }), { email: "a@b.test" });
+});
+
+test("matches only fields with a stored value", () => {
+  const fields = [
+    { uid: "a", autocomplete: "email", type: "email" },
+    { uid: "b", label: "Phone number", type: "tel" },
+    { uid: "c", label: "Why do you want this job?" }
+  ];
+  const matches = matchLocalDetails(fields, { email: "ana@example.com" });
+
+  assert.deepEqual(Array.from(matches.entries()), [["a", { token: "email", value: "ana@example.com" }]]);
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isLongFormField,
+  normalizeComposeOptions,
+  composeCacheKey,
+  composeTargetWords,
+  fitToMaxLength,
+  parseComposedAnswer
+} = require("../lib/long-form.js");
+
+test("detects essay textareas and open questions but not short answers", () => {
+  assert.equal(isLongFormField({ tag: "textarea", type: "textarea", label: "Describe a project you led" }), true);
+  assert.equal(isLongFormField({ tag: "textarea", type: "textarea", label: "Comments", constraints: { maxLength: "4000" } }), true);
+  assert.equal(isLongFormField({ tag: "textarea", type: "textarea", label: "Address" }), false);
+  assert.equal(isLongFormField({ tag: "div", type: "contenteditable", label: "Cover letter" }), true);
+  assert.equal(isLongFormField({ tag: "div", type: "textbox", label: "City" }), false);
+  assert.equal(isLongFormField({ tag: "div", type: "textbox", label: "Summary", multiline: true }), true);
+  assert.equal(isLongFormField({ tag: "input", type: "text", label: "Why do you want this job?" }), true);
+  assert.equal(isLongFormField({ tag: "input", type: "text", label: "Zip code" }), false);
+  assert.equal(isLongFormField({ tag: "input", type: "text", label: "¿Por qué quieres este puesto?" }), true);
+  assert.equal(isLongFormField({ tag: "textarea", type: "textarea", label: "Cuéntanos tu motivación" }), true);
+  assert.equal(isLongFormField({ tag: "textarea", type: "textarea", label: "Conte-nos sobre você" }), true);
+  assert.equal(isLongFormField({ tag: "textarea", type: "textarea", label: "Motivação" }), true);
+  assert.equal(isLongFormField({ tag: "textarea", type: "textarea", label: "Nickname", constraints: { maxLength: "40" } }), false);
+  assert.equal(isLongFormField({ tag: "select", type: "select-one", label: "Why?", options: ["A", "B"] }), false);
+});
+
+test("picks a word target from the length setting, the variant and maxlength", () => {
+  const previousAnswer = Array(100).fill("word").join(" ");
+
+  assert.equal(composeTargetWords({ length: "short" }), 60);
+  assert.equal(composeTargetWords({ length: "unknown" }), 150);
+  assert.equal(composeTargetWords({ length: "long", maxLength: "600" }), 100);
+  assert.equal(composeTargetWords({ variant: "shorter", previousAnswer }), 60);
+  assert.equal(composeTargetWords({ variant: "longer", previousAnswer }), 150);
+  assert.deepEqual(normalizeComposeOptions({ tone: "casual", length: "long" }), { tone: "professional", length: "long" });
+  assert.equal(composeCacheKey("abc", { tone: "friendly" }), "abc#compose:friendly:medium");
+});
+
+test("trims composed answers to maxlength at a sentence or word boundary", () => {
+  const text = "I led the migration.   It cut costs by half.\n\n\nI want to keep doing that.";
+
+  assert.equal(fitToMaxLength(text), "I led the migration. It cut costs by half.\n\nI want to keep doing that.");
+  assert.equal(fitToMaxLength(text, 50), "I led the migration. It cut costs by half.");
+  assert.equal(fitToMaxLength("Building reliable systems matters", 20), "Building reliable");
+});
+
+test("parses composed answers and treats NOT_FOUND as no answer", () => {
+  assert.deepEqual(parseComposedAnswer('{"answer":"I enjoy teaching.","confidence":0.8}'), { ok: true, value: "I enjoy teaching.", confidence: 0.8 });
+  assert.deepEqual(parseComposedAnswer('{"answer":"NOT_FOUND","confidence":0.4}'), { ok: true, value: "", confidence: 0 });
+  assert.equal(parseComposedAnswer("not json").ok, false);
+});
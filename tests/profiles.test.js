@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getProfiles,
+  resolveActiveProfile,
+  profileVectorStoreIds,
+  updateActiveProfile,
+  setActiveProfile,
+  addProfile,
+  removeProfile,
+  clearProfileApiKeys,
+  removeVectorStoreFromProfiles
+} = require("../lib/profiles.js");
+
+test("migrates single-store settings into a default profile", () => {
+  const settings = { vectorStoreId: "vs_resume", vectorStoreName: "Resume", model: "gpt-4.1" };
+  const [profile] = getProfiles(settings);
+
+  assert.equal(profile.id, "default");
+  assert.equal(profile.vectorStoreId, "vs_resume");
+  assert.equal(profile.model, "gpt-4.1");
+  assert.equal(profile.sensitivePolicy, "confirm");
+  assert.equal(resolveActiveProfile(settings).id, "default");
+});
+
+test("adds, switches and updates profiles without touching the others", () => {
+  let settings = { vectorStoreId: "vs_resume", model: "gpt-4.1" };
+  const added = addProfile(settings, "Vendor Info");
+  settings = added.settings;
+
+  assert.equal(added.profile.id, "vendor-info");
+  assert.equal(settings.activeProfileId, "vendor-info");
+  assert.equal(settings.vectorStoreId, undefined);
+
+  settings = updateActiveProfile(settings, {
+    vectorStoreId: "vs_vendor",
+    extraVectorStoreIds: ["vs_shared", "vs_vendor", ""],
+    instructions: "Answer as the company.",
+    sensitivePolicy: "block",
+    details: { organization: " Acme Ltd ", email: "" }
+  });
+  const vendor = resolveActiveProfile(settings);
+  assert.deepEqual(vendor.details, { organization: "Acme Ltd" });
+  assert.deepEqual(profileVectorStoreIds(vendor), ["vs_vendor", "vs_shared"]);
+  assert.equal(vendor.sensitivePolicy, "block");
+
+  settings = setActiveProfile(settings, "default");
+  assert.equal(resolveActiveProfile(settings).vectorStoreId, "vs_resume");
+  assert.equal(resolveActiveProfile(settings, "vendor-info").instructions, "Answer as the company.");
+  assert.equal(resolveActiveProfile(settings, "deleted-profile").id, "default");
+  assert.equal(resolveActiveProfile(setActiveProfile(settings, "vendor-info"), "deleted-profile").id, "vendor-info");
+  assert.equal(addProfile(settings, "vendor info").profile.id, "vendor-info-2");
+});
+
+test("keeps at least one profile when removing", () => {
+  let settings = addProfile({}, "Second").settings;
+  settings = removeProfile(settings, "second");
+
+  assert.deepEqual(getProfiles(settings).map((profile) => profile.id), ["default"]);
+  assert.equal(settings.activeProfileId, "default");
+
+  settings = removeProfile(settings, "default");
+  assert.equal(getProfiles(settings).length, 1);
+  assert.equal(resolveActiveProfile(settings, "missing").id, "default");
+});
+
+test("keeps an encrypted API key per profile and clears them all for session-only storage", () => {
+  const encrypted = { v: 1, iv: "aXY=", ciphertext: "Y2lwaGVy" };
+  let settings = updateActiveProfile({}, { apiKeyEncrypted: encrypted });
+  settings = addProfile(settings, "Vendor").settings;
+  settings = updateActiveProfile(settings, { apiKeyEncrypted: { iv: "", ciphertext: "x" } });
+
+  assert.deepEqual(resolveActiveProfile(settings, "default").apiKeyEncrypted, encrypted);
+  assert.equal(resolveActiveProfile(settings, "vendor").apiKeyEncrypted, null);
+  assert.equal(addProfile(settings, "Third").profile.apiKeyEncrypted, null);
+
+  settings = clearProfileApiKeys(settings);
+  assert.equal(resolveActiveProfile(settings, "default").apiKeyEncrypted, null);
+  assert.equal(settings.activeProfileId, "vendor");
+});
+
+test("drops a deleted store from every profile", () => {
+  let settings = updateActiveProfile({}, { vectorStoreId: "vs_a", extraVectorStoreIds: ["vs_b"] });
+  settings = addProfile(settings, "Other").settings;
+  settings = updateActiveProfile(settings, { vectorStoreId: "vs_c", extraVectorStoreIds: ["vs_a"] });
+
+  settings = removeVectorStoreFromProfiles(settings, "vs_a");
+  assert.deepEqual(profileVectorStoreIds(resolveActiveProfile(settings, "default")), ["vs_b"]);
+  assert.deepEqual(profileVectorStoreIds(resolveActiveProfile(settings, "other")), ["vs_c"]);
+  assert.equal(settings.activeProfileId, "other");
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseDurationMs,
+  parseRetryAfterMs,
+  takeBatch,
+  planBatches,
+  createRateLimitState
+} = require("../lib/rate-limit.js");
+
+test("parses reset durations and Retry-After values", () => {
+  assert.equal(parseDurationMs("6m0s"), 360000);
+  assert.equal(parseDurationMs("1.5s"), 1500);
+  assert.equal(parseDurationMs("250ms"), 250);
+  assert.equal(parseDurationMs("soon"), null);
+
+  assert.equal(parseRetryAfterMs({ "retry-after": "7" }), 7000);
+  assert.equal(parseRetryAfterMs({ "retry-after-ms": "1200", "retry-after": "7" }), 1200);
+  assert.equal(parseRetryAfterMs({ "retry-after": "Wed, 21 Oct 2026 07:28:05 GMT" }, Date.parse("Wed, 21 Oct 2026 07:28:00 GMT")), 5000);
+  assert.equal(parseRetryAfterMs(new Map()), null);
+});
+
+test("packs batches by token budget and item limit", () => {
+  const cost = (item) => item.tokens;
+  const items = [{ tokens: 40 }, { tokens: 50 }, { tokens: 30 }, { tokens: 200 }, { tokens: 5 }];
+
+  const batches = planBatches(items, cost, { maxTokens: 100, maxItems: 8 });
+  assert.deepEqual(batches.map((batch) => batch.length), [2, 1, 1, 1]);
+
+  const capped = planBatches(items.slice(0, 3), () => 1, { maxTokens: 100, maxItems: 2 });
+  assert.deepEqual(capped.map((batch) => batch.length), [2, 1]);
+});
+
+test("sizes batches from the latest remaining-token header, capped at the configured budget", () => {
+  const state = createRateLimitState({ maxConcurrency: 2 });
+  assert.equal(state.batchTokenBudget(1200), 1200);
+
+  state.observe({ "x-ratelimit-limit-tokens": "200000", "x-ratelimit-remaining-tokens": "150000" });
+  assert.equal(state.batchTokenBudget(1200), 1200);
+
+  state.observe({ "x-ratelimit-limit-tokens": "200000", "x-ratelimit-remaining-tokens": "12000" });
+  assert.equal(state.concurrency(), 1);
+  assert.equal(state.batchTokenBudget(1200), 600);
+
+  state.observe({ "x-ratelimit-limit-tokens": "200000", "x-ratelimit-remaining-tokens": "0" });
+  assert.equal(state.batchTokenBudget(1200), 100);
+
+  const queue = [{ tokens: 60 }, { tokens: 60 }, { tokens: 60 }];
+  assert.equal(takeBatch(queue, (item) => item.tokens, { maxTokens: 130, maxItems: 8 }).length, 2);
+  assert.equal(queue.length, 1);
+});
+
+test("lowers concurrency and pauses as quota runs out", () => {
+  let clock = 1000;
+  const state = createRateLimitState({ maxConcurrency: 4, now: () => clock });
+
+  state.observe({ "x-ratelimit-limit-requests": "100", "x-ratelimit-remaining-requests": "80" });
+  assert.equal(state.concurrency(), 4);
+
+  state.observe({ "x-ratelimit-limit-tokens": "10000", "x-ratelimit-remaining-tokens": "2000" });
+  assert.equal(state.concurrency(), 2);
+
+  state.observe({
+    "x-ratelimit-limit-requests": "100",
+    "x-ratelimit-remaining-requests": "0",
+    "x-ratelimit-reset-requests": "2s"
+  });
+  assert.equal(state.concurrency(), 1);
+  assert.equal(state.waitMs(), 2000);
+
+  clock += 2500;
+  assert.equal(state.waitMs(), 0);
+
+  state.throttle(3000);
+  assert.equal(state.waitMs(), 3000);
+});
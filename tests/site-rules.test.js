@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeSiteRules,
+  patternMatchesUrl,
+  findSiteRule,
+  upsertSiteRule,
+  removeSiteRule,
+  patternForUrl,
+  ruleNeedsPageAccess,
+  originPatternForRule
+} = require("../lib/site-rules.js");
+
+test("matches host and path patterns with wildcards", () => {
+  assert.equal(patternMatchesUrl("example.com", "https://example.com/apply?x=1"), true);
+  assert.equal(patternMatchesUrl("example.com", "https://jobs.example.com/"), false);
+  assert.equal(patternMatchesUrl("*.example.com", "https://jobs.example.com/"), true);
+  assert.equal(patternMatchesUrl("*.example.com", "https://example.com/"), true);
+  assert.equal(patternMatchesUrl("https://example.com/jobs/", "https://example.com/jobs/42"), true);
+  assert.equal(patternMatchesUrl("example.com/jobs", "https://example.com/jobs-archive"), false);
+  assert.equal(patternMatchesUrl("example.com/*/apply", "https://example.com/team/apply"), true);
+  assert.equal(patternMatchesUrl("example.com", "chrome://extensions"), false);
+});
+
+test("picks the most specific matching rule", () => {
+  const rules = [
+    { id: "all", pattern: "*.example.com", profileId: "personal" },
+    { id: "vendor", pattern: "portal.example.com/vendors", profileId: "company", fill: "auto" },
+    { id: "bank", pattern: "bank.test", fill: "never" }
+  ];
+
+  assert.equal(findSiteRule(rules, "https://portal.example.com/vendors/new").id, "vendor");
+  assert.equal(findSiteRule(rules, "https://portal.example.com/careers").id, "all");
+  assert.equal(findSiteRule(rules, "https://bank.test/login").fill, "never");
+  assert.equal(findSiteRule(rules, "https://other.test/"), null);
+});
+
+test("adds, replaces and removes rules", () => {
+  let rules = upsertSiteRule([], { pattern: "Example.com/", skipSelectors: "#coupon\n\n.promo\n#coupon" });
+  assert.deepEqual(rules, [{
+    id: "rule-1",
+    pattern: "example.com",
+    profileId: "",
+    fill: "manual",
+    inlineButton: "default",
+    frameUploads: "same-origin",
+    skipSelectors: ["#coupon", ".promo"]
+  }]);
+
+  rules = upsertSiteRule(rules, { pattern: "example.com", fill: "never" });
+  assert.equal(rules.length, 1);
+  assert.equal(rules[0].fill, "never");
+
+  rules = upsertSiteRule(rules, { pattern: "other.test", inlineButton: "off", frameUploads: "all" });
+  assert.equal(rules[1].id, "rule-2");
+  assert.equal(rules[1].frameUploads, "all");
+  assert.deepEqual(normalizeSiteRules(removeSiteRule(rules, "rule-1")).map((rule) => rule.pattern), ["other.test"]);
+  assert.deepEqual(upsertSiteRule(rules, { pattern: "  " }), rules);
+});
+
+test("derives patterns and host permissions for rules that act on page load", () => {
+  assert.equal(patternForUrl("https://Jobs.Example.com/apply"), "jobs.example.com");
+  assert.equal(patternForUrl("file:///tmp/form.html"), "");
+  assert.equal(ruleNeedsPageAccess({ fill: "auto", inlineButton: "default" }), true);
+  assert.equal(ruleNeedsPageAccess({ fill: "manual", inlineButton: "on" }), true);
+  assert.equal(ruleNeedsPageAccess({ fill: "never", inlineButton: "on" }), false);
+  assert.equal(originPatternForRule("*.example.com/jobs"), "https://*.example.com/*");
+  assert.equal(originPatternForRule("app.*.example.com"), "");
+});
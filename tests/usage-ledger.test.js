@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  extractResponseUsage,
+  pricingFor,
+  estimateCost,
+  summarizeUsage,
+  recordUsage,
+  checkBudget,
+  formatCost
+} = require("../lib/usage-ledger.js");
+
+test("reads token usage and file search calls from a Responses reply", () => {
+  const usage = extractResponseUsage({
+    usage: { input_tokens: 1200, output_tokens: 80, total_tokens: 1280 },
+    output: [{ type: "file_search_call" }, { type: "message" }]
+  });
+
+  assert.deepEqual(usage, { requests: 1, inputTokens: 1200, outputTokens: 80, fileSearchCalls: 1 });
+});
+
+test("prices known models and dated snapshots", () => {
+  assert.equal(pricingFor("gpt-4.1-mini-2025-04-14"), pricingFor("gpt-4.1-mini"));
+  assert.equal(pricingFor("my-local-model"), null);
+
+  const cost = estimateCost("gpt-4.1-mini", { inputTokens: 1e6, outputTokens: 1e6, fileSearchCalls: 2 });
+  assert.ok(Math.abs(cost - 2.005) < 1e-9);
+  assert.equal(estimateCost("my-local-model", { inputTokens: 1e6 }), 0);
+});
+
+test("records usage per day and month and enforces budgets", () => {
+  const date = new Date(2026, 9, 19, 12);
+  let ledger = recordUsage(null, "gpt-4.1", { inputTokens: 500000, outputTokens: 0 }, date);
+  ledger = recordUsage(ledger, "gpt-4.1", { inputTokens: 500000, outputTokens: 0 }, new Date(2026, 9, 18, 12));
+
+  assert.equal(summarizeUsage(ledger.days["2026-10-19"]).cost, 1);
+  assert.equal(summarizeUsage(ledger.months["2026-10"]).requests, 2);
+
+  assert.equal(checkBudget(ledger, { dailyBudget: 0, monthlyBudget: 0 }, date).ok, true);
+  assert.equal(checkBudget(ledger, { dailyBudget: 5, monthlyBudget: 3 }, date).ok, true);
+
+  const daily = checkBudget(ledger, { dailyBudget: 1, monthlyBudget: 10 }, date);
+  assert.equal(daily.ok, false);
+  assert.equal(daily.period, "daily");
+
+  const monthly = checkBudget(ledger, { dailyBudget: 5, monthlyBudget: 2 }, date);
+  assert.equal(monthly.period, "monthly");
+});
+
+test("drops daily entries older than the retention window", () => {
+  const ledger = recordUsage(null, "gpt-4.1", { inputTokens: 10 }, new Date(2026, 0, 1, 12));
+  const later = recordUsage(ledger, "gpt-4.1", { inputTokens: 10 }, new Date(2026, 5, 1, 12));
+
+  assert.deepEqual(Object.keys(later.days), ["2026-06-01"]);
+  assert.deepEqual(Object.keys(later.months).sort(), ["2026-01", "2026-06"]);
+});
+
+test("formats small and large costs", () => {
+  assert.equal(formatCost(0.00123), "$0.0012");
+  assert.equal(formatCost(12.5), "$12.50");
+  assert.equal(formatCost(0), "$0.00");
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  dateOrderForLocale,
+  parseDate,
+  parseTime,
+  formatInputValue,
+  matchOptions,
+  valueKept
+} = require("../lib/value-format.js");
+
+test("converts written and numeric dates to the input formats", () => {
+  assert.equal(formatInputValue("March 3, 2021", { type: "date" }).value, "2021-03-03");
+  assert.equal(formatInputValue("3 de marzo de 2021", { type: "date" }).value, "2021-03-03");
+  assert.equal(formatInputValue("25/12/2020", { type: "date" }).value, "2020-12-25");
+  assert.equal(formatInputValue("04/05/99", { type: "date", dateOrder: "mdy" }).value, "1999-04-05");
+  assert.equal(formatInputValue("04/05/99", { type: "date", dateOrder: "dmy" }).value, "1999-05-04");
+  assert.equal(formatInputValue("04/05/99", { type: "date" }).reason, "format");
+  assert.equal(formatInputValue("05/05/99", { type: "date" }).value, "1999-05-05");
+  assert.equal(formatInputValue("Since 2019-07", { type: "month" }).value, "2019-07");
+  assert.equal(formatInputValue("2021-01-04", { type: "week" }).value, "2021-W01");
+  assert.equal(formatInputValue("2021-03-03 at 9:15 pm", { type: "datetime-local" }).value, "2021-03-03T21:15");
+  assert.equal(formatInputValue("February 30, 2021", { type: "date" }).ok, false);
+  assert.equal(parseDate("no date here"), null);
+});
+
+test("reads numeric dates day-first outside month-first regions", () => {
+  assert.equal(dateOrderForLocale("en-US"), "mdy");
+  assert.equal(dateOrderForLocale("en_GB"), "dmy");
+  assert.equal(dateOrderForLocale("pt-BR"), "dmy");
+  assert.equal(dateOrderForLocale("es"), "dmy");
+  assert.equal(dateOrderForLocale("en"), "");
+  assert.equal(dateOrderForLocale(""), "");
+});
+
+test("converts times and rejects values outside min and max", () => {
+  assert.equal(formatInputValue("3:30 PM", { type: "time" }).value, "15:30");
+  assert.deepEqual(parseTime("12 a.m."), { hours: 0, minutes: 0 });
+  assert.equal(parseTime("42"), null);
+  assert.equal(formatInputValue("June 1, 2030", { type: "date", max: "2025-12-31" }).reason, "range");
+});
+
+test("extracts numbers and snaps them to the step", () => {
+  assert.equal(formatInputValue("About 5 years", { type: "number" }).value, "5");
+  assert.equal(formatInputValue("$1,250.75", { type: "number", step: "1" }).value, "1251");
+  assert.equal(formatInputValue("7.3", { type: "number", min: "0.5", step: "0.5" }).value, "7.5");
+  assert.equal(formatInputValue("150", { type: "number", max: "100" }).reason, "range");
+  assert.equal(formatInputValue("many", { type: "number" }).reason, "format");
+});
+
+test("cleans up email, url and phone answers", () => {
+  assert.equal(formatInputValue("You can reach me at Ana <ana@example.com>.", { type: "email" }).value, "ana@example.com");
+  assert.equal(formatInputValue("github.com/ana.", { type: "url" }).value, "https://github.com/ana");
+  assert.equal(formatInputValue("Phone: +1 (555) 010-2030", { type: "tel" }).value, "+1 (555) 010-2030");
+  assert.equal(formatInputValue("unknown", { type: "email" }).ok, false);
+});
+
+test("respects pattern and maxlength", () => {
+  assert.equal(formatInputValue("+1 (555) 010-2030", { type: "tel", pattern: "[0-9]{11}" }).value, "15550102030");
+  assert.equal(formatInputValue("ab12", { type: "text", pattern: "[A-Z]{2}[0-9]{2}" }).value, "AB12");
+  assert.equal(formatInputValue("hello", { type: "text", pattern: "[0-9]+" }).reason, "pattern");
+  assert.equal(formatInputValue("A long answer", { type: "text", maxLength: 6 }).value, "A long");
+  assert.equal(formatInputValue("First  paragraph.\n\n\n\nSecond one.", { type: "textarea" }).value, "First paragraph.\n\nSecond one.");
+});
+
+test("matches single and multi-value answers to options", () => {
+  const languages = [["English", "en"], ["Spanish", "es"], ["French (basic)", "fr"]];
+
+  assert.deepEqual(matchOptions(languages, "spanish"), [1]);
+  assert.deepEqual(matchOptions(languages, "fr"), [2]);
+  assert.deepEqual(matchOptions(languages, "French"), [2]);
+  assert.deepEqual(matchOptions(languages, "English; French", { multiple: true }), [0, 2]);
+  assert.deepEqual(matchOptions(languages, "English, Spanish, Klingon", { multiple: true }), [0, 1]);
+  assert.deepEqual(matchOptions(languages, '["es","en"]', { multiple: true }), [1, 0]);
+  assert.deepEqual(matchOptions([["Yes, I agree"], ["No"]], "Yes, I agree", { multiple: true }), [0]);
+  assert.deepEqual(matchOptions(languages, "German"), []);
+});
+
+test("treats masked and reformatted values as kept", () => {
+  assert.equal(valueKept("(555) 010-2030", "5550102030"), true);
+  assert.equal(valueKept("+1 555-010-2030", "555 010 2030"), true);
+  assert.equal(valueKept("Ana Lopez", "ana lopez"), true);
+  assert.equal(valueKept("", "Ana"), false);
+  assert.equal(valueKept("555", "5550102030"), false);
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeWizardMode,
+  createWizardSession,
+  isSameWizardSite,
+  addWizardStep,
+  isWizardSessionExpired,
+  continuesWizardFlow,
+  WIZARD_IDLE_TTL_MS,
+  summarizeWizardSession,
+  detectStepChange
+} = require("../lib/wizard-session.js");
+
+test("combines step results into one summary", () => {
+  const session = createWizardSession(7, "https://apply.example.com/step-1", 1);
+  addWizardStep(session, { url: "https://apply.example.com/step-1", filled: 5, skipped: 1 }, 2);
+  addWizardStep(session, { url: "https://apply.example.com/step-2", filled: 3, skipped: 2, needsReview: 1 }, 3);
+
+  assert.deepEqual(summarizeWizardSession(session), { steps: 2, filled: 8, skipped: 3, needsReview: 1 });
+  assert.equal(session.lastUrl, "https://apply.example.com/step-2");
+  assert.equal(session.pendingUrl, "");
+});
+
+test("keeps a session to the host it started on", () => {
+  const session = createWizardSession(7, "https://apply.example.com/start");
+
+  assert.equal(isSameWizardSite(session, "https://apply.example.com/step-3?x=1"), true);
+  assert.equal(isSameWizardSite(session, "https://other.example.com/"), false);
+  assert.equal(isSameWizardSite(session, "not a url"), false);
+});
+
+test("expires idle sessions and ends them when the user leaves an unfilled step", () => {
+  const session = createWizardSession(7, "https://apply.example.com/step-1", 1000);
+
+  assert.equal(session.autoContinue, false);
+  assert.equal(isWizardSessionExpired(session, 1000 + WIZARD_IDLE_TTL_MS), false);
+  assert.equal(isWizardSessionExpired(session, 1001 + WIZARD_IDLE_TTL_MS), true);
+  addWizardStep(session, { url: "https://apply.example.com/step-1", filled: 2 }, 5000);
+  assert.equal(isWizardSessionExpired(session, 1001 + WIZARD_IDLE_TTL_MS), false);
+
+  assert.equal(continuesWizardFlow(session, false), true);
+  session.pendingUrl = "https://apply.example.com/step-2";
+  assert.equal(continuesWizardFlow(session, false), false);
+  assert.equal(continuesWizardFlow(session, true), true);
+  assert.equal(continuesWizardFlow(null, true), false);
+});
+
+test("detects page loads and SPA route changes", () => {
+  const session = createWizardSession(7, "https://apply.example.com/#/step-1");
+
+  assert.equal(detectStepChange({ status: "complete" }, { status: "complete" }, session), "load");
+  assert.equal(detectStepChange({ status: "loading", url: "https://apply.example.com/next" }, { status: "loading" }, session), "");
+  assert.equal(detectStepChange({ url: "https://apply.example.com/#/step-2" }, { status: "complete" }, session), "route");
+  assert.equal(detectStepChange({ url: "https://apply.example.com/#/step-1" }, { status: "complete" }, session), "");
+  assert.equal(detectStepChange({ status: "complete" }, {}, null), "");
+});
+
+test("falls back to offering each step for unknown modes", () => {
+  assert.equal(normalizeWizardMode("auto"), "auto");
+  assert.equal(normalizeWizardMode("sometimes"), "offer");
+});